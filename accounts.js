@@ -0,0 +1,308 @@
+// accounts.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const express = require('express');
+const { containsBlockedWord } = require('./profanity');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_KEY_LENGTH = 64;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a session token stays valid after login
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 30 * DAY_MS;
+// Guest tokens are the only way back to a guest's games, so they last longer
+const GUEST_TOKEN_TTL_MS =
+	Number(process.env.GUEST_TOKEN_TTL_MS) || 365 * DAY_MS;
+
+// Tokens are signed with SESSION_SECRET. Without one, a random secret is made
+// up at startup: fine for local development, but every session ends with the
+// process and servers sharing rooms would reject each other's tokens.
+const SESSION_SECRET =
+	process.env.SESSION_SECRET ||
+	(() => {
+		console.warn(
+			'[AUTH] SESSION_SECRET is not set; sessions will not survive a restart.'
+		);
+		return crypto.randomBytes(32).toString('hex');
+	})();
+
+/**
+ * Hashes a password with scrypt and a random salt, for storing.
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`, both hex.
+ */
+async function hashPassword(password) {
+	const salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+	const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+	return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a hash from hashPassword, in constant time.
+ * @param {string} password
+ * @param {string} passwordHash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, passwordHash) {
+	const [scheme, saltHex, hashHex] = String(passwordHash).split('$');
+	if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+	const expected = Buffer.from(hashHex, 'hex');
+	const actual = await scrypt(
+		password,
+		Buffer.from(saltHex, 'hex'),
+		expected.length
+	);
+	return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(payload) {
+	return crypto
+		.createHmac('sha256', SESSION_SECRET)
+		.update(payload)
+		.digest('base64url');
+}
+
+// Tokens are the claims as base64url JSON, then an HMAC-SHA256 signature,
+// joined by a dot
+function createToken(claims, ttlMs) {
+	const payload = Buffer.from(
+		JSON.stringify({ ...claims, exp: Date.now() + ttlMs })
+	).toString('base64url');
+	return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Issues a session token for a user.
+ * @param {{_id: import('mongodb').ObjectId, username: string}} user
+ * @returns {string}
+ */
+function createSessionToken(user) {
+	return createToken(
+		{ sub: user._id.toString(), username: user.username },
+		SESSION_TTL_MS
+	);
+}
+
+/**
+ * Issues a token for a new guest. Guests have no account, so the token is
+ * their identity: it ties their games together for as long as they keep it.
+ * @returns {{token: string, guestId: string}}
+ */
+function createGuestToken() {
+	const guestId = `guest_${crypto.randomBytes(12).toString('hex')}`;
+	return {
+		token: createToken({ sub: guestId, guest: true }, GUEST_TOKEN_TTL_MS),
+		guestId: guestId,
+	};
+}
+
+/**
+ * Reads a token from createSessionToken or createGuestToken.
+ * @param {string} token
+ * @returns {{userId: string, username: string}|{guestId: string}|null} null
+ *   if the token is malformed, tampered with or expired.
+ */
+function verifySessionToken(token) {
+	if (typeof token !== 'string') return null;
+	const [payload, signature, ...rest] = token.split('.');
+	if (!payload || !signature || rest.length > 0) return null;
+
+	const expected = Buffer.from(sign(payload));
+	const actual = Buffer.from(signature);
+	if (
+		actual.length !== expected.length ||
+		!crypto.timingSafeEqual(actual, expected)
+	) {
+		return null;
+	}
+
+	let claims;
+	try {
+		claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+	} catch (error) {
+		return null;
+	}
+	if (typeof claims.sub !== 'string' || !(claims.exp > Date.now())) {
+		return null;
+	}
+	if (claims.guest === true) {
+		return { guestId: claims.sub };
+	}
+	return { userId: claims.sub, username: claims.username };
+}
+
+/**
+ * Finds the session token on a request: an `Authorization: Bearer` header,
+ * or a `token` query parameter, since browsers can't set headers on a
+ * WebSocket.
+ * @param {import('http').IncomingMessage} request
+ * @returns {string|null}
+ */
+function getRequestToken(request) {
+	const header = request.headers.authorization || '';
+	if (header.startsWith('Bearer ')) {
+		return header.slice('Bearer '.length).trim();
+	}
+	const { searchParams } = new URL(request.url, 'http://localhost');
+	return searchParams.get('token');
+}
+
+/**
+ * Works out who is making a request: a user, a guest with a guest token, or
+ * (with no token at all) an anonymous guest, for whom both are null. A token
+ * that doesn't check out, or whose user no longer exists, is an error rather
+ * than a silent downgrade to guest.
+ * @param {import('./user-repository').UserRepository} users
+ * @param {import('http').IncomingMessage} request
+ * @returns {Promise<{user: {id: string, username: string}|null, guestId: string|null}|{error: string}>}
+ */
+async function authenticateRequest(users, request) {
+	const token = getRequestToken(request);
+	if (!token) {
+		return { user: null, guestId: null };
+	}
+	const session = verifySessionToken(token);
+	if (session?.guestId) {
+		return { user: null, guestId: session.guestId };
+	}
+	const user = session && (await users.findById(session.userId));
+	if (!user) {
+		return { error: 'Your session is invalid or has expired.' };
+	}
+	return { user: toPublicUser(user), guestId: null };
+}
+
+// What clients may see of an account
+function toPublicUser(user) {
+	return { id: user._id.toString(), username: user.username };
+}
+
+function validateCredentials(body) {
+	const { username, password } = body || {};
+	if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+		return 'Usernames are 3-20 letters, numbers, dashes or underscores.';
+	}
+	if (
+		typeof password !== 'string' ||
+		password.length < MIN_PASSWORD_LENGTH ||
+		password.length > MAX_PASSWORD_LENGTH
+	) {
+		return `Passwords are ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters long.`;
+	}
+	return null;
+}
+
+/**
+ * Routes for accounts:
+ *   POST /register { username, password }  -> 201 { token, user }
+ *   POST /login    { username, password }  -> 200 { token, user }
+ *   POST /guest                            -> 201 { token, guestId }
+ *   GET  /me       (Authorization: Bearer)  -> 200 { user }
+ * @param {() => import('./user-repository').UserRepository} getUsers
+ * @returns {import('express').Router}
+ */
+function createAccountRouter(getUsers) {
+	const router = express.Router();
+
+	router.post('/register', async (req, res) => {
+		const error = validateCredentials(req.body);
+		if (error) {
+			return res.status(400).json({ message: error });
+		}
+		const { username, password } = req.body;
+		if (containsBlockedWord(username)) {
+			return res
+				.status(400)
+				.json({ message: 'Please choose a different username.' });
+		}
+
+		try {
+			const user = {
+				username: username,
+				passwordHash: await hashPassword(password),
+				createdAt: new Date(),
+			};
+			const userId = await getUsers().insert(user);
+			if (!userId) {
+				return res
+					.status(409)
+					.json({ message: `The username ${username} is taken.` });
+			}
+			const registered = await getUsers().findById(userId);
+			console.log(`[AUTH] Registered user ${username} (${userId}).`);
+			res.status(201).json({
+				token: createSessionToken(registered),
+				user: toPublicUser(registered),
+			});
+		} catch (error) {
+			console.error('[AUTH] Error registering user:', error);
+			res.status(500).json({ message: 'Failed to register' });
+		}
+	});
+
+	router.post('/login', async (req, res) => {
+		const { username, password } = req.body || {};
+		if (typeof username !== 'string' || typeof password !== 'string') {
+			return res
+				.status(400)
+				.json({ message: 'A username and password are required.' });
+		}
+
+		try {
+			const user = await getUsers().findByUsername(username);
+			// Same answer for unknown users and wrong passwords
+			if (
+				!user ||
+				password.length > MAX_PASSWORD_LENGTH ||
+				!(await verifyPassword(password, user.passwordHash))
+			) {
+				return res
+					.status(401)
+					.json({ message: 'Wrong username or password.' });
+			}
+			res.status(200).json({
+				token: createSessionToken(user),
+				user: toPublicUser(user),
+			});
+		} catch (error) {
+			console.error('[AUTH] Error logging in:', error);
+			res.status(500).json({ message: 'Failed to log in' });
+		}
+	});
+
+	// Keep the token to find this guest's games again later
+	router.post('/guest', (req, res) => {
+		res.status(201).json(createGuestToken());
+	});
+
+	router.get('/me', async (req, res) => {
+		try {
+			const { user, error } = await authenticateRequest(getUsers(), req);
+			if (error || !user) {
+				return res
+					.status(401)
+					.json({ message: error || 'You are not logged in.' });
+			}
+			res.status(200).json({ user: user });
+		} catch (error) {
+			console.error('[AUTH] Error reading session:', error);
+			res.status(500).json({ message: 'Failed to read session' });
+		}
+	});
+
+	return router;
+}
+
+module.exports = {
+	hashPassword,
+	verifyPassword,
+	createSessionToken,
+	createGuestToken,
+	verifySessionToken,
+	authenticateRequest,
+	createAccountRouter,
+};
@@ -17,151 +17,290 @@ function createBlankCanvas(width, height) {
 }
 
 /**
- * Combines an array of base64 image data URLs (canvas segments) into a single base64 image.
- * Each segment is assumed to be the same width and will be stacked vertically.
- * @param {string[]} segmentDataUrls An array of base64 data URLs for each canvas segment.
+ * Loads a base64 data URL into an Image.
+ * @param {string} dataUrl The data URL to load.
+ * @returns {Promise<Image|null>} The loaded image, or null if it could not be decoded.
+ */
+function loadImageFromDataUrl(dataUrl) {
+	return new Promise((resolve) => {
+		const img = new Image();
+		// Attach onload/onerror BEFORE setting src
+		img.onload = () => resolve(img);
+		img.onerror = (err) => {
+			console.error(
+				'Failed to load image:',
+				err,
+				dataUrl.substring(0, 50) + '...'
+			);
+			resolve(null); // Resolve even on error to prevent blocking
+		};
+		img.src = dataUrl;
+	});
+}
+
+/**
+ * Works out where each segment sits on the combined canvas. Every segment is
+ * a full canvas-sized drawing. Segment k+1 is placed so its top edge lines up
+ * with the red line segment k was handed off at, which makes the strip the
+ * next player was shown overlap exactly. A segment without a redLineY is
+ * stacked directly below the previous one with no overlap.
+ * @param {(string|{dataURL: string, redLineY?: number}|null)[]} segments The segments
+ *   from top to bottom, either as data URLs or as segmentHistory entries.
+ * @param {number} height The room's canvas height.
+ * @returns {{layout: {dataUrl: string, y: number, handoffY: number}[], totalHeight: number}}
+ */
+function layoutSegments(segments, height) {
+	const layout = [];
+	let currentY = 0;
+	for (let i = 0; i < segments.length; i++) {
+		const segment = segments[i];
+		const dataUrl =
+			typeof segment === 'string' ? segment : segment?.dataURL;
+		const redLineY =
+			typeof segment === 'string' ? undefined : segment?.redLineY;
+
+		// Height of this segment's own band before the next one starts
+		const handoffY =
+			typeof redLineY === 'number' && Number.isFinite(redLineY)
+				? Math.min(Math.max(Math.round(redLineY), 0), height)
+				: height;
+
+		layout.push({ dataUrl, y: currentY, handoffY });
+		if (i < segments.length - 1) {
+			currentY += handoffY;
+		}
+	}
+	return { layout, totalHeight: currentY + height };
+}
+
+/**
+ * Combines the segments drawn on one canvas into a single base64 image,
+ * overlapping them at their red lines as described in layoutSegments.
+ * @param {(string|{dataURL: string, redLineY?: number}|null)[]} segments The segments
+ *   from top to bottom, either as data URLs or as segmentHistory entries.
+ * @param {{width: number, height: number}} canvasSize The room's canvas dimensions.
  * @returns {Promise<string>} A promise that resolves with the base64 data URL of the combined canvas.
  */
-async function combineCanvases(segmentDataUrls) {
-	console.log('combineCanvases 1');
-	if (!segmentDataUrls || segmentDataUrls.length === 0) {
+async function combineCanvases(segments, canvasSize) {
+	if (!segments || segments.length === 0) {
 		console.warn('combineCanvases received no segments to combine.');
 		return ''; // Return an empty string if no segments
 	}
 
-	// Load all images first to determine total dimensions
-	const images = [];
-	let totalHeight = 0;
-	let maxWidth = 0; // Assuming all segments have the same width, but we'll find the max just in case
-	console.log('combineCanvases 2');
+	const { width, height } = canvasSize;
+	const { layout, totalHeight } = layoutSegments(segments, height);
+
+	const canvas = createCanvas(width, totalHeight);
+	const ctx = canvas.getContext('2d');
 
-	// Use a traditional for loop to properly await each image load and handle potential issues
-	for (let i = 0; i < segmentDataUrls.length; i++) {
-		const dataUrl = segmentDataUrls[i];
-		console.log('combineCanvases 3'); // This is from your original loop start
+	// Draw top to bottom so each segment sits over the strip it continued from
+	for (let i = 0; i < layout.length; i++) {
+		const { dataUrl, y, handoffY } = layout[i];
+		const bandHeight = i < layout.length - 1 ? handoffY : height;
 
 		if (!dataUrl) {
 			console.warn(
-				`Skipping null or empty segmentDataUrl for segment ${i}. Creating a blank placeholder.`
+				`Skipping null or empty segment ${i}. Leaving its band blank.`
 			);
-			// Create a blank image to push, so the loop doesn't break
-			const blankImg = new Image();
-			// Setting a tiny blank data URL to satisfy onload for blank parts
-			blankImg.src = createBlankCanvas(1, 1); // Smallest possible blank canvas
-
-			await new Promise((resolve) => {
-				blankImg.onload = () => {
-					// Assign approximate dimensions for the placeholder to avoid issues with zero width/height
-					blankImg.width = 800; // Assuming CANVAS_WIDTH
-					blankImg.height = 150; // Assuming SEGMENT_HEIGHT
-					totalHeight += blankImg.height;
-					if (blankImg.width > maxWidth) {
-						maxWidth = blankImg.width;
-					}
-					images.push(blankImg); // Push the placeholder image
-					resolve();
-				};
-				blankImg.onerror = () => {
-					console.error(
-						`Failed to load internal blank placeholder for segment ${i}. This should not happen.`
-					);
-					// Fallback dimensions if even the blank fails
-					blankImg.width = 800;
-					blankImg.height = 150;
-					totalHeight += blankImg.height;
-					if (blankImg.width > maxWidth) {
-						maxWidth = blankImg.width;
-					}
-					images.push(blankImg);
-					resolve();
-				};
-			});
-			continue; // Skip to next iteration in the main loop
+			continue;
 		}
 
-		const img = new Image();
-		// Crucial Fix: Attach onload/onerror BEFORE setting src
-		await new Promise((resolve) => {
-			console.log('combineCanvases 3a');
-			img.onload = () => {
-				totalHeight += img.height;
-				if (img.width > maxWidth) {
-					maxWidth = img.width;
-				}
-				images.push(img); // Push the loaded image
-				resolve();
-			};
-			console.log('combineCanvases 3b');
-			img.onerror = (err) => {
-				console.error(
-					'Failed to load image in combineCanvases:',
-					err,
-					dataUrl.substring(0, 50) + '...'
-				);
-				// Important: Resolve even on error to prevent blocking.
-				// We'll handle drawing a placeholder or skipping this image later.
-				const brokenImg = new Image(); // Create a new image object for the placeholder
-				brokenImg.isBroken = true; // Custom flag to indicate it failed to load
-				brokenImg.width = 800; // Provide fallback dimensions
-				brokenImg.height = 150; // Provide fallback dimensions
-				totalHeight += brokenImg.height;
-				if (brokenImg.width > maxWidth) {
-					maxWidth = brokenImg.width;
-				}
-				images.push(brokenImg); // Push the placeholder image
-				resolve(); // Resolve the promise to unblock the await
-			};
-			console.log('combineCanvases 3c');
-			img.src = dataUrl; // Set src AFTER handlers are attached
-		});
-		console.log('combineCanvases 4'); // This will now be reached
-	}
-
-	if (images.length === 0) {
-		console.warn('No valid images to combine.');
-		return '';
-	}
-
-	// Fallback for maxWidth and totalHeight if no valid images had dimensions or only placeholders
-	if (maxWidth === 0) maxWidth = 800; // Default to common canvas width if no valid image dimensions found
-	if (totalHeight === 0) {
-		// If totalHeight is 0, it means either no images or all were placeholders with 0 height initially
-		totalHeight = images.length * 150; // Estimate based on number of segments (assuming default SEGMENT_HEIGHT)
-	}
-
-	// Create a new canvas to draw all combined segments
-	const canvas = createCanvas(maxWidth, totalHeight);
-	const ctx = canvas.getContext('2d');
-
-	// Draw each image onto the new canvas, stacking them vertically
-	let currentY = 0;
-	for (let i = 0; i < images.length; i++) {
-		const img = images[i];
-		if (img.isBroken || img.width === 0 || img.height === 0) {
+		const img = await loadImageFromDataUrl(dataUrl);
+		if (!img || img.width === 0 || img.height === 0) {
 			console.warn(
 				`[COMBINE_WARN] Skipping drawing problematic image ${i}. Drawing a red placeholder.`
 			);
 			ctx.fillStyle = 'red';
-			// Draw a red rectangle as a placeholder
-			ctx.fillRect(0, currentY, maxWidth, img.height || 150); // Use image's height or fallback
-			currentY += img.height || 150;
+			ctx.fillRect(0, y, width, bandHeight);
 			continue;
 		}
 		try {
-			ctx.drawImage(img, 0, currentY, maxWidth, img.height);
-			currentY += img.height;
+			ctx.drawImage(img, 0, y, width, height);
 		} catch (drawErr) {
 			console.error(
 				`[COMBINE_ERROR] Error drawing image ${i} onto final canvas:`,
 				drawErr
 			);
 			ctx.fillStyle = 'red'; // Draw red placeholder on drawing error as well
-			ctx.fillRect(0, currentY, maxWidth, img.height || 150);
-			currentY += img.height || 150;
+			ctx.fillRect(0, y, width, bandHeight);
 		}
 	}
 
-	return canvas.toDataURL();
+	return canvas.toDataURL('image/png');
+}
+
+/**
+ * Replays recorded strokes onto a 2D context, matching how the frontend draws:
+ * round caps and joins, and erasers clearing pixels rather than painting white.
+ * @param {CanvasRenderingContext2D} ctx The context to draw on.
+ * @param {{tool: string, color: string, width: number, points: {x: number, y: number}[]}[]} strokes
+ *   The strokes in the order they were drawn.
+ */
+function drawStrokes(ctx, strokes) {
+	ctx.save();
+	ctx.lineCap = 'round';
+	ctx.lineJoin = 'round';
+	for (const stroke of strokes) {
+		if (!stroke.points || stroke.points.length === 0) continue;
+
+		ctx.globalCompositeOperation =
+			stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+		ctx.strokeStyle = stroke.color;
+		ctx.fillStyle = stroke.color;
+		ctx.lineWidth = stroke.width;
+
+		const [first, ...rest] = stroke.points;
+		if (rest.length === 0) {
+			// A single tap leaves a dot the size of the brush
+			ctx.beginPath();
+			ctx.arc(first.x, first.y, stroke.width / 2, 0, Math.PI * 2);
+			ctx.fill();
+			continue;
+		}
+		ctx.beginPath();
+		ctx.moveTo(first.x, first.y);
+		for (const point of rest) {
+			ctx.lineTo(point.x, point.y);
+		}
+		ctx.stroke();
+	}
+	ctx.restore();
+}
+
+/**
+ * Renders recorded strokes onto a transparent canvas and returns its data URL.
+ * @param {object[]} strokes The strokes to draw, see drawStrokes.
+ * @param {number} width The width of the canvas.
+ * @param {number} height The height of the canvas.
+ * @returns {string} The PNG data URL of the rendered strokes.
+ */
+function renderStrokes(strokes, width, height) {
+	const canvas = createCanvas(width, height);
+	drawStrokes(canvas.getContext('2d'), strokes);
+	return canvas.toDataURL('image/png');
+}
+
+/**
+ * Renders the frames of a timelapse showing a corpse being built. Each
+ * segment's recorded strokes are replayed in batches when available; a segment
+ * without strokes appears in a single frame. Frames have an opaque background
+ * so they encode cleanly to formats without alpha, like GIF.
+ *
+ * Frames are handed to `onFrame` one at a time as they are drawn, on a canvas
+ * that is drawn over for the next one, so only a single frame is ever held.
+ * The frames are shrunk if need be so that all of them together stay within
+ * `maxPixels`.
+ * @param {{dataURL: string, redLineY?: number, strokes?: object[]}[]} segments
+ *   The segments from top to bottom.
+ * @param {{width: number, height: number}} canvasSize The room's canvas dimensions.
+ * @param {object} options
+ * @param {number} [options.scale=1] Output scale relative to the full-size artwork.
+ * @param {number} [options.maxFrames=120] Upper bound on the number of frames.
+ * @param {number} [options.maxPixels=Infinity] Upper bound on the pixels of
+ *   all frames together.
+ * @param {string} [options.background='#ffffff'] Fill colour behind the drawing.
+ * @param {(frame: import('canvas').Canvas, index: number, frameCount: number) => (void|Promise<void>)} onFrame
+ *   Called with each frame in order; the frame must be used up before it returns.
+ * @returns {Promise<number>} How many frames were rendered.
+ */
+async function renderTimelapseFrames(segments, canvasSize, options, onFrame) {
+	const {
+		maxFrames = 120,
+		maxPixels = Infinity,
+		background = '#ffffff',
+	} = options;
+	const { width, height } = canvasSize;
+	const { layout, totalHeight } = layoutSegments(segments, height);
+
+	// Every segment gets at least one frame, so shrink until those fit
+	const scale = Math.min(
+		options.scale ?? 1,
+		Math.sqrt(maxPixels / (width * totalHeight * segments.length))
+	);
+	const frameWidth = Math.max(1, Math.floor(width * scale));
+	const frameHeight = Math.max(1, Math.floor(totalHeight * scale));
+	const frameLimit = Math.max(
+		Math.min(maxFrames, Math.floor(maxPixels / (frameWidth * frameHeight))),
+		segments.length
+	);
+
+	// Spread the stroke frames over whatever budget the per-segment frames
+	// leave, batching more strokes per frame until they fit
+	const strokeCounts = segments.map(
+		(segment) => segment?.strokes?.length || 0
+	);
+	const countFrames = (strokesPerFrame) =>
+		strokeCounts.reduce(
+			(sum, strokeCount) =>
+				sum + 1 + Math.ceil(strokeCount / strokesPerFrame),
+			0
+		);
+	const totalStrokes = strokeCounts.reduce((sum, count) => sum + count, 0);
+	const strokeFrameBudget = frameLimit - segments.length;
+	let strokesPerFrame =
+		strokeFrameBudget > 0
+			? Math.max(1, Math.ceil(totalStrokes / strokeFrameBudget))
+			: Infinity;
+	while (
+		strokesPerFrame !== Infinity &&
+		countFrames(strokesPerFrame) > frameLimit
+	) {
+		strokesPerFrame++;
+	}
+	const frameCount = countFrames(strokesPerFrame);
+
+	// Everything from finished segments, drawn once and copied into each frame
+	const base = createCanvas(frameWidth, frameHeight);
+	const baseCtx = base.getContext('2d');
+	baseCtx.fillStyle = background;
+	baseCtx.fillRect(0, 0, frameWidth, frameHeight);
+
+	const frame = createCanvas(frameWidth, frameHeight);
+	const frameCtx = frame.getContext('2d');
+	let frameIndex = 0;
+	const snapshot = async (layer, y) => {
+		frameCtx.drawImage(base, 0, 0);
+		if (layer) {
+			frameCtx.drawImage(
+				layer,
+				0,
+				y * scale,
+				width * scale,
+				height * scale
+			);
+		}
+		await onFrame(frame, frameIndex++, frameCount);
+	};
+
+	for (let i = 0; i < layout.length; i++) {
+		const { dataUrl, y } = layout[i];
+		const strokes = segments[i]?.strokes || [];
+
+		if (strokes.length > 0 && strokesPerFrame !== Infinity) {
+			// Strokes go on their own layer so erasers only affect this segment
+			const layer = createCanvas(width, height);
+			const layerCtx = layer.getContext('2d');
+			for (
+				let start = 0;
+				start < strokes.length;
+				start += strokesPerFrame
+			) {
+				drawStrokes(
+					layerCtx,
+					strokes.slice(start, start + strokesPerFrame)
+				);
+				await snapshot(layer, y);
+			}
+		}
+
+		const img = dataUrl ? await loadImageFromDataUrl(dataUrl) : null;
+		if (img) {
+			baseCtx.drawImage(img, 0, y * scale, width * scale, height * scale);
+		}
+		await snapshot(null, y);
+	}
+
+	return frameIndex;
 }
 
 /**
@@ -236,4 +375,7 @@ module.exports = {
 	combineCanvases,
 	// createCanvasWithBottomPeek, // REMOVED: No longer export this function
 	createBlankCanvas, // Export the new function
+	drawStrokes,
+	renderStrokes,
+	renderTimelapseFrames,
 };
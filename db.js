@@ -18,7 +18,7 @@ async function connectToMongo() {
 		return db; // Return the db instance
 	} catch (error) {
 		console.error('MongoDB connection error:', error);
-		process.exit(1); // Exit if DB connection fails
+		throw error; // Let the caller decide whether to give up
 	}
 }
 
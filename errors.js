@@ -0,0 +1,95 @@
+// errors.js
+const WebSocket = require('ws');
+
+/**
+ * Every error the server reports over the WebSocket is sent as
+ *
+ *   { type: 'error', code, message, requestType, details? }
+ *
+ * where `requestType` is the type of the message that failed (if known) and
+ * `message` is human-readable text the frontend may show as-is. Clients should
+ * branch on `code`, which is always one of the values below:
+ *
+ * INVALID_JSON          The frame could not be parsed as JSON.
+ * UNKNOWN_MESSAGE_TYPE  `type` is missing or not a message the server handles.
+ * INVALID_PAYLOAD       One or more fields failed validation. `details` lists
+ *                       them as [{ field, problem }].
+ * ROOM_NOT_FOUND        No room matches the given game code or room ID.
+ * ROOM_FULL             The room already has its maximum number of players.
+ * ROOM_LOCKED           The host has locked the room to new players.
+ * PASSCODE_REQUIRED     The room has a passcode, and neither it nor the room's
+ *                       invite token was given.
+ * GAME_COMPLETED        The game has finished; it can only be watched or restarted.
+ * GAME_NOT_IN_PROGRESS  The action needs a game that is currently being played.
+ * GAME_ALREADY_STARTED  'startGame' was sent after the game had started, or
+ *                       'playAgain' before a game the host started finished.
+ * NOT_ENOUGH_PLAYERS    Too few players are seated to start the game.
+ * NOT_IN_ROOM           The socket has not created, joined or rejoined a room.
+ * ALREADY_IN_ROOM       A socket holding a seat tried to create, join, watch or
+ *                       rejoin a room, or one playing in or watching a room
+ *                       sent 'findMatch'.
+ * NOT_A_PLAYER          The socket is in the room but holds no player slot,
+ *                       e.g. a spectator trying to draw.
+ * NOT_YOUR_TURN         The player has already submitted the current segment,
+ *                       or the stroke being continued is not theirs.
+ * NOT_HOST              Only the room's host may kick, lock or start.
+ * PLAYER_NOT_FOUND      The player named in a host action is not in the room
+ *                       (or, for 'transferHost', not connected).
+ * NOT_IN_QUEUE          'cancelMatch' was sent by a socket that isn't waiting
+ *                       for a match, e.g. because it has just been matched.
+ * STROKE_LIMIT_REACHED  The player has drawn as many strokes or points as one
+ *                       segment may record; the stroke is not kept.
+ * RATE_LIMITED          Too many chat messages or reactions in a short time.
+ *                       `retryAfterMs` says when the next one will be accepted.
+ * SESSION_EXPIRED       The player token passed to 'rejoinGame' is unknown or
+ *                       its slot has been given up.
+ * INTERNAL_ERROR        Something failed on the server; retrying may help.
+ */
+const ERROR_CODES = {
+	INVALID_JSON: 'INVALID_JSON',
+	UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+	INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+	ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+	ROOM_FULL: 'ROOM_FULL',
+	ROOM_LOCKED: 'ROOM_LOCKED',
+	PASSCODE_REQUIRED: 'PASSCODE_REQUIRED',
+	GAME_COMPLETED: 'GAME_COMPLETED',
+	GAME_NOT_IN_PROGRESS: 'GAME_NOT_IN_PROGRESS',
+	GAME_ALREADY_STARTED: 'GAME_ALREADY_STARTED',
+	NOT_ENOUGH_PLAYERS: 'NOT_ENOUGH_PLAYERS',
+	NOT_IN_ROOM: 'NOT_IN_ROOM',
+	ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+	NOT_A_PLAYER: 'NOT_A_PLAYER',
+	NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+	NOT_HOST: 'NOT_HOST',
+	PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+	NOT_IN_QUEUE: 'NOT_IN_QUEUE',
+	STROKE_LIMIT_REACHED: 'STROKE_LIMIT_REACHED',
+	RATE_LIMITED: 'RATE_LIMITED',
+	SESSION_EXPIRED: 'SESSION_EXPIRED',
+	INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+/**
+ * Sends a typed error frame to a single socket.
+ * @param {WebSocket} ws The socket to notify.
+ * @param {string} code One of ERROR_CODES.
+ * @param {string} message Human-readable description.
+ * @param {object} [extra] Additional fields, e.g. requestType or details.
+ */
+function sendError(ws, code, message, extra = {}) {
+	if (ws.readyState !== WebSocket.OPEN) return;
+	ws.send(
+		JSON.stringify({
+			type: 'error',
+			code: code,
+			message: message,
+			...extra,
+		})
+	);
+}
+
+module.exports = {
+	ERROR_CODES,
+	sendError,
+};
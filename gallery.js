@@ -0,0 +1,350 @@
+// gallery.js
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getRoomSegments } = require('./segment-templates');
+const {
+	parseTimelapseOptions,
+	getCachedTimelapse,
+	createTimelapse,
+} = require('./timelapse');
+const { getImageStore, isDataUrl, loadDataUrl } = require('./image-store');
+
+const GALLERY_COLLECTION_NAME = 'artworks';
+const DEFAULT_PAGE_SIZE = 20;
+// Canvas size for artworks archived before sizes were stored
+const DEFAULT_CANVAS_WIDTH = 1080;
+const DEFAULT_CANVAS_HEIGHT = 1920;
+const MAX_PAGE_SIZE = 100;
+
+// Stroke logs are large, as are the inline images of older artworks; they
+// have their own routes
+const SUMMARY_PROJECTION = {
+	image: 0,
+	'contributors.image': 0,
+	'contributors.strokes': 0,
+};
+
+// Only artworks from public rooms show up when browsing
+const PUBLIC_FILTER = { isPrivate: { $ne: true } };
+
+const SORT_OPTIONS = {
+	newest: { completedAt: -1, artworkIndex: 1 },
+	oldest: { completedAt: 1, artworkIndex: 1 },
+};
+
+/**
+ * Copies the final artworks of a completed game into the gallery collection,
+ * one document per artwork, so they outlive the room document. Images are
+ * shared with the room by ID, so must not be deleted along with it.
+ * @param {import('mongodb').Db} db The connected database.
+ * @param {object} gameRoom The completed game room.
+ * @returns {Promise<string[]>} The gallery IDs, in the same order as finalArtworks.
+ */
+async function archiveCompletedGame(db, gameRoom) {
+	const segments = getRoomSegments(gameRoom);
+	const completedAt = new Date();
+
+	const artworks = gameRoom.finalArtworks.map((imageId, artworkIndex) => ({
+		gameRoomId: gameRoom._id,
+		gameCode: gameRoom.gameCode,
+		isPrivate: gameRoom.isPrivate === true, // Reachable by ID, but never listed
+		artworkIndex: artworkIndex,
+		imageId: imageId,
+		templateId: gameRoom.templateId,
+		templateName: gameRoom.templateName,
+		segments: segments,
+		canvasWidth: gameRoom.canvasWidth,
+		canvasHeight: gameRoom.canvasHeight,
+		// Who drew which segment of this artwork, top to bottom
+		contributors: segments.map((label, segmentIndex) => {
+			const submission = Object.values(
+				gameRoom.segmentHistory[segmentIndex] || {}
+			).find((sub) => sub.canvasIndex === artworkIndex);
+			const playerObject = gameRoom.playerObjects.find(
+				(pObj) => pObj.id === submission?.playerId
+			);
+			return {
+				segmentIndex: segmentIndex,
+				segment: label,
+				playerId: submission?.playerId || null,
+				userId: playerObject?.userId || null, // Set for signed-in players
+				name: playerObject?.name || 'Anonymous',
+				redLineY: submission?.redLineY ?? null,
+				imageId: submission?.imageId ?? submission?.dataURL ?? null, // This segment on its own, for timelapses
+				strokes: submission?.strokes || [], // For stroke-by-stroke replay
+			};
+		}),
+		gameCreatedAt: gameRoom.createdAt,
+		completedAt: completedAt,
+	}));
+
+	if (artworks.length === 0) {
+		return [];
+	}
+
+	const result = await db
+		.collection(GALLERY_COLLECTION_NAME)
+		.insertMany(artworks);
+	return artworks.map((artwork, index) =>
+		result.insertedIds[index].toString()
+	);
+}
+
+// Shapes a gallery document for API responses; the PNG itself is served separately
+function toGalleryEntry(artwork) {
+	const { image, _id, ...rest } = artwork;
+	return {
+		id: _id.toString(),
+		...rest,
+		imageUrl: `/api/gallery/${_id}/image.png`,
+		strokesUrl: `/api/gallery/${_id}/strokes`,
+		timelapseUrl: `/api/gallery/${_id}/timelapse`,
+	};
+}
+
+function parseArtworkId(id) {
+	return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+/**
+ * Express routes for browsing completed corpses. Only games played with a
+ * database are archived, so without one the gallery is empty.
+ * @param {() => import('mongodb').Db|null} getDb Returns the connected
+ *   database, or null when running without one.
+ * @returns {import('express').Router}
+ */
+function createGalleryRouter(getDb) {
+	const router = express.Router();
+
+	router.get('/', async (req, res) => {
+		const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+		const limit = Math.min(
+			Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+			MAX_PAGE_SIZE
+		);
+		const sort = SORT_OPTIONS[req.query.sort || 'newest'];
+		if (!sort) {
+			return res.status(400).json({
+				message: `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(
+					', '
+				)}`,
+			});
+		}
+
+		if (!getDb()) {
+			return res.status(200).json({
+				artworks: [],
+				page: page,
+				limit: limit,
+				total: 0,
+				totalPages: 0,
+			});
+		}
+
+		try {
+			const collection = getDb().collection(GALLERY_COLLECTION_NAME);
+			const [artworks, total] = await Promise.all([
+				collection
+					.find(PUBLIC_FILTER, { projection: SUMMARY_PROJECTION })
+					.sort(sort)
+					.skip((page - 1) * limit)
+					.limit(limit)
+					.toArray(),
+				collection.countDocuments(PUBLIC_FILTER),
+			]);
+			res.status(200).json({
+				artworks: artworks.map(toGalleryEntry),
+				page: page,
+				limit: limit,
+				total: total,
+				totalPages: Math.ceil(total / limit),
+			});
+		} catch (error) {
+			console.error('Error listing gallery:', error);
+			res.status(500).json({ message: 'Failed to list gallery' });
+		}
+	});
+
+	router.get('/:id', async (req, res) => {
+		const artworkId = parseArtworkId(req.params.id);
+		if (!artworkId || !getDb()) {
+			return res.status(404).json({ message: 'Artwork not found' });
+		}
+
+		try {
+			const artwork = await getDb()
+				.collection(GALLERY_COLLECTION_NAME)
+				.findOne(
+					{ _id: artworkId },
+					{ projection: SUMMARY_PROJECTION }
+				);
+			if (!artwork) {
+				return res.status(404).json({ message: 'Artwork not found' });
+			}
+			res.status(200).json(toGalleryEntry(artwork));
+		} catch (error) {
+			console.error('Error fetching artwork:', error);
+			res.status(500).json({ message: 'Failed to fetch artwork' });
+		}
+	});
+
+	// Everything needed to replay the artwork being drawn, segment by segment
+	router.get('/:id/strokes', async (req, res) => {
+		const artworkId = parseArtworkId(req.params.id);
+		if (!artworkId || !getDb()) {
+			return res.status(404).json({ message: 'Artwork not found' });
+		}
+
+		try {
+			const artwork = await getDb()
+				.collection(GALLERY_COLLECTION_NAME)
+				.findOne(
+					{ _id: artworkId },
+					{
+						projection: { image: 0, 'contributors.image': 0 },
+					}
+				);
+			if (!artwork) {
+				return res.status(404).json({ message: 'Artwork not found' });
+			}
+			res.status(200).json({
+				id: artwork._id.toString(),
+				canvasWidth: artwork.canvasWidth,
+				canvasHeight: artwork.canvasHeight,
+				segments: artwork.contributors,
+			});
+		} catch (error) {
+			console.error('Error fetching artwork strokes:', error);
+			res.status(500).json({
+				message: 'Failed to fetch artwork strokes',
+			});
+		}
+	});
+
+	// Animated reveal of the corpse being built: ?format=gif|zip&delay=ms&scale=0.1-1
+	router.get('/:id/timelapse', async (req, res) => {
+		const artworkId = parseArtworkId(req.params.id);
+		if (!artworkId || !getDb()) {
+			return res.status(404).json({ message: 'Artwork not found' });
+		}
+		const options = parseTimelapseOptions(req.query);
+		if (!options) {
+			return res
+				.status(400)
+				.json({ message: 'Invalid timelapse options' });
+		}
+
+		const sendTimelapse = (timelapse) => {
+			res.set(
+				'Content-Disposition',
+				`inline; filename="corpse-${artworkId}.${timelapse.extension}"`
+			);
+			res.set('Cache-Control', 'public, max-age=86400');
+			res.type(timelapse.contentType).send(timelapse.buffer);
+		};
+		const cached = getCachedTimelapse(artworkId.toString(), options);
+		if (cached) {
+			return sendTimelapse(cached);
+		}
+
+		try {
+			const artwork = await getDb()
+				.collection(GALLERY_COLLECTION_NAME)
+				.findOne(
+					{ _id: artworkId },
+					{
+						projection: {
+							canvasWidth: 1,
+							canvasHeight: 1,
+							contributors: 1,
+						},
+					}
+				);
+			if (!artwork) {
+				return res.status(404).json({ message: 'Artwork not found' });
+			}
+
+			const imageStore = getImageStore(getDb());
+			const segments = await Promise.all(
+				artwork.contributors.map(async (contributor) => ({
+					// Older artworks kept each segment inline as `image`
+					dataURL: await loadDataUrl(
+						imageStore,
+						contributor.imageId ?? contributor.image
+					),
+					redLineY: contributor.redLineY,
+					strokes: contributor.strokes,
+				}))
+			);
+			const timelapse = await createTimelapse(
+				artworkId.toString(),
+				segments,
+				{
+					width: artwork.canvasWidth || DEFAULT_CANVAS_WIDTH,
+					height: artwork.canvasHeight || DEFAULT_CANVAS_HEIGHT,
+				},
+				options
+			);
+			if (!timelapse) {
+				res.set('Retry-After', '10');
+				return res.status(503).json({
+					message:
+						'Too many timelapses are being rendered. Try again shortly.',
+				});
+			}
+			sendTimelapse(timelapse);
+		} catch (error) {
+			console.error('Error rendering timelapse:', error);
+			res.status(500).json({ message: 'Failed to render timelapse' });
+		}
+	});
+
+	router.get('/:id/image.png', async (req, res) => {
+		const artworkId = parseArtworkId(req.params.id);
+		if (!artworkId || !getDb()) {
+			return res.status(404).json({ message: 'Artwork not found' });
+		}
+
+		try {
+			const artwork = await getDb()
+				.collection(GALLERY_COLLECTION_NAME)
+				.findOne(
+					{ _id: artworkId },
+					{ projection: { image: 1, imageId: 1 } }
+				);
+			if (!artwork || !(artwork.imageId || artwork.image)) {
+				return res.status(404).json({ message: 'Artwork not found' });
+			}
+			res.set('Cache-Control', 'public, max-age=31536000, immutable');
+
+			if (isDataUrl(artwork.image)) {
+				// Older artworks stored a data URL: strip the "data:image/png;base64," prefix
+				const base64 = artwork.image.substring(
+					artwork.image.indexOf(',') + 1
+				);
+				return res.type('png').send(Buffer.from(base64, 'base64'));
+			}
+
+			const image = await getImageStore(getDb()).open(artwork.imageId);
+			if (!image) {
+				return res.status(404).json({ message: 'Artwork not found' });
+			}
+			res.type(image.contentType);
+			image.stream.on('error', (error) => {
+				console.error('Error streaming artwork image:', error);
+				res.destroy(error);
+			});
+			image.stream.pipe(res);
+		} catch (error) {
+			console.error('Error fetching artwork image:', error);
+			res.status(500).json({ message: 'Failed to fetch artwork image' });
+		}
+	});
+
+	return router;
+}
+
+module.exports = {
+	archiveCompletedGame,
+	createGalleryRouter,
+};
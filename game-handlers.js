@@ -1,512 +1,2583 @@
-const { ObjectId } = require('mongodb');
 const WebSocket = require('ws');
-const { combineCanvases, createBlankCanvas } = require('./canvas-utils');
+const {
+	combineCanvases,
+	createBlankCanvas,
+	renderStrokes,
+} = require('./canvas-utils');
+const { getRoomSegments } = require('./segment-templates');
+const { archiveCompletedGame } = require('./gallery');
+const { recordCompletedGame } = require('./player-history');
+const {
+	scheduleTurnTimer,
+	clearTurnTimer,
+	clearAllTurnTimers,
+} = require('./turn-timers');
+const {
+	MAX_ACTIVE_STROKES,
+	normalizeStrokeStyle,
+	normalizeStrokePoints,
+	getStrokeBudget,
+	canWatchLiveStrokes,
+} = require('./stroke-stream');
+const { ERROR_CODES, sendError } = require('./errors');
+const {
+	getImageStore,
+	saveDataUrl,
+	loadDataUrl,
+	getImageUrl,
+} = require('./image-store');
+const { validateMessage } = require('./message-schemas');
+const { DELETE_ROOM, transitionRoom } = require('./room-transitions');
+const {
+	MIN_PLAYERS,
+	DEFAULT_MAX_PLAYERS,
+	CANVAS_WIDTH,
+	CANVAS_HEIGHT,
+	createBlankCanvasStates,
+	getRoomImageIds,
+	getArchivedImageIds,
+	createPlayerObject,
+	canEnterRoom,
+	resolveRoomOptions,
+	createRoom,
+	getRoomSummary,
+	getHostSecrets,
+} = require('./room-service');
+const { normalizeRoomCode } = require('./room-codes');
+const { broadcastToRoom } = require('./room-clients');
+const { resolveMatchCriteria } = require('./matchmaking');
+const {
+	CHAT_RATE_LIMIT,
+	REACTION_RATE_LIMIT,
+	normalizeChatText,
+	normalizeReaction,
+	createChatMessage,
+	appendChatMessage,
+	createRateLimit,
+} = require('./room-chat');
 
-const COLLECTION_NAME = 'gameRooms';
-const TOTAL_SEGMENTS = 4;
-const MAX_PLAYERS = 2;
-const CANVAS_WIDTH = 1080; // Updated to 1080
-const CANVAS_HEIGHT = 1920; // Updated to 1920
+// How long a dropped player's slot is held before the room gives up on them
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
 
-const segments = ['Head', 'Torso', 'Legs', 'Feet'];
+// Pending slot expiries for disconnected players, keyed by `${gameRoomId}:${playerId}`
+const disconnectTimers = new Map();
 
-// Helper function to generate a unique 4-character alphanumeric game code
-function generateUniqueGameCode() {
-	return Math.random().toString(36).substring(2, 6).toUpperCase();
+// Per-socket limits on chat and reactions; see room-chat.js
+const chatRateLimit = createRateLimit(CHAT_RATE_LIMIT);
+const reactionRateLimit = createRateLimit(REACTION_RATE_LIMIT);
+
+function findPlayerObject(gameRoom, playerId) {
+	return gameRoom.playerObjects.find((pObj) => pObj.id === playerId);
+}
+
+function hasDisconnectedPlayers(gameRoom) {
+	return gameRoom.playerObjects.some((pObj) => pObj.connected === false);
+}
+
+// 'disconnected' while a dropped player's slot is held, 'unresponsive' while
+// their socket is missing heartbeats (see heartbeat.js), else 'connected'
+function getConnectionStatus(playerObject) {
+	if (playerObject.connected === false) return 'disconnected';
+	if (playerObject.unresponsiveSince) return 'unresponsive';
+	return 'connected';
+}
+
+// Players with an account go by their username; guests pick a name, if any
+function getPlayerName(ws, data) {
+	return ws.user ? ws.user.username : data.playerName;
+}
+
+// Who a socket's player is beyond this room, for createPlayerObject
+function getPlayerAccount(ws) {
+	return { userId: ws.user?.id ?? null, guestId: ws.guestId ?? null };
+}
+
+// Everyone seated in the room, as shown to players and spectators alike
+function getPlayerRoster(gameRoom) {
+	return gameRoom.playerObjects.map((pObj) => ({
+		id: pObj.id,
+		name: pObj.name,
+		userId: pObj.userId || null,
+		isHost: pObj.id === gameRoom.hostId,
+		hasSubmitted: gameRoom.submittedPlayers.includes(pObj.id),
+		connected: pObj.connected !== false,
+		connectionStatus: getConnectionStatus(pObj),
+	}));
+}
+
+// The host's copy of a message also carries the passcode and invite token
+function getHostFields(gameRoom, client) {
+	return !client.isSpectator && client.playerId === gameRoom.hostId
+		? getHostSecrets(gameRoom)
+		: {};
+}
+
+// Hands the host role to the first connected player whenever the host has
+// left or dropped. A dropped host stays host while nobody else is connected.
+// Returns whether the host changed.
+function promoteHostIfNeeded(gameRoom) {
+	const host = findPlayerObject(gameRoom, gameRoom.hostId);
+	if (host && host.connected !== false) return false;
+	const nextHost =
+		gameRoom.playerObjects.find((pObj) => pObj.connected !== false) ||
+		(host ? null : gameRoom.playerObjects[0]);
+	if (!nextHost) return false;
+	gameRoom.hostId = nextHost.id;
+	return true;
+}
+
+// Rooms created before N-player support have no maxPlayers field
+function getMaxPlayers(gameRoom) {
+	return gameRoom.maxPlayers || DEFAULT_MAX_PLAYERS;
+}
+
+// Rooms created before canvas sizes were stored use the current defaults
+function getCanvasSize(gameRoom) {
+	return {
+		width: gameRoom.canvasWidth || CANVAS_WIDTH,
+		height: gameRoom.canvasHeight || CANVAS_HEIGHT,
+	};
+}
+
+const blankCanvases = new Map();
+
+// Rooms keep null for a canvas nobody has drawn on yet and image IDs for the
+// rest; clients always get a data URL they can draw straight onto a canvas.
+async function loadCanvasImage(storage, gameRoom, imageRef) {
+	if (imageRef) {
+		const dataUrl = await loadDataUrl(getImageStore(storage.db), imageRef);
+		if (dataUrl) return dataUrl;
+		console.warn(
+			`[IMAGES] Image ${imageRef} for room ${gameRoom._id} is missing; sending a blank canvas.`
+		);
+	}
+	const { width, height } = getCanvasSize(gameRoom);
+	const key = `${width}x${height}`;
+	if (!blankCanvases.has(key)) {
+		blankCanvases.set(key, createBlankCanvas(width, height));
+	}
+	return blankCanvases.get(key);
+}
+
+// Final artworks are shown as plain images, so clients just get URLs,
+// absolute once PUBLIC_BASE_URL is set (see getImageUrl)
+function getFinalArtworkUrls(gameRoom) {
+	return (gameRoom.finalArtworks || []).map(getImageUrl);
+}
+
+// Empties the room's drafts, returning the draft images that no submission
+// ended up using so they can be removed once the room has been saved
+function clearDrafts(gameRoom) {
+	const usedImageIds = new Set(
+		Object.values(
+			gameRoom.segmentHistory?.[gameRoom.currentSegmentIndex] || {}
+		).map((sub) => sub.imageId)
+	);
+	const staleImageIds = Object.values(gameRoom.drafts || {})
+		.map((draft) => draft.imageId)
+		.filter((imageId) => imageId && !usedImageIds.has(imageId));
+	gameRoom.drafts = {};
+	return staleImageIds;
+}
+
+// Everything a room is about to let go of when it starts over, bar what
+// the gallery and player histories still share
+function getReplacedImageIds(gameRoom) {
+	const keptImageIds = getArchivedImageIds(gameRoom);
+	return [...getRoomImageIds(gameRoom)].filter(
+		(imageId) => !keptImageIds.has(imageId)
+	);
+}
+
+function removeImages(storage, imageIds) {
+	const imageStore = getImageStore(storage.db);
+	imageIds.forEach((imageId) => {
+		imageStore
+			.remove(imageId)
+			.catch((error) =>
+				console.error(
+					`[IMAGES] Failed to delete image ${imageId}:`,
+					error
+				)
+			);
+	});
+}
+
+// Builds one artwork per canvas from the segments drawn on it, overlapping
+// each handoff strip at the red line the previous drawer left.
+// Returns the image IDs of the stored artworks, one per canvas.
+async function composeFinalArtworks(storage, gameRoom) {
+	const segments = getRoomSegments(gameRoom);
+	const canvasSize = getCanvasSize(gameRoom);
+	const imageStore = getImageStore(storage.db);
+
+	return Promise.all(
+		gameRoom.activeCanvasStates.map(
+			async (finalCanvasState, canvasIndex) => {
+				try {
+					const canvasSegments = await Promise.all(
+						segments.map(async (label, segmentIndex) => {
+							const submission = Object.values(
+								gameRoom.segmentHistory[segmentIndex] || {}
+							).find((sub) => sub.canvasIndex === canvasIndex);
+							if (!submission) return submission;
+							return {
+								...submission,
+								// Older rooms stored the data URL itself
+								dataURL: await loadDataUrl(
+									imageStore,
+									submission.imageId ?? submission.dataURL
+								),
+							};
+						})
+					);
+					const artwork = await combineCanvases(
+						canvasSegments,
+						canvasSize
+					);
+					return await saveDataUrl(imageStore, artwork);
+				} catch (error) {
+					console.error(
+						`[COMPOSE] Failed to compose artwork ${canvasIndex} for room ${gameRoom._id}:`,
+						error
+					);
+					// Fall back to the last drawing on the canvas
+					return finalCanvasState;
+				}
+			}
+		)
+	);
+}
+
+// Player i starts on canvas i
+function createCanvasAssignments(players) {
+	const canvasAssignments = {};
+	players.forEach((playerId, index) => {
+		canvasAssignments[playerId] = index;
+	});
+	return canvasAssignments;
+}
+
+// Canvases rotate round-robin: each player moves on to the next canvas
+function rotateCanvasAssignments(canvasAssignments, canvasCount) {
+	Object.keys(canvasAssignments).forEach((playerId) => {
+		canvasAssignments[playerId] =
+			(canvasAssignments[playerId] + 1) % canvasCount;
+	});
+}
+
+// The red line left on a canvas by whoever drew it in the previous segment
+function getPreviousRedLineY(gameRoom, canvasIndex) {
+	if (gameRoom.currentSegmentIndex === 0) {
+		return null;
+	}
+	const previousSegmentSubmission = Object.values(
+		gameRoom.segmentHistory[gameRoom.currentSegmentIndex - 1] || {}
+	).find((sub) => sub.canvasIndex === canvasIndex);
+
+	if (
+		previousSegmentSubmission &&
+		previousSegmentSubmission.redLineY !== undefined
+	) {
+		return previousSegmentSubmission.redLineY;
+	}
+	return null;
 }
 
-function getClientMessage(gameRoom, playerId) {
-	if (gameRoom.status === 'completed') {
-		return '';
+function getWaitingMessage(missingPlayers) {
+	return `Waiting for ${missingPlayers} more player${
+		missingPlayers === 1 ? '' : 's'
+	}...`;
+}
+
+function getClientMessage(gameRoom, playerId) {
+	if (gameRoom.status === 'completed') {
+		return '';
+	}
+	if (gameRoom.status === 'paused') {
+		return 'Game paused. Waiting for a player to reconnect...';
+	}
+	if (gameRoom.status === 'waiting') {
+		return `Joined game ${gameRoom.gameCode}. ${getWaitingMessage(
+			getMaxPlayers(gameRoom) - gameRoom.playerCount
+		)}`;
+	}
+
+	const hasSubmitted = gameRoom.submittedPlayers.includes(playerId);
+	const segmentName = getRoomSegments(gameRoom)[gameRoom.currentSegmentIndex];
+
+	return hasSubmitted
+		? 'Waiting for other players to submit their segments.'
+		: `Draw the ${segmentName}.`;
+}
+
+function getSpectatorCount(gameRoom) {
+	return (gameRoom.spectators || []).length;
+}
+
+function getSpectatorMessage(gameRoom) {
+	const segmentName = getRoomSegments(gameRoom)[gameRoom.currentSegmentIndex];
+	switch (gameRoom.status) {
+		case 'waiting':
+			return `Spectating game ${gameRoom.gameCode}. ${getWaitingMessage(
+				getMaxPlayers(gameRoom) - gameRoom.playerCount
+			)}`;
+		case 'paused':
+			return 'Game paused. Waiting for a player to reconnect...';
+		case 'completed':
+			return 'The corpse is complete!';
+		default:
+			return `Players are drawing the ${segmentName} (${gameRoom.submittedPlayers.length}/${gameRoom.playerCount} submitted).`;
+	}
+}
+
+// What spectators get instead of a player's state: progress only, never the
+// in-progress canvases, so nothing is spoiled before the final reveal.
+function getSpectatorState(gameRoom) {
+	const segments = getRoomSegments(gameRoom);
+	const isCompleted = gameRoom.status === 'completed';
+	return {
+		isSpectator: true,
+		message: getSpectatorMessage(gameRoom),
+		gameRoomId: gameRoom._id.toString(),
+		gameCode: gameRoom.gameCode,
+		currentSegmentIndex: gameRoom.currentSegmentIndex,
+		currentSegment: segments[gameRoom.currentSegmentIndex],
+		segments: segments,
+		templateName: gameRoom.templateName,
+		playerCount: gameRoom.playerCount,
+		maxPlayers: getMaxPlayers(gameRoom),
+		status: gameRoom.status,
+		players: getPlayerRoster(gameRoom),
+		submittedCount: gameRoom.submittedPlayers.length,
+		spectatorCount: getSpectatorCount(gameRoom),
+		...getTurnTimerState(gameRoom),
+		canDraw: false,
+		isWaitingForOthers: !isCompleted,
+		canvasData: null,
+		previousRedLineY: null,
+		finalArtworks: isCompleted ? getFinalArtworkUrls(gameRoom) : [],
+		galleryIds: isCompleted ? gameRoom.galleryIds : [],
+	};
+}
+
+// Deals the canvases and starts the first segment. Called once the room is
+// full, or when the host starts the game early.
+function beginGame(gameRoom) {
+	// Don't start while a held slot is still waiting on a rejoin
+	gameRoom.status = hasDisconnectedPlayers(gameRoom) ? 'paused' : 'playing';
+	// Every player starts on their own canvas
+	gameRoom.canvasAssignments = createCanvasAssignments(gameRoom.players);
+	if (gameRoom.status === 'playing') {
+		startTurn(gameRoom);
+	}
+}
+
+// Carries on a paused game once everyone is back. A room paused before its
+// canvases were dealt starts afresh when full, and otherwise waits for more.
+function resumeGame(gameRoom) {
+	if (Object.keys(gameRoom.canvasAssignments || {}).length > 0) {
+		gameRoom.status = 'playing';
+		resumeTurn(gameRoom);
+	} else if (
+		gameRoom.playerCount === getMaxPlayers(gameRoom) &&
+		!gameRoom.manualStart
+	) {
+		beginGame(gameRoom);
+	} else {
+		gameRoom.status = 'waiting';
+	}
+}
+
+// Starts the drawing clock for the current segment, if the room is timed
+function startTurn(gameRoom) {
+	if (!gameRoom.turnTimeLimitMs) return;
+	const now = Date.now();
+	gameRoom.turnStartedAt = new Date(now);
+	gameRoom.turnDeadline = new Date(now + gameRoom.turnTimeLimitMs);
+	gameRoom.turnRemainingMs = null;
+}
+
+// Freezes the clock while the room is paused, remembering the time left
+function pauseTurn(gameRoom) {
+	clearTurnTimer(gameRoom._id.toString());
+	if (!gameRoom.turnDeadline) return;
+	gameRoom.turnRemainingMs = Math.max(
+		new Date(gameRoom.turnDeadline).getTime() - Date.now(),
+		0
+	);
+	gameRoom.turnDeadline = null;
+}
+
+// Restarts a paused clock with whatever time was left when it stopped
+function resumeTurn(gameRoom) {
+	if (!gameRoom.turnTimeLimitMs) return;
+	const remainingMs = gameRoom.turnRemainingMs ?? gameRoom.turnTimeLimitMs;
+	const now = Date.now();
+	gameRoom.turnStartedAt = new Date(
+		now - (gameRoom.turnTimeLimitMs - remainingMs)
+	);
+	gameRoom.turnDeadline = new Date(now + remainingMs);
+	gameRoom.turnRemainingMs = null;
+}
+
+function stopTurn(gameRoom) {
+	clearTurnTimer(gameRoom._id.toString());
+	gameRoom.turnStartedAt = null;
+	gameRoom.turnDeadline = null;
+	gameRoom.turnRemainingMs = null;
+}
+
+// Timer fields sent with every state update. Clients count down against
+// turnDeadline, using serverTime to correct for their own clock skew.
+function getTurnTimerState(gameRoom) {
+	return {
+		turnTimeLimitMs: gameRoom.turnTimeLimitMs || null,
+		turnStartedAt: gameRoom.turnStartedAt || null,
+		turnDeadline: gameRoom.turnDeadline || null,
+		serverTime: new Date(),
+	};
+}
+
+// Arms the in-process timer for the room's stored deadline. Call after saving.
+function armTurnTimer(wss, storage, gameRoom) {
+	if (gameRoom.status !== 'playing' || !gameRoom.turnDeadline) return;
+	const gameRoomId = gameRoom._id.toString();
+	const segmentIndex = gameRoom.currentSegmentIndex;
+	scheduleTurnTimer(gameRoomId, gameRoom.turnDeadline, () =>
+		expireTurn(wss, storage, gameRoomId, segmentIndex)
+	);
+}
+
+// Auto-submits the last saved draft (or a blank canvas) for every player who
+// hadn't submitted by the deadline, so one idle player can't stall the room.
+async function expireTurn(wss, storage, gameRoomId, segmentIndex) {
+	const gameRoom = await storage.rooms.findOne({ id: gameRoomId });
+	if (
+		!gameRoom ||
+		gameRoom.status !== 'playing' ||
+		gameRoom.currentSegmentIndex !== segmentIndex
+	) {
+		return;
+	}
+	// The deadline moved since this timer was armed; wait for the new one
+	if (new Date(gameRoom.turnDeadline).getTime() > Date.now()) {
+		armTurnTimer(wss, storage, gameRoom);
+		return;
+	}
+
+	const { width, height } = getCanvasSize(gameRoom);
+	const pendingPlayers = gameRoom.players.filter(
+		(pId) => !gameRoom.submittedPlayers.includes(pId)
+	);
+	console.log(
+		`[TIMER] Segment ${segmentIndex} timed out in room ${gameRoomId}. Auto-submitting for ${pendingPlayers.length} player(s).`
+	);
+
+	for (const playerId of pendingPlayers) {
+		const draft = gameRoom.drafts?.[playerId];
+		const strokes = gameRoom.strokeHistory?.[segmentIndex]?.[playerId];
+		// Prefer the saved draft, then whatever strokes we recorded live
+		let canvasData = null;
+		if (!draft?.imageId) {
+			canvasData = strokes?.length
+				? renderStrokes(strokes, width, height)
+				: createBlankCanvas(width, height);
+		}
+		await submitPlayerSegment(wss, storage, gameRoomId, playerId, {
+			segmentIndex: segmentIndex,
+			imageId: draft?.imageId,
+			canvasData: canvasData,
+			redLineY: draft?.redLineY,
+			autoSubmitted: true,
+		});
+	}
+}
+
+/**
+ * Re-arms turn timers for every timed room that was mid-segment when the
+ * server last stopped. Deadlines that passed while it was down fire at once.
+ */
+async function restoreTurnTimers(wss, storage) {
+	const gameRooms = await storage.rooms.findTimedRooms();
+	gameRooms.forEach((gameRoom) => armTurnTimer(wss, storage, gameRoom));
+	console.log(`[TIMER] Restored ${gameRooms.length} turn timer(s).`);
+}
+
+// Forwards a live stroke event to everyone in the room allowed to watch it
+function relayStroke(storage, ws, activeStroke, payload) {
+	return storage.events.publish({
+		gameRoomId: ws.gameRoomId,
+		name: 'stroke',
+		data: {
+			senderSocketId: ws.id,
+			liveDrawing: activeStroke.liveDrawing,
+			message: {
+				...payload,
+				playerId: ws.playerId,
+				segmentIndex: activeStroke.segmentIndex,
+				canvasIndex: activeStroke.canvasIndex,
+			},
+		},
+	});
+}
+
+// Records one player's drawing for the current segment and, once every
+// player is in, advances the room to the next segment or completes it.
+// Used both for player submissions and for auto-submits when a turn times out.
+// Returns an ERROR_CODES value if the submission was refused.
+async function submitPlayerSegment(
+	wss,
+	storage,
+	gameRoomId,
+	playerId,
+	submission
+) {
+	const { rooms } = storage;
+	const imageStore = getImageStore(storage.db);
+	// Drafts are already in the image store; fresh drawings arrive as data URLs
+	const imageId =
+		submission.imageId ||
+		(await saveDataUrl(imageStore, submission.canvasData));
+
+	let segmentIndex;
+	let isSegmentComplete = false;
+	let staleDraftImageIds = [];
+	const { gameRoom, result: errorCode } = await transitionRoom(
+		rooms,
+		{ id: gameRoomId },
+		(gameRoom) => {
+			if (gameRoom.status !== 'playing') {
+				return ERROR_CODES.GAME_NOT_IN_PROGRESS;
+			}
+			// Only seated players can submit; spectators are read-only
+			if (!gameRoom.players.includes(playerId)) {
+				return ERROR_CODES.NOT_A_PLAYER;
+			}
+			if (
+				gameRoom.submittedPlayers.includes(playerId) ||
+				// Auto-submits are for one segment; the room may have moved on
+				(submission.segmentIndex !== undefined &&
+					submission.segmentIndex !== gameRoom.currentSegmentIndex)
+			) {
+				return ERROR_CODES.NOT_YOUR_TURN;
+			}
+
+			segmentIndex = gameRoom.currentSegmentIndex;
+			gameRoom.submittedPlayers.push(playerId);
+
+			const canvasIndex = gameRoom.canvasAssignments[playerId];
+			gameRoom.activeCanvasStates[canvasIndex] = imageId;
+
+			if (!gameRoom.segmentHistory) {
+				gameRoom.segmentHistory = {};
+			}
+			if (!gameRoom.segmentHistory[segmentIndex]) {
+				gameRoom.segmentHistory[segmentIndex] = {};
+			}
+
+			gameRoom.segmentHistory[segmentIndex][playerId] = {
+				playerId: playerId,
+				canvasIndex: canvasIndex,
+				imageId: imageId,
+				redLineY: submission.redLineY,
+				autoSubmitted: Boolean(submission.autoSubmitted),
+				// Strokes streamed while drawing, kept so the segment can be replayed
+				strokes:
+					gameRoom.strokeHistory?.[segmentIndex]?.[playerId] || [],
+			};
+
+			isSegmentComplete =
+				gameRoom.submittedPlayers.length === getMaxPlayers(gameRoom);
+			staleDraftImageIds = [];
+			if (!isSegmentComplete) return;
+
+			staleDraftImageIds = clearDrafts(gameRoom);
+			if (segmentIndex + 1 >= getRoomSegments(gameRoom).length) {
+				gameRoom.status = 'completed';
+				stopTurn(gameRoom);
+			} else {
+				gameRoom.currentSegmentIndex++;
+				gameRoom.submittedPlayers = [];
+				gameRoom.currentSegmentSubmissions = {};
+				gameRoom.strokeHistory = {};
+
+				// Pass every canvas on to the next player for the next round
+				rotateCanvasAssignments(
+					gameRoom.canvasAssignments,
+					gameRoom.activeCanvasStates.length
+				);
+				startTurn(gameRoom);
+			}
+		}
+	);
+	if (!gameRoom || errorCode) {
+		// Nothing references the drawing now, unless it was a saved draft
+		if (!submission.imageId) {
+			await imageStore.remove(imageId);
+		}
+		return errorCode || ERROR_CODES.ROOM_NOT_FOUND;
+	}
+	removeImages(storage, staleDraftImageIds);
+
+	const maxPlayers = getMaxPlayers(gameRoom);
+	console.log(
+		`[SUBMIT] Player ${playerId} submitted for segment ${segmentIndex}.`
+	);
+
+	await publishRoomEvent(storage, 'segmentSubmitted', gameRoom, {
+		playerId: playerId,
+	});
+
+	if (isSegmentComplete) {
+		console.log(
+			`[SUBMIT] All ${maxPlayers} players submitted for segment ${segmentIndex}.`
+		);
+
+		// Only the submission that completed the game gets here, so the
+		// artworks are composed and archived exactly once
+		if (gameRoom.status === 'completed') {
+			// Stitch every canvas's segments into its final artwork
+			gameRoom.finalArtworks = await composeFinalArtworks(
+				storage,
+				gameRoom
+			);
+			// Persist the artworks so they survive the room being deleted.
+			// The gallery lives in Mongo, so rooms kept in memory skip it.
+			gameRoom.galleryIds = [];
+			if (storage.db) {
+				try {
+					gameRoom.galleryIds = await archiveCompletedGame(
+						storage.db,
+						gameRoom
+					);
+				} catch (error) {
+					console.error(
+						`[SUBMIT] Failed to archive artworks for room ${gameRoom._id}:`,
+						error
+					);
+				}
+			}
+			// Credit each player with an account or guest token, so they can
+			// find their work again once the room is gone
+			gameRoom.historyRecorded = false;
+			try {
+				gameRoom.historyRecorded =
+					(await recordCompletedGame(storage.history, gameRoom)) > 0;
+			} catch (error) {
+				console.error(
+					`[SUBMIT] Failed to record player history for room ${gameRoom._id}:`,
+					error
+				);
+			}
+			const { finalArtworks, galleryIds, historyRecorded } = gameRoom;
+			await transitionRoom(rooms, { id: gameRoomId }, (latestRoom) => {
+				latestRoom.finalArtworks = finalArtworks;
+				latestRoom.galleryIds = galleryIds;
+				latestRoom.historyRecorded = historyRecorded;
+			});
+		}
+
+		// Only a new segment needs a new timer; mid-segment the old one stands
+		armTurnTimer(wss, storage, gameRoom);
+
+		await publishRoomEvent(storage, 'gameUpdate', gameRoom);
+	}
+}
+
+// --- Room events ---
+// Broadcasts are published as room events rather than sent straight to
+// wss.clients, so players connected to other server processes get them too
+// (see room-events.js). Each process delivers every event to its own sockets
+// in the room, found through wss.roomClients (see room-clients.js), building
+// each recipient's message from the room in the event.
+
+function publishRoomEvent(storage, name, gameRoom, data = {}) {
+	return storage.events.publish({
+		gameRoomId: gameRoom._id.toString(),
+		name: name,
+		gameRoom: gameRoom,
+		data: data,
+	});
+}
+
+// Each handler turns one event into a message builder for the room's sockets
+// on this process (see broadcastToRoom in room-clients.js). Shared work, like
+// loading canvases, happens once per event rather than once per socket.
+const ROOM_EVENT_HANDLERS = {
+	// A live stroke, for everyone in the room allowed to watch it
+	async stroke(storage, { data }) {
+		return (client) =>
+			client.id !== data.senderSocketId &&
+			canWatchLiveStrokes(client, data.liveDrawing)
+				? data.message
+				: null;
+	},
+
+	// Let spectators follow each submission as it happens
+	async segmentSubmitted(storage, { gameRoom, data }) {
+		return (client) =>
+			client.isSpectator
+				? {
+						type: 'segmentSubmitted',
+						...getSpectatorState(gameRoom),
+						submittedPlayerId: data.playerId,
+						submittedPlayerName: findPlayerObject(
+							gameRoom,
+							data.playerId
+						)?.name,
+				  }
+				: null;
+	},
+
+	async gameJoined(storage, { gameRoom }) {
+		const segments = getRoomSegments(gameRoom);
+		return async (client) => {
+			if (client.isSpectator) {
+				return { type: 'gameJoined', ...getSpectatorState(gameRoom) };
+			}
+			const assignedCanvasIndex =
+				gameRoom.canvasAssignments[client.playerId];
+			const canvasDataToSend = await loadCanvasImage(
+				storage,
+				gameRoom,
+				gameRoom.activeCanvasStates[assignedCanvasIndex]
+			);
+
+			const previousRedLineY = getPreviousRedLineY(
+				gameRoom,
+				assignedCanvasIndex
+			);
+
+			return {
+				type: 'gameJoined', // Changed to gameJoined for initial join response
+				message: getClientMessage(gameRoom, client.playerId),
+				playerId: client.playerId,
+				playerToken: findPlayerObject(gameRoom, client.playerId)?.token,
+				currentSegmentIndex: gameRoom.currentSegmentIndex,
+				currentSegment: segments[gameRoom.currentSegmentIndex], // Send current segment name
+				segments: segments,
+				templateName: gameRoom.templateName,
+				playerCount: gameRoom.playerCount,
+				maxPlayers: getMaxPlayers(gameRoom),
+				players: getPlayerRoster(gameRoom),
+				hostId: gameRoom.hostId,
+				...getHostFields(gameRoom, client),
+				status: gameRoom.status,
+				canDraw: !gameRoom.submittedPlayers.includes(client.playerId),
+				isWaitingForOthers: gameRoom.submittedPlayers.includes(
+					client.playerId
+				),
+				canvasData: canvasDataToSend,
+				previousRedLineY: previousRedLineY,
+				chat: gameRoom.chat || [], // Scrollback, oldest first
+				...getTurnTimerState(gameRoom),
+			};
+		};
+	},
+
+	async gameUpdate(storage, { gameRoom }) {
+		const segments = getRoomSegments(gameRoom);
+		const maxPlayers = getMaxPlayers(gameRoom);
+		const isCompleted = gameRoom.status === 'completed';
+		const canvasImages = isCompleted
+			? []
+			: await Promise.all(
+					gameRoom.activeCanvasStates.map((imageRef) =>
+						loadCanvasImage(storage, gameRoom, imageRef)
+					)
+			  );
+		const finalArtworkUrls = getFinalArtworkUrls(gameRoom);
+
+		return (client) => {
+			if (client.isSpectator) {
+				return { type: 'gameUpdate', ...getSpectatorState(gameRoom) };
+			}
+			const assignedCanvasIndex =
+				gameRoom.canvasAssignments[client.playerId];
+			const canvasDataToSend = canvasImages[assignedCanvasIndex];
+
+			const previousRedLineYForNextPlayer = getPreviousRedLineY(
+				gameRoom,
+				assignedCanvasIndex
+			);
+
+			return {
+				type: 'gameUpdate', // Changed to gameUpdate for subsequent updates
+				message: getClientMessage(gameRoom, client.playerId),
+				currentSegmentIndex: gameRoom.currentSegmentIndex,
+				currentSegment: segments[gameRoom.currentSegmentIndex], // Send current segment name
+				segments: segments,
+				playerCount: gameRoom.playerCount,
+				maxPlayers: maxPlayers,
+				players: getPlayerRoster(gameRoom),
+				spectatorCount: getSpectatorCount(gameRoom),
+				status: gameRoom.status,
+				canDraw:
+					!isCompleted &&
+					!gameRoom.submittedPlayers.includes(client.playerId),
+				isWaitingForOthers: isCompleted
+					? false
+					: gameRoom.submittedPlayers.includes(client.playerId),
+				canvasData: isCompleted ? null : canvasDataToSend,
+				finalArtworks: finalArtworkUrls,
+				finalArtwork1: finalArtworkUrls[0],
+				finalArtwork2: finalArtworkUrls[1],
+				galleryIds: gameRoom.galleryIds,
+				previousRedLineY: previousRedLineYForNextPlayer,
+				...getTurnTimerState(gameRoom),
+			};
+		};
+	},
+
+	async gameReset(storage, { gameRoom }) {
+		const segments = getRoomSegments(gameRoom);
+		const maxPlayers = getMaxPlayers(gameRoom);
+		return async (client) => {
+			if (client.isSpectator) {
+				return { type: 'gameReset', ...getSpectatorState(gameRoom) };
+			}
+			const assignedCanvasIndex =
+				gameRoom.canvasAssignments[client.playerId];
+			// Unassigned players fall back to a blank canvas
+			const canvasDataToSend = await loadCanvasImage(
+				storage,
+				gameRoom,
+				gameRoom.activeCanvasStates[assignedCanvasIndex]
+			);
+
+			return {
+				type: 'gameReset', // New message type for play again
+				message: getClientMessage(gameRoom, client.playerId),
+				gameRoomId: gameRoom._id.toString(),
+				gameCode: gameRoom.gameCode,
+				playerCount: gameRoom.playerCount,
+				maxPlayers: maxPlayers,
+				players: getPlayerRoster(gameRoom),
+				spectatorCount: getSpectatorCount(gameRoom),
+				status: gameRoom.status,
+				currentSegmentIndex: gameRoom.currentSegmentIndex,
+				currentSegment: segments[gameRoom.currentSegmentIndex],
+				segments: segments,
+				templateName: gameRoom.templateName,
+				canDraw:
+					gameRoom.status === 'playing' &&
+					!gameRoom.submittedPlayers.includes(client.playerId),
+				isWaitingForOthers:
+					gameRoom.status !== 'playing' ||
+					gameRoom.submittedPlayers.includes(client.playerId),
+				canvasData: canvasDataToSend,
+				previousRedLineY: null,
+				isGameOver: false,
+				finalArtworks: [],
+				finalArtwork1: null,
+				finalArtwork2: null,
+				...getTurnTimerState(gameRoom),
+			};
+		};
+	},
+
+	async playerRejoined(storage, { gameRoom, data }, clients, roomClients) {
+		// Detach any socket still holding this slot (e.g. a stale tab)
+		const staleClients = new Set(
+			clients.filter(
+				(client) =>
+					client.id !== data.socketId &&
+					client.playerId === data.playerId
+			)
+		);
+		staleClients.forEach((client) => {
+			roomClients.remove(client);
+			client.close(4000, 'Session resumed elsewhere');
+		});
+
+		const segments = getRoomSegments(gameRoom);
+		const isCompleted = gameRoom.status === 'completed';
+		const finalArtworkUrls = getFinalArtworkUrls(gameRoom);
+
+		return async (client) => {
+			if (staleClients.has(client)) return null;
+			if (client.isSpectator) {
+				return {
+					type: 'playerReconnected',
+					...getSpectatorState(gameRoom),
+				};
+			}
+			const isRejoiningSocket = client.id === data.socketId;
+			const assignedCanvasIndex =
+				gameRoom.canvasAssignments[client.playerId];
+			const hasSubmitted = gameRoom.submittedPlayers.includes(
+				client.playerId
+			);
+
+			return {
+				// The rejoining socket gets a full replay, everyone else a notice
+				type: isRejoiningSocket ? 'gameRejoined' : 'playerReconnected',
+				message: getClientMessage(gameRoom, client.playerId),
+				gameRoomId: gameRoom._id.toString(),
+				gameCode: gameRoom.gameCode,
+				playerId: isRejoiningSocket ? data.playerId : undefined,
+				playerToken: isRejoiningSocket
+					? findPlayerObject(gameRoom, data.playerId)?.token
+					: undefined,
+				reconnectedPlayerId: data.playerId,
+				currentSegmentIndex: gameRoom.currentSegmentIndex,
+				currentSegment: segments[gameRoom.currentSegmentIndex],
+				segments: segments,
+				templateName: gameRoom.templateName,
+				playerCount: gameRoom.playerCount,
+				maxPlayers: getMaxPlayers(gameRoom),
+				players: getPlayerRoster(gameRoom),
+				hostId: gameRoom.hostId,
+				...(isRejoiningSocket ? getHostFields(gameRoom, client) : {}),
+				status: gameRoom.status,
+				canDraw: gameRoom.status === 'playing' && !hasSubmitted,
+				isWaitingForOthers:
+					gameRoom.status !== 'playing' || hasSubmitted,
+				canvasData:
+					isCompleted || assignedCanvasIndex === undefined
+						? null
+						: await loadCanvasImage(
+								storage,
+								gameRoom,
+								gameRoom.activeCanvasStates[assignedCanvasIndex]
+						  ),
+				previousRedLineY: isCompleted
+					? null
+					: getPreviousRedLineY(gameRoom, assignedCanvasIndex),
+				finalArtworks: finalArtworkUrls,
+				finalArtwork1: finalArtworkUrls[0],
+				finalArtwork2: finalArtworkUrls[1],
+				galleryIds: gameRoom.galleryIds,
+				chat: isRejoiningSocket ? gameRoom.chat || [] : undefined,
+				...getTurnTimerState(gameRoom),
+			};
+		};
+	},
+
+	// A dropped player's slot is being held for them
+	async playerDisconnected(storage, { gameRoom, data }) {
+		return (client) =>
+			client.isSpectator
+				? { type: 'playerDisconnected', ...getSpectatorState(gameRoom) }
+				: {
+						type: 'playerDisconnected',
+						message: `Player ${data.playerId} disconnected. Waiting for them to reconnect...`,
+						disconnectedPlayerId: data.playerId,
+						reconnectDeadline: data.reconnectDeadline,
+						playerCount: gameRoom.playerCount,
+						maxPlayers: getMaxPlayers(gameRoom),
+						players: getPlayerRoster(gameRoom),
+						status: gameRoom.status,
+						currentSegmentIndex: gameRoom.currentSegmentIndex,
+						canDraw: false,
+						isWaitingForOthers: true,
+						...getTurnTimerState(gameRoom),
+				  };
+	},
+
+	// A dropped player never came back, so the room was reset without them
+	async playerLeft(storage, { gameRoom, data }) {
+		const blankCanvas = await loadCanvasImage(storage, gameRoom, null);
+		return (client) =>
+			client.isSpectator
+				? { type: 'playerDisconnected', ...getSpectatorState(gameRoom) }
+				: {
+						type: 'playerDisconnected',
+						message: `Player ${
+							data.playerId
+						} left. ${getWaitingMessage(
+							getMaxPlayers(gameRoom) - gameRoom.playerCount
+						)}`,
+						playerCount: gameRoom.playerCount,
+						maxPlayers: getMaxPlayers(gameRoom),
+						players: getPlayerRoster(gameRoom),
+						status: gameRoom.status,
+						currentSegmentIndex: 0,
+						canDraw: false,
+						isWaitingForOthers: false,
+						canvasData: blankCanvas,
+						previousRedLineY: null,
+				  };
+	},
+
+	// The host started the game before the room filled up
+	async gameStarted(storage, event) {
+		const buildJoinedMessage = await ROOM_EVENT_HANDLERS.gameJoined(
+			storage,
+			event
+		);
+		return async (client) => ({
+			...(await buildJoinedMessage(client)),
+			type: 'gameStarted',
+		});
+	},
+
+	// The host removed a player, whose sockets leave the room with a notice;
+	// everyone else sees the room as if the player had left
+	async playerKicked(storage, event, clients, roomClients) {
+		const { gameRoom, data } = event;
+		const kickedClients = new Set(
+			clients.filter(
+				(client) =>
+					!client.isSpectator && client.playerId === data.playerId
+			)
+		);
+		kickedClients.forEach((client) => roomClients.remove(client));
+
+		const isCompleted = gameRoom.status === 'completed';
+		const buildLeftMessage = isCompleted
+			? null
+			: await ROOM_EVENT_HANDLERS.playerLeft(storage, event);
+		const message = `${data.playerName} was removed by the host.`;
+		return (client) => {
+			if (kickedClients.has(client)) {
+				return {
+					type: 'kicked',
+					gameCode: gameRoom.gameCode,
+					message: 'The host removed you from the game.',
+				};
+			}
+			if (client.isSpectator) {
+				return { type: 'playerKicked', ...getSpectatorState(gameRoom) };
+			}
+			// Finished games keep their results on screen
+			const roomState = isCompleted
+				? {
+						playerCount: gameRoom.playerCount,
+						players: getPlayerRoster(gameRoom),
+						status: gameRoom.status,
+				  }
+				: buildLeftMessage(client);
+			return {
+				...roomState,
+				type: 'playerKicked',
+				message: message,
+				kickedPlayerId: data.playerId,
+			};
+		};
+	},
+
+	// The host handed over the role or left; the new host gets the secrets
+	async hostChanged(storage, { gameRoom }) {
+		const host = findPlayerObject(gameRoom, gameRoom.hostId);
+		return (client) => ({
+			type: 'hostChanged',
+			message: `${host?.name} is now the host.`,
+			hostId: gameRoom.hostId,
+			players: getPlayerRoster(gameRoom),
+			...getHostFields(gameRoom, client),
+		});
+	},
+
+	async roomLockChanged(storage, { gameRoom }) {
+		return () => ({
+			type: 'roomLockChanged',
+			message: gameRoom.isLocked
+				? 'The host locked the room.'
+				: 'The host unlocked the room.',
+			isLocked: gameRoom.isLocked,
+		});
+	},
+
+	// Chat goes to everyone in the room, players and spectators alike
+	async chatMessage(storage, { data }) {
+		return () => ({ type: 'chatMessage', ...data });
+	},
+
+	async reaction(storage, { data }) {
+		return () => ({ type: 'reaction', ...data });
+	},
+
+	// A player's socket stopped or resumed answering heartbeats
+	async connectionStatus(storage, { gameRoom, data }) {
+		const playerObject = findPlayerObject(gameRoom, data.playerId);
+		if (!playerObject) return () => null;
+		return () => ({
+			type: 'connectionStatus',
+			playerId: data.playerId,
+			connectionStatus: getConnectionStatus(playerObject),
+			players: getPlayerRoster(gameRoom),
+		});
+	},
+
+	// Published by room-janitor.js once the room has been deleted
+	async roomExpired(storage, { data }, clients, roomClients) {
+		clients.forEach((client) => roomClients.remove(client));
+		return () => ({
+			type: 'roomExpired',
+			gameCode: data.gameCode,
+			message: data.reason,
+		});
+	},
+};
+
+/**
+ * Delivers room events from every server process to the sockets this one
+ * holds. Events for the same room are delivered one at a time, in order.
+ * @returns {() => void} Stops delivery.
+ */
+function subscribeToRoomEvents(wss, storage) {
+	const { roomClients } = wss;
+	const deliveries = new Map(); // gameRoomId -> the last delivery queued
+
+	return storage.events.subscribe((event) => {
+		const handler = ROOM_EVENT_HANDLERS[event.name];
+		if (!handler) {
+			console.warn(
+				`[EVENTS] Ignoring unknown room event '${event.name}'.`
+			);
+			return;
+		}
+		const previous = deliveries.get(event.gameRoomId) || Promise.resolve();
+		const delivery = previous
+			.then(async () => {
+				// Recipients are fixed before the handler moves anyone out
+				const clients = roomClients.getClients(event.gameRoomId);
+				if (clients.length === 0) return;
+				const buildMessage = await handler(
+					storage,
+					event,
+					clients,
+					roomClients
+				);
+				await broadcastToRoom(clients, buildMessage);
+			})
+			.catch((error) =>
+				console.error(
+					`[EVENTS] Failed to deliver '${event.name}' for room ${event.gameRoomId}:`,
+					error
+				)
+			)
+			.finally(() => {
+				if (deliveries.get(event.gameRoomId) === delivery) {
+					deliveries.delete(event.gameRoomId);
+				}
+			});
+		deliveries.set(event.gameRoomId, delivery);
+	});
+}
+
+const SUBMIT_ERROR_MESSAGES = {
+	[ERROR_CODES.ROOM_NOT_FOUND]: 'This game no longer exists.',
+	[ERROR_CODES.GAME_NOT_IN_PROGRESS]:
+		'The game is not currently being played.',
+	[ERROR_CODES.NOT_A_PLAYER]: 'Only players can submit segments.',
+	[ERROR_CODES.NOT_YOUR_TURN]: 'You have already submitted this segment.',
+};
+
+// Entry point for every inbound frame: parses and validates it against its
+// schema, then dispatches it, turning any failure into a typed error reply.
+async function handleWebSocketMessage(ws, wss, storage, message) {
+	let data;
+	try {
+		data = JSON.parse(message);
+	} catch (error) {
+		sendError(ws, ERROR_CODES.INVALID_JSON, 'Message is not valid JSON.');
+		return;
+	}
+
+	const validationError = validateMessage(data);
+	if (validationError) {
+		sendError(ws, validationError.code, validationError.message, {
+			requestType: typeof data?.type === 'string' ? data.type : undefined,
+			details: validationError.details,
+		});
+		return;
+	}
+
+	try {
+		await dispatchMessage(ws, wss, storage, data);
+	} catch (error) {
+		console.error(
+			`[WS] Error handling '${data.type}' from client ${ws.id}:`,
+			error
+		);
+		sendError(
+			ws,
+			ERROR_CODES.INTERNAL_ERROR,
+			'Something went wrong on the server. Please try again.',
+			{ requestType: data.type }
+		);
+	}
+}
+
+async function dispatchMessage(ws, wss, storage, data) {
+	const { rooms } = storage;
+	const respondWithError = (code, message) =>
+		sendError(ws, code, message, { requestType: data.type });
+
+	if (ROOM_ENTRY_TYPES.includes(data.type)) {
+		// A seat is only given up by closing its socket, so taking another
+		// one, or watching, would leave a ghost player behind
+		if (ws.gameRoomId && !ws.isSpectator) {
+			respondWithError(
+				ERROR_CODES.ALREADY_IN_ROOM,
+				'You are already in a game. Connect again to enter another.'
+			);
+			return;
+		}
+		// Finding a room some other way ends the wait for a match
+		await leaveMatchmaking(wss, ws);
+	}
+
+	// Handle 'createGame' message
+	if (data.type === 'createGame') {
+		const { options, error } = resolveRoomOptions(data);
+		if (error) {
+			respondWithError(ERROR_CODES.INVALID_PAYLOAD, error);
+			return;
+		}
+
+		const {
+			gameRoom: newGameRoom,
+			gameRoomId,
+			playerToken,
+		} = await createRoom(rooms, options, {
+			playerId: ws.id,
+			playerName: getPlayerName(ws, data),
+			account: getPlayerAccount(ws),
+		});
+		wss.roomClients.add(ws, gameRoomId);
+		ws.playerId = ws.id; // Store WebSocket ID as playerId
+
+		console.log(
+			`Game created with code: ${newGameRoom.gameCode} by player: ${ws.playerId}`
+		);
+
+		ws.send(
+			JSON.stringify({
+				type: 'gameCreated',
+				message: `Game created! Share code: ${
+					newGameRoom.gameCode
+				}. ${getWaitingMessage(options.maxPlayers - 1)}`,
+				...getRoomSummary(newGameRoom),
+				playerId: ws.playerId,
+				playerToken: playerToken, // Needed to rejoin after a dropped connection
+				...getHostSecrets(newGameRoom), // The creator hosts the room
+				canDraw: false, // Creator cannot draw yet, waiting for another player
+				isWaitingForOthers: true, // Creator is waiting
+				canvasData: await loadCanvasImage(storage, newGameRoom, null), // Send initial blank canvas data
+				previousRedLineY: null, // No previous red line for the first segment
+				...getTurnTimerState(newGameRoom),
+			})
+		);
+		return; // Exit after handling 'createGame'
+	}
+
+	if (data.type === 'joinGame') {
+		const { gameRoom, result: errorCode } = await transitionRoom(
+			rooms,
+			{ gameCode: normalizeRoomCode(data.gameCode) },
+			(gameRoom) => {
+				if (gameRoom.status === 'completed') {
+					return ERROR_CODES.GAME_COMPLETED;
+				}
+				if (!gameRoom.players.includes(ws.id)) {
+					if (gameRoom.isLocked) {
+						return ERROR_CODES.ROOM_LOCKED;
+					}
+					if (!canEnterRoom(gameRoom, data)) {
+						return ERROR_CODES.PASSCODE_REQUIRED;
+					}
+					if (gameRoom.players.length >= getMaxPlayers(gameRoom)) {
+						return ERROR_CODES.ROOM_FULL;
+					}
+				}
+
+				// A spectator taking a free seat stops being a spectator
+				if (ws.isSpectator) {
+					gameRoom.spectators = gameRoom.spectators.filter(
+						(spectatorId) => spectatorId !== ws.id
+					);
+				}
+
+				if (!gameRoom.players.includes(ws.id)) {
+					gameRoom.players.push(ws.id);
+					gameRoom.playerObjects.push(
+						createPlayerObject(
+							ws.id,
+							getPlayerName(ws, data),
+							getPlayerAccount(ws)
+						)
+					);
+					gameRoom.playerCount = gameRoom.players.length;
+				}
+				// Rooms made over REST are hosted by whoever joins first
+				promoteHostIfNeeded(gameRoom);
+
+				// Rooms that start manually wait for the host's 'startGame'
+				if (
+					gameRoom.playerCount === getMaxPlayers(gameRoom) &&
+					gameRoom.status === 'waiting' &&
+					!gameRoom.manualStart
+				) {
+					beginGame(gameRoom);
+				}
+			}
+		);
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				`Game ${data.gameCode} was not found.`
+			);
+			return;
+		}
+		if (errorCode === ERROR_CODES.GAME_COMPLETED) {
+			respondWithError(
+				errorCode,
+				`Game ${data.gameCode} has already finished.`
+			);
+			return;
+		}
+		if (errorCode === ERROR_CODES.ROOM_LOCKED) {
+			respondWithError(
+				errorCode,
+				`Game ${gameRoom.gameCode} is locked by its host.`
+			);
+			return;
+		}
+		if (errorCode === ERROR_CODES.PASSCODE_REQUIRED) {
+			respondWithError(
+				errorCode,
+				`Game ${gameRoom.gameCode} needs the right passcode or invite link.`
+			);
+			return;
+		}
+		if (errorCode === ERROR_CODES.ROOM_FULL) {
+			respondWithError(errorCode, `Game ${gameRoom.gameCode} is full.`);
+			return;
+		}
+		wss.roomClients.add(ws, gameRoom._id.toString());
+		ws.playerId = ws.id;
+		ws.isSpectator = false;
+		armTurnTimer(wss, storage, gameRoom);
+
+		await publishRoomEvent(storage, 'gameJoined', gameRoom);
+	}
+
+	if (data.type === 'submitSegment') {
+		if (!ws.gameRoomId) {
+			respondWithError(ERROR_CODES.NOT_IN_ROOM, 'You are not in a game.');
+			return;
+		}
+		const errorCode = await submitPlayerSegment(
+			wss,
+			storage,
+			ws.gameRoomId,
+			ws.playerId,
+			{
+				canvasData: data.canvasData,
+				redLineY: data.redLineY,
+			}
+		);
+		if (errorCode) {
+			respondWithError(errorCode, SUBMIT_ERROR_MESSAGES[errorCode]);
+		}
+		return;
+	}
+
+	if (data.type === 'saveDraft') {
+		// Periodic snapshot of a player's canvas, used if their turn times out
+		if (!ws.gameRoomId) {
+			respondWithError(ERROR_CODES.NOT_IN_ROOM, 'You are not in a game.');
+			return;
+		}
+		if (ws.isSpectator) {
+			respondWithError(
+				ERROR_CODES.NOT_A_PLAYER,
+				'Spectators cannot draw.'
+			);
+			return;
+		}
+		const imageStore = getImageStore(storage.db);
+		const imageId = await saveDataUrl(imageStore, data.canvasData);
+		let replacedImageId = null;
+		const { committed } = await transitionRoom(
+			rooms,
+			{ id: ws.gameRoomId },
+			(gameRoom) => {
+				if (
+					gameRoom.status !== 'playing' ||
+					!gameRoom.players.includes(ws.playerId) ||
+					gameRoom.submittedPlayers.includes(ws.playerId)
+				) {
+					return false;
+				}
+				gameRoom.drafts = gameRoom.drafts || {};
+				replacedImageId = gameRoom.drafts[ws.playerId]?.imageId;
+				gameRoom.drafts[ws.playerId] = {
+					imageId: imageId,
+					redLineY: data.redLineY,
+					savedAt: new Date(),
+				};
+			}
+		);
+		// Keep one draft image per player: drop the one this replaced, or the
+		// new one if the draft was too late to count
+		const staleImageId = committed ? replacedImageId : imageId;
+		if (staleImageId) {
+			await imageStore.remove(staleImageId);
+		}
+		return;
+	}
+
+	if (data.type === 'strokeBegin') {
+		if (!ws.gameRoomId) {
+			respondWithError(ERROR_CODES.NOT_IN_ROOM, 'You are not in a game.');
+			return;
+		}
+		if (ws.isSpectator) {
+			respondWithError(
+				ERROR_CODES.NOT_A_PLAYER,
+				'Spectators cannot draw.'
+			);
+			return;
+		}
+		const gameRoom = await rooms.findOne({ id: ws.gameRoomId });
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				'This game no longer exists.'
+			);
+			return;
+		}
+		if (gameRoom.status !== 'playing') {
+			respondWithError(
+				ERROR_CODES.GAME_NOT_IN_PROGRESS,
+				'The game is not currently being played.'
+			);
+			return;
+		}
+		if (!gameRoom.players.includes(ws.playerId)) {
+			respondWithError(
+				ERROR_CODES.NOT_A_PLAYER,
+				'Only players can draw.'
+			);
+			return;
+		}
+
+		const style = normalizeStrokeStyle(data);
+		const points = normalizeStrokePoints(
+			data.point ? [data.point] : data.points
+		);
+		ws.activeStrokes = ws.activeStrokes || new Map();
+		if (!style || !points) {
+			respondWithError(
+				ERROR_CODES.INVALID_PAYLOAD,
+				'Invalid stroke tool, colour, width or points.'
+			);
+			return;
+		}
+		if (ws.activeStrokes.size >= MAX_ACTIVE_STROKES) {
+			respondWithError(
+				ERROR_CODES.INVALID_PAYLOAD,
+				'Too many strokes in progress. End a stroke before starting another.'
+			);
+			return;
+		}
+		const budget = getStrokeBudget(
+			gameRoom.strokeHistory?.[gameRoom.currentSegmentIndex]?.[
+				ws.playerId
+			]
+		);
+		if (budget.strokes <= 0 || points.length > budget.points) {
+			respondWithError(
+				ERROR_CODES.STROKE_LIMIT_REACHED,
+				'You have drawn as much as this segment can hold.'
+			);
+			return;
+		}
+
+		// Remember where this stroke belongs so follow-up messages don't need
+		// to reload the room
+		const activeStroke = {
+			segmentIndex: gameRoom.currentSegmentIndex,
+			canvasIndex: gameRoom.canvasAssignments[ws.playerId],
+			liveDrawing: gameRoom.liveDrawing || 'off',
+			pointBudget: budget.points,
+			stroke: {
+				id: data.strokeId,
+				...style,
+				points: points,
+				startedAt: new Date(),
+			},
+		};
+		ws.activeStrokes.set(data.strokeId, activeStroke);
+
+		await relayStroke(storage, ws, activeStroke, {
+			type: 'strokeBegin',
+			strokeId: data.strokeId,
+			...style,
+			points: points,
+		});
+		return;
+	}
+
+	if (data.type === 'strokePoints') {
+		const activeStroke = ws.activeStrokes?.get(data.strokeId);
+		const points = normalizeStrokePoints(data.points);
+		if (!activeStroke) {
+			respondWithError(
+				ERROR_CODES.NOT_YOUR_TURN,
+				`Stroke ${data.strokeId} was never started on this connection.`
+			);
+			return;
+		}
+		if (!points) {
+			respondWithError(
+				ERROR_CODES.INVALID_PAYLOAD,
+				'Invalid stroke points.'
+			);
+			return;
+		}
+		if (
+			activeStroke.stroke.points.length + points.length >
+			activeStroke.pointBudget
+		) {
+			respondWithError(
+				ERROR_CODES.STROKE_LIMIT_REACHED,
+				'You have drawn as much as this segment can hold.'
+			);
+			return;
+		}
+
+		activeStroke.stroke.points.push(...points);
+		await relayStroke(storage, ws, activeStroke, {
+			type: 'strokePoints',
+			strokeId: data.strokeId,
+			points: points,
+		});
+		return;
+	}
+
+	if (data.type === 'strokeEnd') {
+		const activeStroke = ws.activeStrokes?.get(data.strokeId);
+		if (!activeStroke) {
+			respondWithError(
+				ERROR_CODES.NOT_YOUR_TURN,
+				`Stroke ${data.strokeId} was never started on this connection.`
+			);
+			return;
+		}
+		ws.activeStrokes.delete(data.strokeId);
+
+		// Only record strokes for the segment they were drawn in, and only
+		// while the player's budget for it lasts: strokes drawn side by side
+		// were each checked against the budget alone
+		const { result } = await transitionRoom(
+			rooms,
+			{ id: ws.gameRoomId },
+			(gameRoom) => {
+				if (
+					gameRoom.status !== 'playing' ||
+					gameRoom.currentSegmentIndex !== activeStroke.segmentIndex
+				) {
+					return false;
+				}
+				const { segmentIndex, stroke } = activeStroke;
+				gameRoom.strokeHistory = gameRoom.strokeHistory || {};
+				const segmentStrokes =
+					gameRoom.strokeHistory[segmentIndex] || {};
+				const recordedStrokes = segmentStrokes[ws.playerId] || [];
+				const budget = getStrokeBudget(recordedStrokes);
+				if (
+					budget.strokes <= 0 ||
+					stroke.points.length > budget.points
+				) {
+					return ERROR_CODES.STROKE_LIMIT_REACHED;
+				}
+				segmentStrokes[ws.playerId] = [...recordedStrokes, stroke];
+				gameRoom.strokeHistory[segmentIndex] = segmentStrokes;
+			}
+		);
+		await relayStroke(storage, ws, activeStroke, {
+			type: 'strokeEnd',
+			strokeId: data.strokeId,
+		});
+		if (result === ERROR_CODES.STROKE_LIMIT_REACHED) {
+			respondWithError(
+				result,
+				'You have drawn as much as this segment can hold.'
+			);
+		}
+		return;
+	}
+
+	if (data.type === 'playAgain') {
+		let staleImageIds = [];
+		const { gameRoom, result: errorCode } = await transitionRoom(
+			rooms,
+			{ id: data.gameRoomId },
+			(gameRoom) => {
+				if (!gameRoom.players.includes(ws.playerId)) {
+					return ERROR_CODES.NOT_A_PLAYER;
+				}
+				// The host decides when their game starts, so it can only be
+				// cut short by the host kicking players, not by a restart
+				if (gameRoom.manualStart && gameRoom.status !== 'completed') {
+					return ERROR_CODES.GAME_ALREADY_STARTED;
+				}
+				const maxPlayers = getMaxPlayers(gameRoom);
+
+				// Reset game state
+				gameRoom.status = 'waiting';
+				staleImageIds = getReplacedImageIds(gameRoom);
+				clearDrafts(gameRoom);
+				gameRoom.currentSegmentIndex = 0;
+				gameRoom.submittedPlayers = [];
+				gameRoom.activeCanvasStates =
+					createBlankCanvasStates(maxPlayers);
+				// Reassign canvases based on current players
+				gameRoom.canvasAssignments = createCanvasAssignments(
+					gameRoom.players
+				);
+				gameRoom.segmentHistory = {};
+				gameRoom.finalArtworks = [];
+				gameRoom.galleryIds = [];
+				gameRoom.historyRecorded = false;
+				gameRoom.strokeHistory = {};
+				stopTurn(gameRoom);
+				// A full room starts over at once, unless it waits for the
+				// host's 'startGame'; otherwise the join flow fills it first
+				if (
+					gameRoom.players.length === maxPlayers &&
+					!gameRoom.manualStart
+				) {
+					beginGame(gameRoom);
+				}
+			}
+		);
+
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				'This game no longer exists.'
+			);
+			return;
+		}
+		if (errorCode === ERROR_CODES.GAME_ALREADY_STARTED) {
+			respondWithError(
+				errorCode,
+				'The host started this game, so it can only be played again once it has finished.'
+			);
+			return;
+		}
+		if (errorCode) {
+			respondWithError(
+				errorCode,
+				'Only players in this game can restart it.'
+			);
+			return;
+		}
+		removeImages(storage, staleImageIds);
+		armTurnTimer(wss, storage, gameRoom);
+
+		await publishRoomEvent(storage, 'gameReset', gameRoom);
+		console.log(`Game room ${gameRoom.gameCode} reset for play again.`);
 	}
-	if (gameRoom.status === 'waiting') {
-		return `Joined game ${gameRoom.gameCode}. Waiting for ${
-			MAX_PLAYERS - gameRoom.playerCount
-		} more player...`;
+
+	if (data.type === 'spectateGame') {
+		const { gameRoom, result: errorCode } = await transitionRoom(
+			rooms,
+			{ gameCode: normalizeRoomCode(data.gameCode) },
+			(gameRoom) => {
+				// Locking only keeps out players; a passcode keeps out everyone
+				if (!canEnterRoom(gameRoom, data)) {
+					return ERROR_CODES.PASSCODE_REQUIRED;
+				}
+				gameRoom.spectators = gameRoom.spectators || [];
+				if (!gameRoom.spectators.includes(ws.id)) {
+					gameRoom.spectators.push(ws.id);
+				}
+			}
+		);
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				`Game ${data.gameCode} was not found.`
+			);
+			return;
+		}
+		if (errorCode) {
+			respondWithError(
+				errorCode,
+				`Game ${gameRoom.gameCode} needs the right passcode or invite link.`
+			);
+			return;
+		}
+
+		wss.roomClients.add(ws, gameRoom._id.toString());
+		ws.playerId = null; // Spectators never hold a player slot
+		ws.isSpectator = true;
+
+		ws.send(
+			JSON.stringify({
+				type: 'spectating',
+				...getSpectatorState(gameRoom),
+				chat: gameRoom.chat || [],
+			})
+		);
+		console.log(
+			`Spectator ${ws.id} is watching game room ${ws.gameRoomId}. Spectators: ${gameRoom.spectators.length}`
+		);
+		return;
 	}
 
-	const hasSubmitted = gameRoom.submittedPlayers.includes(playerId);
-	const segmentName = segments[gameRoom.currentSegmentIndex];
+	if (data.type === 'rejoinGame') {
+		const { gameRoom } =
+			typeof data.playerToken === 'string'
+				? await transitionRoom(
+						rooms,
+						{ playerToken: data.playerToken },
+						(gameRoom) => {
+							const playerObject = gameRoom.playerObjects.find(
+								(pObj) => pObj.token === data.playerToken
+							);
+							// A spectator reclaiming their seat stops watching
+							if (ws.isSpectator) {
+								gameRoom.spectators = (
+									gameRoom.spectators || []
+								).filter(
+									(spectatorId) => spectatorId !== ws.id
+								);
+							}
+							playerObject.socketId = ws.id;
+							playerObject.connected = true;
+							delete playerObject.disconnectedAt;
+							delete playerObject.unresponsiveSince;
+							// Takes over if the host is away and nobody else is here
+							promoteHostIfNeeded(gameRoom);
 
-	return hasSubmitted
-		? 'Waiting for other players to submit their segments.'
-		: `Draw the ${segmentName}.`;
-}
+							if (
+								gameRoom.status === 'paused' &&
+								!hasDisconnectedPlayers(gameRoom)
+							) {
+								resumeGame(gameRoom);
+							}
+						}
+				  )
+				: { gameRoom: null };
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.SESSION_EXPIRED,
+				'Your session has expired. Please join a new game.'
+			);
+			return;
+		}
+
+		const playerObject = gameRoom.playerObjects.find(
+			(pObj) => pObj.token === data.playerToken
+		);
+		const gameRoomId = gameRoom._id.toString();
 
-async function handleWebSocketMessage(ws, wss, db, message) {
-	const data = JSON.parse(message);
-	const gameRoomsCollection = db.collection(COLLECTION_NAME);
+		clearTimeout(disconnectTimers.get(`${gameRoomId}:${playerObject.id}`));
+		disconnectTimers.delete(`${gameRoomId}:${playerObject.id}`);
 
-	// Handle 'createGame' message
-	if (data.type === 'createGame') {
-		let gameCode = generateUniqueGameCode();
-		let existingGame = await gameRoomsCollection.findOne({
-			gameCode: gameCode,
+		// Watching some other room until now
+		if (ws.isSpectator && ws.gameRoomId && ws.gameRoomId !== gameRoomId) {
+			await stopSpectating(rooms, ws);
+		}
+		wss.roomClients.add(ws, gameRoomId);
+		ws.playerId = playerObject.id;
+		ws.isSpectator = false;
+		armTurnTimer(wss, storage, gameRoom);
+
+		await publishRoomEvent(storage, 'playerRejoined', gameRoom, {
+			socketId: ws.id,
+			playerId: ws.playerId,
 		});
+		console.log(
+			`Player ${ws.playerId} rejoined game room ${gameRoomId} on socket ${ws.id}.`
+		);
+	}
 
-		// Ensure the generated code is unique
-		while (existingGame) {
-			gameCode = generateUniqueGameCode();
-			existingGame = await gameRoomsCollection.findOne({
-				gameCode: gameCode,
-			});
+	if (data.type === 'chatMessage') {
+		if (!ws.gameRoomId) {
+			respondWithError(ERROR_CODES.NOT_IN_ROOM, 'You are not in a game.');
+			return;
+		}
+		const retryAfterMs = chatRateLimit(ws);
+		if (retryAfterMs > 0) {
+			sendError(
+				ws,
+				ERROR_CODES.RATE_LIMITED,
+				'You are sending messages too quickly.',
+				{ requestType: data.type, retryAfterMs: retryAfterMs }
+			);
+			return;
+		}
+		const text = normalizeChatText(data.text);
+		if (!text) {
+			respondWithError(
+				ERROR_CODES.INVALID_PAYLOAD,
+				'Chat messages cannot be empty.'
+			);
+			return;
 		}
 
-		const initialBlankCanvas = await createBlankCanvas(
-			CANVAS_WIDTH,
-			CANVAS_HEIGHT
-		);
-
-		const newGameRoom = {
-			gameCode: gameCode,
-			players: [ws.id], // The creator is the first player
-			playerObjects: [
-				{
-					id: ws.id,
-					name: `Player-${Math.random().toString(36).substr(2, 4)}`,
-				},
-			], // Assign a generic name
-			playerCount: 1,
-			status: 'waiting', // Creator waits for one more player
-			currentSegmentIndex: 0,
-			submittedPlayers: [],
-			activeCanvasStates: [initialBlankCanvas, initialBlankCanvas], // Two blank canvases for two players
-			canvasAssignments: { [ws.id]: 0 }, // Assign first player to first canvas
-			segmentHistory: {},
-			finalArtworks: [],
-			createdAt: new Date(),
-		};
+		let chatMessage = null;
+		const { gameRoom, result: errorCode } = await transitionRoom(
+			rooms,
+			{ id: ws.gameRoomId },
+			(gameRoom) => {
+				const playerObject = ws.isSpectator
+					? null
+					: findPlayerObject(gameRoom, ws.playerId);
+				if (!ws.isSpectator && !playerObject) {
+					return ERROR_CODES.NOT_A_PLAYER;
+				}
+				chatMessage = createChatMessage(
+					{
+						playerId: playerObject ? playerObject.id : null,
+						// Spectators have no seat to take a name from
+						name: playerObject
+							? playerObject.name
+							: ws.user?.username || 'Spectator',
+						isSpectator: Boolean(ws.isSpectator),
+					},
+					text
+				);
+				appendChatMessage(gameRoom, chatMessage);
+			}
+		);
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				'This game no longer exists.'
+			);
+			return;
+		}
+		if (errorCode) {
+			respondWithError(errorCode, 'You are no longer in this game.');
+			return;
+		}
 
-		const result = await gameRoomsCollection.insertOne(newGameRoom);
-		ws.gameRoomId = result.insertedId.toString();
-		ws.playerId = ws.id; // Store WebSocket ID as playerId
+		// Only the message goes out; the room itself was only needed to
+		// keep the scrollback
+		await storage.events.publish({
+			gameRoomId: ws.gameRoomId,
+			name: 'chatMessage',
+			data: chatMessage,
+		});
+		return;
+	}
+
+	if (data.type === 'reaction') {
+		if (!ws.gameRoomId) {
+			respondWithError(ERROR_CODES.NOT_IN_ROOM, 'You are not in a game.');
+			return;
+		}
+		const retryAfterMs = reactionRateLimit(ws);
+		if (retryAfterMs > 0) {
+			sendError(
+				ws,
+				ERROR_CODES.RATE_LIMITED,
+				'You are reacting too quickly.',
+				{ requestType: data.type, retryAfterMs: retryAfterMs }
+			);
+			return;
+		}
+		const emoji = normalizeReaction(data.emoji);
+		if (!emoji) {
+			respondWithError(
+				ERROR_CODES.INVALID_PAYLOAD,
+				'That reaction is not available.'
+			);
+			return;
+		}
+		// Reactions are fleeting: relayed to the room without touching it
+		await storage.events.publish({
+			gameRoomId: ws.gameRoomId,
+			name: 'reaction',
+			data: {
+				senderId: ws.isSpectator ? null : ws.playerId,
+				isSpectator: Boolean(ws.isSpectator),
+				emoji: emoji,
+				artworkIndex: data.artworkIndex ?? null, // What's being reacted to during the reveal
+			},
+		});
+		return;
+	}
 
+	if (data.type === 'findMatch') {
+		// Queuing from a seat would leave it behind as a ghost player
+		if (ws.gameRoomId) {
+			respondWithError(
+				ERROR_CODES.ALREADY_IN_ROOM,
+				'You are already in a game. Connect again to look for a match.'
+			);
+			return;
+		}
+		const { criteria, error } = resolveMatchCriteria(data);
+		if (error) {
+			respondWithError(ERROR_CODES.INVALID_PAYLOAD, error);
+			return;
+		}
+		wss.matchmaking.join(ws, criteria, getPlayerName(ws, data));
 		console.log(
-			`Game created with code: ${gameCode} by player: ${ws.playerId}`
+			`[MATCH] Client ${ws.id} is looking for a match (template: ${
+				criteria.templateId || 'any'
+			}, players: ${criteria.maxPlayers || 'any'}).`
 		);
+		await runMatchmaking(wss, storage);
+		return;
+	}
 
+	if (data.type === 'cancelMatch') {
+		if (!wss.matchmaking.leave(ws)) {
+			respondWithError(
+				ERROR_CODES.NOT_IN_QUEUE,
+				'You are not waiting for a match.'
+			);
+			return;
+		}
 		ws.send(
 			JSON.stringify({
-				type: 'gameCreated',
-				message: `Game created! Share code: ${gameCode}. Waiting for 1 more player...`,
-				gameRoomId: ws.gameRoomId,
-				gameCode: gameCode, // Send game code back to creator
-				playerCount: newGameRoom.playerCount,
-				currentSegmentIndex: newGameRoom.currentSegmentIndex,
-				currentSegment: segments[newGameRoom.currentSegmentIndex],
-				canDraw: false, // Creator cannot draw yet, waiting for another player
-				isWaitingForOthers: true, // Creator is waiting
-				canvasData: initialBlankCanvas, // Send initial blank canvas data
-				previousRedLineY: null, // No previous red line for the first segment
+				type: 'matchCancelled',
+				message: 'You left the matchmaking queue.',
 			})
 		);
-		return; // Exit after handling 'createGame'
+		await pushMatchmakingStatus(wss);
+		return;
 	}
 
-	if (data.type === 'joinGame') {
-		const gameRoom = await gameRoomsCollection.findOne({
-			gameCode: data.gameCode,
-		});
-		if (!gameRoom || gameRoom.status === 'completed') return;
+	if (HOST_ACTIONS[data.type]) {
+		if (!ws.gameRoomId) {
+			respondWithError(ERROR_CODES.NOT_IN_ROOM, 'You are not in a game.');
+			return;
+		}
+		await HOST_ACTIONS[data.type](ws, wss, storage, data, respondWithError);
+	}
+}
 
-		ws.gameRoomId = gameRoom._id.toString();
-		ws.playerId = ws.id;
+// --- Matchmaking ---
+// Sockets waiting for strangers are kept in wss.matchmaking (see
+// matchmaking.js). Whenever the queue changes, every room it can fill is
+// started and everyone still waiting is told where they stand.
 
-		if (!gameRoom.players.includes(ws.playerId)) {
-			gameRoom.players.push(ws.playerId);
-			gameRoom.playerObjects.push({
-				id: ws.playerId,
-				name: data.playerName,
+const ROOM_ENTRY_TYPES = [
+	'createGame',
+	'joinGame',
+	'spectateGame',
+	'rejoinGame',
+];
+
+function pushMatchmakingStatus(wss) {
+	return broadcastToRoom(wss.matchmaking.getSockets(), (client) => ({
+		type: 'matchmakingStatus',
+		...wss.matchmaking.getStatus(client),
+	}));
+}
+
+async function leaveMatchmaking(wss, ws) {
+	if (wss.matchmaking.leave(ws)) {
+		await pushMatchmakingStatus(wss);
+	}
+}
+
+// Seats a matched group in a new room and starts the game, telling them just
+// as a room filled by 'joinGame' would. The longest waiting player hosts.
+async function startMatchedGame(wss, storage, { entries, criteria }) {
+	const { options } = resolveRoomOptions({
+		template: criteria.templateId,
+		maxPlayers: criteria.maxPlayers,
+	});
+	const [first, ...others] = entries;
+	const { gameRoomId } = await createRoom(storage.rooms, options, {
+		playerId: first.ws.id,
+		playerName: first.playerName,
+		account: getPlayerAccount(first.ws),
+	});
+	const { gameRoom } = await transitionRoom(
+		storage.rooms,
+		{ id: gameRoomId },
+		(gameRoom) => {
+			others.forEach(({ ws, playerName }) => {
+				gameRoom.players.push(ws.id);
+				gameRoom.playerObjects.push(
+					createPlayerObject(ws.id, playerName, getPlayerAccount(ws))
+				);
 			});
 			gameRoom.playerCount = gameRoom.players.length;
+			beginGame(gameRoom);
 		}
+	);
 
-		if (
-			gameRoom.playerCount === MAX_PLAYERS &&
-			gameRoom.status === 'waiting'
-		) {
-			gameRoom.status = 'playing';
-			// Assign the second player to the second canvas
-			gameRoom.canvasAssignments = {
-				[gameRoom.players[0]]: 0,
-				[gameRoom.players[1]]: 1,
-			};
+	// Sockets that closed while the room was being made had no room for their
+	// close handler to leave, so hold their slots as if they had dropped
+	// from it
+	const droppedIds = [];
+	entries.forEach(({ ws }) => {
+		if (ws.readyState !== WebSocket.OPEN) {
+			droppedIds.push(ws.id);
+			return;
 		}
-
-		await gameRoomsCollection.updateOne(
-			{ _id: gameRoom._id },
-			{ $set: gameRoom }
-		);
-
-		wss.clients.forEach(async (client) => {
-			if (
-				client.readyState === WebSocket.OPEN &&
-				client.gameRoomId === ws.gameRoomId
-			) {
-				const assignedCanvasIndex =
-					gameRoom.canvasAssignments[client.playerId];
-				const canvasDataToSend =
-					gameRoom.activeCanvasStates[assignedCanvasIndex];
-
-				let previousRedLineY = null;
-				if (gameRoom.currentSegmentIndex > 0) {
-					const otherPlayerCanvasIndex =
-						assignedCanvasIndex === 0 ? 1 : 0;
-					const previousSegmentSubmission = Object.values(
-						gameRoom.segmentHistory[
-							gameRoom.currentSegmentIndex - 1
-						] || {}
-					).find((sub) => sub.playerId !== client.playerId);
-
-					if (
-						previousSegmentSubmission &&
-						previousSegmentSubmission.redLineY !== undefined
-					) {
-						previousRedLineY = previousSegmentSubmission.redLineY;
-					}
+		wss.roomClients.add(ws, gameRoomId);
+		ws.playerId = ws.id;
+		ws.isSpectator = false;
+	});
+	let startedRoom = gameRoom;
+	if (droppedIds.length > 0) {
+		({ gameRoom: startedRoom } = await transitionRoom(
+			storage.rooms,
+			{ id: gameRoomId },
+			(gameRoom) => {
+				droppedIds.forEach((playerId) => {
+					const playerObject = findPlayerObject(gameRoom, playerId);
+					playerObject.connected = false;
+					playerObject.disconnectedAt = new Date();
+				});
+				if (gameRoom.status === 'playing') {
+					gameRoom.status = 'paused';
+					pauseTurn(gameRoom);
 				}
-
-				client.send(
-					JSON.stringify({
-						type: 'gameJoined', // Changed to gameJoined for initial join response
-						message: getClientMessage(gameRoom, client.playerId),
-						currentSegmentIndex: gameRoom.currentSegmentIndex,
-						currentSegment: segments[gameRoom.currentSegmentIndex], // Send current segment name
-						playerCount: gameRoom.playerCount,
-						status: gameRoom.status,
-						canDraw: !gameRoom.submittedPlayers.includes(
-							client.playerId
-						),
-						isWaitingForOthers: gameRoom.submittedPlayers.includes(
-							client.playerId
-						),
-						canvasData: canvasDataToSend,
-						previousRedLineY: previousRedLineY,
-					})
-				);
+				promoteHostIfNeeded(gameRoom);
 			}
-		});
+		));
+		droppedIds.forEach((playerId) =>
+			holdPlayerSlot(
+				wss,
+				storage,
+				gameRoomId,
+				playerId,
+				RECONNECT_GRACE_MS
+			)
+		);
 	}
+	armTurnTimer(wss, storage, startedRoom);
 
-	if (data.type === 'submitSegment') {
-		const gameRoom = await gameRoomsCollection.findOne({
-			_id: new ObjectId(ws.gameRoomId),
+	await publishRoomEvent(storage, 'gameJoined', startedRoom);
+	for (const playerId of droppedIds) {
+		const playerObject = findPlayerObject(startedRoom, playerId);
+		await publishRoomEvent(storage, 'playerDisconnected', startedRoom, {
+			playerId: playerId,
+			reconnectDeadline: new Date(
+				playerObject.disconnectedAt.getTime() + RECONNECT_GRACE_MS
+			),
 		});
-		if (!gameRoom || gameRoom.status !== 'playing') return;
+	}
+	console.log(
+		`[MATCH] Matched ${entries.length} players into game room ${gameRoom.gameCode}` +
+			(droppedIds.length > 0
+				? `; ${droppedIds.length} left before it started.`
+				: '.')
+	);
+}
 
-		if (!gameRoom.submittedPlayers.includes(ws.playerId)) {
-			gameRoom.submittedPlayers.push(ws.playerId);
+async function runMatchmaking(wss, storage) {
+	let match;
+	while ((match = wss.matchmaking.takeMatch())) {
+		try {
+			await startMatchedGame(wss, storage, match);
+		} catch (error) {
+			console.error('[MATCH] Failed to start a matched game:', error);
+			match.entries.forEach(({ ws }) =>
+				sendError(
+					ws,
+					ERROR_CODES.INTERNAL_ERROR,
+					'Could not start your match. Please try again.',
+					{ requestType: 'findMatch' }
+				)
+			);
 		}
+	}
+	await pushMatchmakingStatus(wss);
+}
 
-		const canvasIndex = gameRoom.canvasAssignments[ws.playerId];
-		gameRoom.activeCanvasStates[canvasIndex] = data.canvasData;
+// Whether the socket may use the room's host controls
+function isHost(ws, gameRoom) {
+	return !ws.isSpectator && ws.playerId === gameRoom.hostId;
+}
 
-		if (!gameRoom.segmentHistory) {
-			gameRoom.segmentHistory = {};
+// Messages only the room's host may send, each checked against the room as
+// it is written
+const HOST_ACTIONS = {
+	async kickPlayer(ws, wss, storage, data, respondWithError) {
+		let removal = null;
+		let kickedName = null;
+		const { gameRoom, result: errorCode } = await transitionRoom(
+			storage.rooms,
+			{ id: ws.gameRoomId },
+			(gameRoom) => {
+				if (!isHost(ws, gameRoom)) return ERROR_CODES.NOT_HOST;
+				const playerObject = findPlayerObject(gameRoom, data.playerId);
+				if (!playerObject || data.playerId === ws.playerId) {
+					return ERROR_CODES.PLAYER_NOT_FOUND;
+				}
+				kickedName = playerObject.name;
+				removal = removePlayer(gameRoom, data.playerId);
+			}
+		);
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				'This game no longer exists.'
+			);
+			return;
 		}
-		if (!gameRoom.segmentHistory[gameRoom.currentSegmentIndex]) {
-			gameRoom.segmentHistory[gameRoom.currentSegmentIndex] = {};
+		if (errorCode === ERROR_CODES.NOT_HOST) {
+			respondWithError(errorCode, 'Only the host can remove players.');
+			return;
+		}
+		if (errorCode) {
+			respondWithError(errorCode, 'That player is not in this game.');
+			return;
 		}
 
-		gameRoom.segmentHistory[gameRoom.currentSegmentIndex][ws.playerId] = {
-			playerId: ws.playerId,
-			dataURL: data.canvasData,
-			redLineY: data.redLineY,
-		};
+		const gameRoomId = gameRoom._id.toString();
+		// A kicked player who had dropped no longer needs their slot held
+		clearTimeout(disconnectTimers.get(`${gameRoomId}:${data.playerId}`));
+		disconnectTimers.delete(`${gameRoomId}:${data.playerId}`);
+		removeImages(storage, removal);
+		armTurnTimer(wss, storage, gameRoom);
 
-		const segmentIndex = gameRoom.currentSegmentIndex;
+		await publishRoomEvent(storage, 'playerKicked', gameRoom, {
+			playerId: data.playerId,
+			playerName: kickedName,
+		});
 		console.log(
-			`[SUBMIT] Player ${ws.playerId} submitted for segment ${segmentIndex}. Submitted players: ${gameRoom.submittedPlayers.length}`
+			`Host ${ws.playerId} removed player ${data.playerId} from game room ${gameRoomId}.`
 		);
+	},
 
-		if (gameRoom.submittedPlayers.length === MAX_PLAYERS) {
-			console.log(
-				`[SUBMIT] Both players submitted for segment ${segmentIndex}.`
+	async transferHost(ws, wss, storage, data, respondWithError) {
+		const { gameRoom, result: errorCode } = await transitionRoom(
+			storage.rooms,
+			{ id: ws.gameRoomId },
+			(gameRoom) => {
+				if (!isHost(ws, gameRoom)) return ERROR_CODES.NOT_HOST;
+				const playerObject = findPlayerObject(gameRoom, data.playerId);
+				if (!playerObject || playerObject.connected === false) {
+					return ERROR_CODES.PLAYER_NOT_FOUND;
+				}
+				if (data.playerId === ws.playerId) return false;
+				gameRoom.hostId = data.playerId;
+			}
+		);
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				'This game no longer exists.'
 			);
+			return;
+		}
+		if (errorCode === ERROR_CODES.NOT_HOST) {
+			respondWithError(errorCode, 'Only the host can hand over hosting.');
+			return;
+		}
+		if (errorCode === ERROR_CODES.PLAYER_NOT_FOUND) {
+			respondWithError(
+				errorCode,
+				'That player is not connected to this game.'
+			);
+			return;
+		}
+		if (errorCode === false) return; // Already the host
 
-			const isFinalSegment = segmentIndex + 1 >= TOTAL_SEGMENTS;
-
-			if (isFinalSegment) {
-				gameRoom.status = 'completed';
-				// Assign the two final artworks directly from activeCanvasStates
-				gameRoom.finalArtworks = [
-					gameRoom.activeCanvasStates[0], // This will be the first completed artwork
-					gameRoom.activeCanvasStates[1], // This will be the second completed artwork
-				];
-			} else {
-				gameRoom.currentSegmentIndex++;
-				gameRoom.submittedPlayers = [];
-				gameRoom.currentSegmentSubmissions = {};
+		await publishRoomEvent(storage, 'hostChanged', gameRoom);
+		console.log(
+			`Host of game room ${gameRoom._id} handed over to ${data.playerId}.`
+		);
+	},
 
-				// Swap canvas assignments for the next round
-				Object.keys(gameRoom.canvasAssignments).forEach((playerId) => {
-					gameRoom.canvasAssignments[playerId] =
-						gameRoom.canvasAssignments[playerId] === 0 ? 1 : 0;
-				});
+	async setRoomLock(ws, wss, storage, data, respondWithError) {
+		const { gameRoom, result: errorCode } = await transitionRoom(
+			storage.rooms,
+			{ id: ws.gameRoomId },
+			(gameRoom) => {
+				if (!isHost(ws, gameRoom)) return ERROR_CODES.NOT_HOST;
+				gameRoom.isLocked = data.locked;
 			}
-
-			await gameRoomsCollection.updateOne(
-				{ _id: gameRoom._id },
-				{ $set: gameRoom }
+		);
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				'This game no longer exists.'
 			);
+			return;
+		}
+		if (errorCode) {
+			respondWithError(errorCode, 'Only the host can lock the room.');
+			return;
+		}
 
-			wss.clients.forEach((client) => {
-				if (
-					client.readyState === WebSocket.OPEN &&
-					client.gameRoomId === ws.gameRoomId
-				) {
-					const assignedCanvasIndex =
-						gameRoom.canvasAssignments[client.playerId];
-					const canvasDataToSend =
-						gameRoom.activeCanvasStates[assignedCanvasIndex];
-					const isCompleted = gameRoom.status === 'completed';
-
-					let previousRedLineYForNextPlayer = null;
-					if (gameRoom.currentSegmentIndex > 0) {
-						const prevSegmentIndex =
-							gameRoom.currentSegmentIndex - 1;
-						const otherPlayerIdInPrevRound = Object.keys(
-							gameRoom.canvasAssignments
-						).find(
-							(pId) =>
-								gameRoom.canvasAssignments[pId] !==
-								assignedCanvasIndex
-						);
-
-						if (
-							gameRoom.segmentHistory[prevSegmentIndex] &&
-							gameRoom.segmentHistory[prevSegmentIndex][
-								otherPlayerIdInPrevRound
-							]
-						) {
-							previousRedLineYForNextPlayer =
-								gameRoom.segmentHistory[prevSegmentIndex][
-									otherPlayerIdInPrevRound
-								].redLineY;
-						}
-					}
+		await publishRoomEvent(storage, 'roomLockChanged', gameRoom);
+		console.log(
+			`Game room ${gameRoom._id} ${
+				data.locked ? 'locked' : 'unlocked'
+			} by its host.`
+		);
+	},
 
-					client.send(
-						JSON.stringify({
-							type: 'gameUpdate', // Changed to gameUpdate for subsequent updates
-							message: getClientMessage(
-								gameRoom,
-								client.playerId
-							),
-							currentSegmentIndex: gameRoom.currentSegmentIndex,
-							currentSegment:
-								segments[gameRoom.currentSegmentIndex], // Send current segment name
-							playerCount: gameRoom.playerCount,
-							status: gameRoom.status,
-							canDraw:
-								!isCompleted &&
-								!gameRoom.submittedPlayers.includes(
-									client.playerId
-								),
-							isWaitingForOthers: isCompleted
-								? false
-								: gameRoom.submittedPlayers.includes(
-										client.playerId
-								  ),
-							canvasData: isCompleted ? null : canvasDataToSend,
-							finalArtwork1: gameRoom.finalArtworks?.[0],
-							finalArtwork2: gameRoom.finalArtworks?.[1],
-							previousRedLineY: previousRedLineYForNextPlayer,
-						})
-					);
+	// Starts with whoever is seated, shrinking the room to fit
+	async startGame(ws, wss, storage, data, respondWithError) {
+		const { gameRoom, result: errorCode } = await transitionRoom(
+			storage.rooms,
+			{ id: ws.gameRoomId },
+			(gameRoom) => {
+				if (!isHost(ws, gameRoom)) return ERROR_CODES.NOT_HOST;
+				if (gameRoom.status !== 'waiting') {
+					return ERROR_CODES.GAME_ALREADY_STARTED;
 				}
-			});
+				if (gameRoom.playerCount < MIN_PLAYERS) {
+					return ERROR_CODES.NOT_ENOUGH_PLAYERS;
+				}
+				// One canvas per player, and no seats left to fill mid-game
+				gameRoom.maxPlayers = gameRoom.playerCount;
+				gameRoom.activeCanvasStates = createBlankCanvasStates(
+					gameRoom.playerCount
+				);
+				beginGame(gameRoom);
+			}
+		);
+		if (!gameRoom) {
+			respondWithError(
+				ERROR_CODES.ROOM_NOT_FOUND,
+				'This game no longer exists.'
+			);
+			return;
+		}
+		if (errorCode) {
+			respondWithError(errorCode, START_ERROR_MESSAGES[errorCode]);
+			return;
 		}
+		armTurnTimer(wss, storage, gameRoom);
 
-		await gameRoomsCollection.updateOne(
-			{ _id: gameRoom._id },
-			{ $set: gameRoom }
+		await publishRoomEvent(storage, 'gameStarted', gameRoom);
+		console.log(
+			`Host ${ws.playerId} started game room ${gameRoom._id} with ${gameRoom.playerCount} players.`
 		);
-	}
+	},
+};
 
-	if (data.type === 'playAgain') {
-		const gameRoom = await gameRoomsCollection.findOne({
-			_id: new ObjectId(data.gameRoomId),
-		});
+const START_ERROR_MESSAGES = {
+	[ERROR_CODES.NOT_HOST]: 'Only the host can start the game.',
+	[ERROR_CODES.GAME_ALREADY_STARTED]: 'The game has already started.',
+	[ERROR_CODES.NOT_ENOUGH_PLAYERS]: `At least ${MIN_PLAYERS} players are needed to start.`,
+};
 
-		if (!gameRoom) return;
+// Frees a player's slot, for use inside a room transition. If anyone is
+// left, an unfinished game is reset to waiting, since its canvases were dealt
+// for the old line-up, and the host role moves on if it was theirs. Returns
+// DELETE_ROOM once nobody is left, else the images no longer needed.
+function removePlayer(gameRoom, playerId) {
+	gameRoom.players = gameRoom.players.filter((pId) => pId !== playerId);
+	gameRoom.playerObjects = gameRoom.playerObjects.filter(
+		(pObj) => pObj.id !== playerId
+	);
+	gameRoom.playerCount = gameRoom.players.length;
 
-		// Reset game state
-		gameRoom.status = 'waiting';
-		gameRoom.currentSegmentIndex = 0;
-		gameRoom.submittedPlayers = [];
-		gameRoom.activeCanvasStates = [
-			await createBlankCanvas(CANVAS_WIDTH, CANVAS_HEIGHT),
-			await createBlankCanvas(CANVAS_WIDTH, CANVAS_HEIGHT),
-		];
-		// Reassign canvases based on current players if any, or reset.
-		// For simplicity, let's reset assignments and let the join/gameCreated flow re-establish.
-		gameRoom.canvasAssignments = {};
-		if (gameRoom.players.length > 0) {
-			gameRoom.canvasAssignments[gameRoom.players[0]] = 0;
-			if (gameRoom.players.length > 1) {
-				gameRoom.canvasAssignments[gameRoom.players[1]] = 1;
-			}
-		}
-		gameRoom.segmentHistory = {};
-		gameRoom.finalArtworks = [];
-
-		await gameRoomsCollection.updateOne(
-			{ _id: gameRoom._id },
-			{ $set: gameRoom }
-		);
-
-		wss.clients.forEach(async (client) => {
+	// If no players left, delete the game room
+	if (gameRoom.playerCount === 0) return DELETE_ROOM;
+	promoteHostIfNeeded(gameRoom);
+	// Finished games keep their results for whoever is still looking
+	if (gameRoom.status === 'completed') return [];
+
+	// If players remain, reset the room and notify them. It waits even while
+	// others are away: it is no longer full, and beginGame pauses it for them
+	// once it is.
+	gameRoom.status = 'waiting';
+	const staleImageIds = getReplacedImageIds(gameRoom);
+	clearDrafts(gameRoom);
+	gameRoom.submittedPlayers = [];
+	gameRoom.currentSegmentIndex = 0;
+	gameRoom.activeCanvasStates = createBlankCanvasStates(
+		getMaxPlayers(gameRoom)
+	);
+	gameRoom.canvasAssignments = {};
+	gameRoom.segmentHistory = {};
+	gameRoom.finalArtworks = [];
+	gameRoom.strokeHistory = {};
+	stopTurn(gameRoom);
+	return staleImageIds;
+}
+
+// Called once a dropped player's grace period runs out without a rejoin.
+// Frees their slot and, if anyone is left, resets the room to waiting.
+async function removeDisconnectedPlayer(wss, storage, gameRoomId, playerId) {
+	disconnectTimers.delete(`${gameRoomId}:${playerId}`);
+	const { rooms } = storage;
+	let staleImageIds = [];
+	let previousHostId = null;
+	const { gameRoom, result, committed } = await transitionRoom(
+		rooms,
+		{ id: gameRoomId },
+		(gameRoom) => {
+			const playerObject = findPlayerObject(gameRoom, playerId);
+			// They made it back in time, or already left the room
+			if (!playerObject || playerObject.connected !== false) return false;
+
+			previousHostId = gameRoom.hostId;
+			const removal = removePlayer(gameRoom, playerId);
+			if (removal === DELETE_ROOM) return DELETE_ROOM;
+			staleImageIds = removal;
+		}
+	);
+	if (!gameRoom || !committed) return;
+	if (result === DELETE_ROOM) {
+		removeImages(storage, getReplacedImageIds(gameRoom));
+		console.log(`Game room ${gameRoomId} deleted due to no players.`);
+		return;
+	}
+	removeImages(storage, staleImageIds);
+	await publishRoomEvent(storage, 'playerLeft', gameRoom, {
+		playerId: playerId,
+	});
+	if (gameRoom.hostId !== previousHostId) {
+		await publishRoomEvent(storage, 'hostChanged', gameRoom);
+	}
+	console.log(
+		`Player ${playerId} did not reconnect to game room ${gameRoomId}. Room has been reset.`
+	);
+}
+
+// Frees a dropped player's slot once delayMs passes without a rejoin
+function holdPlayerSlot(wss, storage, gameRoomId, playerId, delayMs) {
+	const timerKey = `${gameRoomId}:${playerId}`;
+	clearTimeout(disconnectTimers.get(timerKey));
+	disconnectTimers.set(
+		timerKey,
+		setTimeout(() => {
+			removeDisconnectedPlayer(wss, storage, gameRoomId, playerId).catch(
+				(error) =>
+					console.error(
+						`[RECONNECT] Failed to release slot for ${playerId}:`,
+						error
+					)
+			);
+		}, delayMs)
+	);
+}
+
+/**
+ * Records whether a player's socket is answering heartbeats and tells the
+ * room. Only ever 'connected' or 'unresponsive': a socket that stays silent
+ * is terminated, and its close handler takes it from there.
+ * @param {'connected'|'unresponsive'} status
+ */
+async function updateConnectionStatus(wss, storage, ws, status) {
+	if (!ws.gameRoomId || ws.isSpectator) return;
+	const playerId = ws.playerId;
+	const { gameRoom, committed } = await transitionRoom(
+		storage.rooms,
+		{ id: ws.gameRoomId },
+		(gameRoom) => {
+			const playerObject = findPlayerObject(gameRoom, playerId);
+			// Nothing to do for dropped players or slots another socket took over
 			if (
-				client.readyState === WebSocket.OPEN &&
-				client.gameRoomId === gameRoom._id.toString()
+				!playerObject ||
+				playerObject.connected === false ||
+				(playerObject.socketId && playerObject.socketId !== ws.id) ||
+				Boolean(playerObject.unresponsiveSince) ===
+					(status === 'unresponsive')
 			) {
-				const assignedCanvasIndex =
-					gameRoom.canvasAssignments[client.playerId];
-				const canvasDataToSend =
-					assignedCanvasIndex !== undefined
-						? gameRoom.activeCanvasStates[assignedCanvasIndex]
-						: await createBlankCanvas(CANVAS_WIDTH, CANVAS_HEIGHT); // Fallback
-
-				client.send(
-					JSON.stringify({
-						type: 'gameReset', // New message type for play again
-						message: getClientMessage(gameRoom, client.playerId),
-						gameRoomId: gameRoom._id.toString(),
-						gameCode: gameRoom.gameCode,
-						playerCount: gameRoom.playerCount,
-						currentSegmentIndex: gameRoom.currentSegmentIndex,
-						currentSegment: segments[gameRoom.currentSegmentIndex],
-						canDraw:
-							gameRoom.playerCount === MAX_PLAYERS &&
-							!gameRoom.submittedPlayers.includes(
-								client.playerId
-							),
-						isWaitingForOthers:
-							gameRoom.playerCount < MAX_PLAYERS ||
-							gameRoom.submittedPlayers.includes(client.playerId),
-						canvasData: canvasDataToSend,
-						previousRedLineY: null,
-						isGameOver: false,
-						finalArtwork1: null,
-						finalArtwork2: null,
-					})
-				);
+				return false;
 			}
-		});
-		console.log(`Game room ${gameRoom.gameCode} reset for play again.`);
-	}
+			if (status === 'unresponsive') {
+				playerObject.unresponsiveSince = new Date();
+			} else {
+				delete playerObject.unresponsiveSince;
+			}
+		}
+	);
+	if (!gameRoom || !committed) return;
+
+	await publishRoomEvent(storage, 'connectionStatus', gameRoom, {
+		playerId: playerId,
+	});
+	console.log(
+		`[HEARTBEAT] Player ${playerId} in game room ${gameRoom._id} is ${status}.`
+	);
 }
 
-async function handleWebSocketClose(ws, wss, db) {
-	const gameRoomsCollection = db.collection(COLLECTION_NAME);
+// Spectators hold no game state, so leaving just drops them from the count
+async function stopSpectating(rooms, ws) {
+	await transitionRoom(rooms, { id: ws.gameRoomId }, (gameRoom) => {
+		gameRoom.spectators = (gameRoom.spectators || []).filter(
+			(spectatorId) => spectatorId !== ws.id
+		);
+	});
+	console.log(
+		`Spectator ${ws.id} stopped watching game room ${ws.gameRoomId}.`
+	);
+}
+
+async function handleWebSocketClose(ws, wss, storage) {
+	const { rooms } = storage;
+	await leaveMatchmaking(wss, ws);
+	if (ws.gameRoomId && ws.isSpectator) {
+		await stopSpectating(rooms, ws);
+		return;
+	}
 	if (ws.gameRoomId) {
-		const gameRoom = await gameRoomsCollection.findOne({
-			_id: new ObjectId(ws.gameRoomId),
-		});
-		if (gameRoom) {
-			// **BEGIN MODIFICATION**
-			// Check if the game is already completed
-			if (gameRoom.status === 'completed') {
-				// If the game is completed, and a player disconnects,
-				// we don't reset the game room unless both players have left.
-				gameRoom.players = gameRoom.players.filter(
-					(pId) => pId !== ws.playerId
-				);
-				gameRoom.playerObjects = gameRoom.playerObjects.filter(
-					(pObj) => pObj.id !== ws.playerId
-				);
-				gameRoom.playerCount = gameRoom.players.length;
+		let hostChanged = false;
+		const { gameRoom, result, committed } = await transitionRoom(
+			rooms,
+			{ id: ws.gameRoomId },
+			(gameRoom) => {
+				hostChanged = false; // Set afresh if the write is retried
+				const playerObject = findPlayerObject(gameRoom, ws.playerId);
+				// Ignore sockets whose slot has since been taken over by a rejoin
+				if (
+					playerObject &&
+					playerObject.socketId &&
+					playerObject.socketId !== ws.id
+				) {
+					return false;
+				}
 
-				if (gameRoom.playerCount === 0) {
-					// If no players left, delete the game room
-					await gameRoomsCollection.deleteOne({
-						_id: new ObjectId(ws.gameRoomId),
-					});
-					console.log(
-						`Game room ${ws.gameRoomId} deleted due to no players after game completion.`
+				// **BEGIN MODIFICATION**
+				// Check if the game is already completed
+				if (gameRoom.status === 'completed') {
+					// If the game is completed, and a player disconnects,
+					// we don't reset the game room unless both players have left.
+					gameRoom.players = gameRoom.players.filter(
+						(pId) => pId !== ws.playerId
 					);
-				} else {
-					// One player remains, but game is complete. No need to reset game state.
-					await gameRoomsCollection.updateOne(
-						{ _id: gameRoom._id },
-						{ $set: gameRoom }
-					);
-					console.log(
-						`Player ${ws.playerId} disconnected from completed game room ${ws.gameRoomId}. Remaining player still sees results.`
+					gameRoom.playerObjects = gameRoom.playerObjects.filter(
+						(pObj) => pObj.id !== ws.playerId
 					);
+					gameRoom.playerCount = gameRoom.players.length;
+					// If no players left, delete the game room
+					if (gameRoom.playerCount === 0) return DELETE_ROOM;
+					hostChanged = promoteHostIfNeeded(gameRoom);
+					return undefined;
+				}
+				// **END MODIFICATION**
+
+				if (!playerObject) return false;
+
+				// Hold the slot for a grace period instead of resetting the room,
+				// so a locked phone or flaky network doesn't destroy the game.
+				playerObject.connected = false;
+				playerObject.disconnectedAt = new Date();
+				delete playerObject.unresponsiveSince;
+				if (gameRoom.status === 'playing') {
+					gameRoom.status = 'paused';
+					pauseTurn(gameRoom);
 				}
+				// A dropped host hands over to someone who can act on it
+				hostChanged = promoteHostIfNeeded(gameRoom);
+			}
+		);
+		if (gameRoom && committed) {
+			if (result === DELETE_ROOM) {
+				removeImages(storage, getReplacedImageIds(gameRoom));
+				console.log(
+					`Game room ${ws.gameRoomId} deleted due to no players after game completion.`
+				);
+				return;
+			}
+			if (hostChanged) {
+				await publishRoomEvent(storage, 'hostChanged', gameRoom);
+			}
+			if (gameRoom.status === 'completed') {
+				// One player remains, but game is complete. No need to reset game state.
+				console.log(
+					`Player ${ws.playerId} disconnected from completed game room ${ws.gameRoomId}. Remaining player still sees results.`
+				);
 				return; // Exit here, no further action needed for completed games
 			}
-			// **END MODIFICATION**
 
-			// Original logic for active/waiting games (only executed if game is NOT completed)
-			gameRoom.players = gameRoom.players.filter(
-				(pId) => pId !== ws.playerId
+			const playerObject = findPlayerObject(gameRoom, ws.playerId);
+			const gameRoomId = ws.gameRoomId;
+			const playerId = ws.playerId;
+			holdPlayerSlot(
+				wss,
+				storage,
+				gameRoomId,
+				playerId,
+				RECONNECT_GRACE_MS
 			);
-			gameRoom.playerObjects = gameRoom.playerObjects.filter(
-				(pObj) => pObj.id !== ws.playerId
+
+			const reconnectDeadline = new Date(
+				playerObject.disconnectedAt.getTime() + RECONNECT_GRACE_MS
 			);
-			gameRoom.playerCount = gameRoom.players.length;
 
-			if (gameRoom.playerCount === 0) {
-				// If no players left, delete the game room
-				await gameRoomsCollection.deleteOne({
-					_id: new ObjectId(ws.gameRoomId),
-				});
-				console.log(
-					`Game room ${ws.gameRoomId} deleted due to no players.`
-				);
-			} else {
-				// If one player remains, update status and notify
-				gameRoom.status = 'waiting';
-				gameRoom.submittedPlayers = [];
-				gameRoom.currentSegmentIndex = 0;
-				gameRoom.activeCanvasStates = [
-					await createBlankCanvas(CANVAS_WIDTH, CANVAS_HEIGHT),
-					await createBlankCanvas(CANVAS_WIDTH, CANVAS_HEIGHT),
-				];
-				gameRoom.canvasAssignments = {};
-				gameRoom.segmentHistory = {};
-				gameRoom.finalArtworks = [];
+			await publishRoomEvent(storage, 'playerDisconnected', gameRoom, {
+				playerId: playerId,
+				reconnectDeadline: reconnectDeadline,
+			});
+			console.log(
+				`Player ${playerId} disconnected from game room ${gameRoomId}. Holding their slot for ${RECONNECT_GRACE_MS}ms.`
+			);
+		}
+	}
+}
 
-				await gameRoomsCollection.updateOne(
-					{ _id: gameRoom._id },
-					{ $set: gameRoom }
-				);
+/**
+ * Run at startup, before any client connects. Sockets don't survive a
+ * restart, so every player still marked as connected is really gone: treat
+ * them as just dropped, pausing their game and holding their slot for a
+ * rejoin. Players who dropped before the restart get the rest of their grace
+ * period back. Assumes this is the only server using the rooms.
+ */
+async function reconcileOrphanedRooms(wss, storage) {
+	const now = new Date();
+	const gameRooms = await storage.rooms.findIdleRooms(
+		['waiting', 'playing', 'paused', 'completed'],
+		now
+	);
+	let droppedCount = 0;
 
-				wss.clients.forEach(async (client) => {
-					if (
-						client.readyState === WebSocket.OPEN &&
-						client.gameRoomId === ws.gameRoomId
-					) {
-						client.send(
-							JSON.stringify({
-								type: 'playerDisconnected',
-								message: `Player ${ws.playerId} disconnected. Waiting for 1 more player...`,
-								playerCount: gameRoom.playerCount,
-								status: gameRoom.status,
-								currentSegmentIndex: 0,
-								canDraw: false,
-								isWaitingForOthers: false,
-								canvasData: await createBlankCanvas(
-									CANVAS_WIDTH,
-									CANVAS_HEIGHT
-								),
-								previousRedLineY: null,
-							})
-						);
-					}
+	for (const { _id } of gameRooms) {
+		const gameRoomId = _id.toString();
+		const { gameRoom, committed } = await transitionRoom(
+			storage.rooms,
+			{ id: gameRoomId },
+			(gameRoom) => {
+				gameRoom.spectators = [];
+				// Finished rooms keep their players until the janitor expires them
+				if (gameRoom.status === 'completed') return;
+				gameRoom.playerObjects.forEach((pObj) => {
+					if (pObj.connected === false) return;
+					pObj.connected = false;
+					pObj.disconnectedAt = now;
+					delete pObj.unresponsiveSince;
 				});
-				console.log(
-					`Player ${ws.playerId} disconnected from game room ${ws.gameRoomId}. Room is now waiting.`
-				);
+				if (gameRoom.status === 'playing') {
+					gameRoom.status = 'paused';
+					pauseTurn(gameRoom);
+				}
 			}
-		}
+		);
+		if (!committed || gameRoom.status === 'completed') continue;
+
+		gameRoom.playerObjects.forEach((pObj) => {
+			const remainingMs =
+				new Date(pObj.disconnectedAt).getTime() +
+				RECONNECT_GRACE_MS -
+				now.getTime();
+			holdPlayerSlot(
+				wss,
+				storage,
+				gameRoomId,
+				pObj.id,
+				Math.max(remainingMs, 0)
+			);
+			droppedCount++;
+		});
 	}
+	console.log(
+		`[RECONNECT] Holding ${droppedCount} slot(s) for players dropped by the restart.`
+	);
+}
+
+// Cancels every pending turn and reconnect timer, so a stopped server
+// (e.g. in tests) doesn't keep the process alive
+function clearAllTimers() {
+	clearAllTurnTimers();
+	disconnectTimers.forEach((timer) => clearTimeout(timer));
+	disconnectTimers.clear();
 }
 
 module.exports = {
 	handleWebSocketMessage,
 	handleWebSocketClose,
+	restoreTurnTimers,
+	reconcileOrphanedRooms,
+	subscribeToRoomEvents,
+	updateConnectionStatus,
+	clearAllTimers,
 };
@@ -0,0 +1,81 @@
+// heartbeat.js
+const WebSocket = require('ws');
+
+// How often every socket is pinged, and how many pings in a row it may leave
+// unanswered before it is given up on
+const HEARTBEAT_INTERVAL_MS =
+	Number(process.env.HEARTBEAT_INTERVAL_MS) || 30000;
+const HEARTBEAT_MAX_MISSED = Number(process.env.HEARTBEAT_MAX_MISSED) || 2;
+
+/**
+ * Pings every socket on an interval, since a phone that drops off the network
+ * can leave its connection half-open with no close event for a long time.
+ *
+ * A socket that misses a ping is reported as 'unresponsive'; once it has
+ * missed `maxMissed` in a row it is terminated, which fires its close handler
+ * like any other drop. A pong or any message from an unresponsive socket
+ * reports it as 'connected' again.
+ * @param {WebSocket.Server} wss
+ * @param {object} [options]
+ * @param {number} [options.intervalMs]
+ * @param {number} [options.maxMissed]
+ * @param {(ws: WebSocket, status: 'connected'|'unresponsive') => void} [options.onStatusChange]
+ * @returns {() => void} Stops the heartbeat.
+ */
+function startHeartbeat(
+	wss,
+	{
+		intervalMs = HEARTBEAT_INTERVAL_MS,
+		maxMissed = HEARTBEAT_MAX_MISSED,
+		onStatusChange = () => {},
+	} = {}
+) {
+	const onConnection = (ws) => {
+		ws.awaitingPong = false;
+		ws.missedHeartbeats = 0;
+		const markAlive = () => {
+			const wasUnresponsive = ws.missedHeartbeats > 0;
+			ws.awaitingPong = false;
+			ws.missedHeartbeats = 0;
+			if (wasUnresponsive) {
+				onStatusChange(ws, 'connected');
+			}
+		};
+		ws.on('pong', markAlive);
+		ws.on('message', markAlive);
+	};
+	wss.on('connection', onConnection);
+
+	const interval = setInterval(() => {
+		wss.clients.forEach((ws) => {
+			if (ws.readyState !== WebSocket.OPEN) return;
+			if (ws.awaitingPong) {
+				ws.missedHeartbeats++;
+				if (ws.missedHeartbeats >= maxMissed) {
+					console.log(
+						`[HEARTBEAT] Terminating client ${ws.id} after ${ws.missedHeartbeats} missed heartbeat(s).`
+					);
+					ws.terminate();
+					return;
+				}
+				if (ws.missedHeartbeats === 1) {
+					onStatusChange(ws, 'unresponsive');
+				}
+			}
+			ws.awaitingPong = true;
+			ws.ping();
+		});
+	}, intervalMs);
+	interval.unref();
+
+	return () => {
+		clearInterval(interval);
+		wss.off('connection', onConnection);
+	};
+}
+
+module.exports = {
+	HEARTBEAT_INTERVAL_MS,
+	HEARTBEAT_MAX_MISSED,
+	startHeartbeat,
+};
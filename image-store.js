@@ -0,0 +1,237 @@
+// image-store.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { GridFSBucket, ObjectId } = require('mongodb');
+
+// Rooms and gallery documents store image IDs; the PNGs themselves live here
+const IMAGE_BUCKET_NAME = 'images';
+const DEFAULT_IMAGE_DIRECTORY = path.join(__dirname, 'data', 'images');
+const IMAGE_ID_PATTERN = /^[0-9a-f]{24}$/i;
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,/;
+const FILE_EXTENSIONS = {
+	'image/png': 'png',
+	'image/gif': 'gif',
+	'image/jpeg': 'jpg',
+};
+
+// GridFS-backed store: the default, so images sit next to the rooms in Mongo
+function createGridFsImageStore(db) {
+	const bucket = new GridFSBucket(db, { bucketName: IMAGE_BUCKET_NAME });
+
+	return {
+		async save(buffer, contentType) {
+			const id = new ObjectId();
+			await new Promise((resolve, reject) => {
+				bucket
+					.openUploadStreamWithId(
+						id,
+						`${id}.${FILE_EXTENSIONS[contentType] || 'bin'}`,
+						{
+							metadata: { contentType: contentType },
+						}
+					)
+					.once('finish', resolve)
+					.once('error', reject)
+					.end(buffer);
+			});
+			return id.toString();
+		},
+
+		async open(id) {
+			if (!IMAGE_ID_PATTERN.test(id)) return null;
+			const [file] = await bucket
+				.find({ _id: new ObjectId(id) })
+				.limit(1)
+				.toArray();
+			if (!file) return null;
+			return {
+				stream: bucket.openDownloadStream(file._id),
+				contentType:
+					file.metadata?.contentType || 'application/octet-stream',
+				length: file.length,
+			};
+		},
+
+		async remove(id) {
+			if (!IMAGE_ID_PATTERN.test(id)) return;
+			try {
+				await bucket.delete(new ObjectId(id));
+			} catch (error) {
+				// Already gone; nothing to clean up
+			}
+		},
+	};
+}
+
+// Local-disk store for development and tests, where GridFS is overkill
+function createFileSystemImageStore(directory = DEFAULT_IMAGE_DIRECTORY) {
+	const filePath = (id, contentType) =>
+		path.join(directory, `${id}.${FILE_EXTENSIONS[contentType]}`);
+
+	return {
+		async save(buffer, contentType) {
+			if (!FILE_EXTENSIONS[contentType]) {
+				throw new Error(`Unsupported image type: ${contentType}`);
+			}
+			await fs.promises.mkdir(directory, { recursive: true });
+			const id = crypto.randomBytes(12).toString('hex');
+			await fs.promises.writeFile(filePath(id, contentType), buffer);
+			return id;
+		},
+
+		async open(id) {
+			// The ID becomes part of a path, so never accept anything but hex
+			if (!IMAGE_ID_PATTERN.test(id)) return null;
+			for (const contentType of Object.keys(FILE_EXTENSIONS)) {
+				try {
+					const stats = await fs.promises.stat(
+						filePath(id, contentType)
+					);
+					return {
+						stream: fs.createReadStream(filePath(id, contentType)),
+						contentType: contentType,
+						length: stats.size,
+					};
+				} catch (error) {
+					if (error.code !== 'ENOENT') throw error;
+				}
+			}
+			return null;
+		},
+
+		async remove(id) {
+			if (!IMAGE_ID_PATTERN.test(id)) return;
+			await Promise.all(
+				Object.keys(FILE_EXTENSIONS).map((contentType) =>
+					fs.promises.rm(filePath(id, contentType), { force: true })
+				)
+			);
+		},
+	};
+}
+
+const imageStores = new WeakMap();
+let fileSystemImageStore = null;
+
+/**
+ * Returns the image store for this process. Set IMAGE_STORE=filesystem (and
+ * optionally IMAGE_STORE_DIR) to keep images on local disk instead of GridFS.
+ * Without a database, e.g. with rooms kept in memory, images go to disk too.
+ * @param {import('mongodb').Db|null} db The connected database, if any.
+ * @returns {{save: Function, open: Function, remove: Function}}
+ */
+function getImageStore(db) {
+	if (!db || process.env.IMAGE_STORE === 'filesystem') {
+		if (!fileSystemImageStore) {
+			fileSystemImageStore = createFileSystemImageStore(
+				process.env.IMAGE_STORE_DIR || DEFAULT_IMAGE_DIRECTORY
+			);
+		}
+		return fileSystemImageStore;
+	}
+	if (!imageStores.has(db)) {
+		imageStores.set(db, createGridFsImageStore(db));
+	}
+	return imageStores.get(db);
+}
+
+// Documents written before the image store held base64 data URLs inline
+function isDataUrl(value) {
+	return typeof value === 'string' && DATA_URL_PATTERN.test(value);
+}
+
+/**
+ * Stores a base64 data URL, as sent by clients or produced by node-canvas.
+ * @param {object} store From getImageStore.
+ * @param {string} dataUrl
+ * @returns {Promise<string>} The new image ID.
+ */
+async function saveDataUrl(store, dataUrl) {
+	const match = DATA_URL_PATTERN.exec(dataUrl);
+	if (!match) {
+		throw new Error('Expected a base64 data URL');
+	}
+	const buffer = Buffer.from(dataUrl.substring(match[0].length), 'base64');
+	return store.save(buffer, match[1]);
+}
+
+/**
+ * Reads an image back as a data URL, for clients that draw it onto a canvas.
+ * Legacy inline data URLs are returned unchanged.
+ * @param {object} store From getImageStore.
+ * @param {string} imageRef An image ID or legacy data URL.
+ * @returns {Promise<string|null>} null if the image does not exist.
+ */
+async function loadDataUrl(store, imageRef) {
+	if (isDataUrl(imageRef)) return imageRef;
+	const image = await store.open(imageRef);
+	if (!image) return null;
+	const chunks = [];
+	for await (const chunk of image.stream) {
+		chunks.push(chunk);
+	}
+	return `data:${image.contentType};base64,${Buffer.concat(chunks).toString(
+		'base64'
+	)}`;
+}
+
+// Where this server is reached from outside, e.g. https://api.example.com,
+// so frontends served from another origin can load image URLs as they are.
+// Without it, image URLs are relative to this server.
+function getPublicBaseUrl() {
+	return (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+}
+
+// Where clients can fetch an image; legacy data URLs already are one
+function getImageUrl(imageRef) {
+	if (!imageRef) return null;
+	return isDataUrl(imageRef)
+		? imageRef
+		: `${getPublicBaseUrl()}/api/images/${imageRef}`;
+}
+
+/**
+ * Express route that streams stored images by ID.
+ * @param {() => import('mongodb').Db|null} getDb Returns the connected
+ *   database, or null when running without one.
+ * @returns {import('express').Router}
+ */
+function createImageRouter(getDb) {
+	const router = express.Router();
+
+	router.get('/:id', async (req, res) => {
+		try {
+			const image = await getImageStore(getDb()).open(req.params.id);
+			if (!image) {
+				return res.status(404).json({ message: 'Image not found' });
+			}
+			// IDs are never reused, so an image never changes once stored
+			res.set('Cache-Control', 'public, max-age=31536000, immutable');
+			res.set('Content-Length', String(image.length));
+			res.type(image.contentType);
+			image.stream.on('error', (error) => {
+				console.error('Error streaming image:', error);
+				res.destroy(error);
+			});
+			image.stream.pipe(res);
+		} catch (error) {
+			console.error('Error fetching image:', error);
+			res.status(500).json({ message: 'Failed to fetch image' });
+		}
+	});
+
+	return router;
+}
+
+module.exports = {
+	createGridFsImageStore,
+	createFileSystemImageStore,
+	getImageStore,
+	isDataUrl,
+	saveDataUrl,
+	loadDataUrl,
+	getImageUrl,
+	createImageRouter,
+};
@@ -0,0 +1,221 @@
+// matchmaking.js
+const { resolveSegmentTemplate } = require('./segment-templates');
+const {
+	MIN_PLAYERS,
+	MAX_PLAYERS_LIMIT,
+	DEFAULT_MAX_PLAYERS,
+	normalizeMaxPlayers,
+} = require('./room-service');
+
+// How many recently matched players the estimated wait is averaged over
+const WAIT_SAMPLE_SIZE = 20;
+
+/**
+ * Validates what a 'findMatch' player wants to play. Either field may be left
+ * out to take any template or room size.
+ * @param {object} [input]
+ * @param {string} [input.template] Built-in segment template ID.
+ * @param {number} [input.maxPlayers] 2-8 players.
+ * @returns {{criteria: MatchCriteria}|{error: string}}
+ */
+function resolveMatchCriteria(input = {}) {
+	let templateId = null;
+	if (input.template !== undefined && input.template !== null) {
+		const template = resolveSegmentTemplate({ template: input.template });
+		if (!template) {
+			return { error: `Unknown segment template: ${input.template}.` };
+		}
+		templateId = template.templateId;
+	}
+
+	let maxPlayers = null;
+	if (input.maxPlayers !== undefined && input.maxPlayers !== null) {
+		maxPlayers = normalizeMaxPlayers(input.maxPlayers);
+		if (!maxPlayers) {
+			return {
+				error: `Player count must be between ${MIN_PLAYERS} and ${MAX_PLAYERS_LIMIT}.`,
+			};
+		}
+	}
+
+	return { criteria: { templateId: templateId, maxPlayers: maxPlayers } };
+}
+
+// Narrows one set of criteria to take in another, or returns null if players
+// wanting them can't share a room
+function combineCriteria(a, b) {
+	if (a.templateId && b.templateId && a.templateId !== b.templateId) {
+		return null;
+	}
+	if (a.maxPlayers && b.maxPlayers && a.maxPlayers !== b.maxPlayers) {
+		return null;
+	}
+	return {
+		templateId: a.templateId || b.templateId,
+		maxPlayers: a.maxPlayers || b.maxPlayers,
+	};
+}
+
+// Players who don't mind the room size get the usual two-player game
+function getTargetSize(criteria) {
+	return criteria.maxPlayers || DEFAULT_MAX_PLAYERS;
+}
+
+/**
+ * The sockets waiting to be paired with strangers, oldest first. Each server
+ * process keeps its own queue, so players are only matched with others
+ * connected to the same process.
+ *
+ * Rooms are formed first come, first served: starting from the longest
+ * waiting player, the queue gathers everyone compatible with them until the
+ * room is full.
+ * @returns {MatchmakingQueue}
+ */
+function createMatchmakingQueue() {
+	let queue = []; // [{ ws, criteria, playerName, queuedAt }]
+	const recentWaits = []; // How long recently matched players waited, in ms
+
+	const findEntry = (ws) => queue.find((entry) => entry.ws === ws);
+
+	function removeEntry(ws) {
+		const lengthBefore = queue.length;
+		queue = queue.filter((entry) => entry.ws !== ws);
+		return queue.length < lengthBefore;
+	}
+
+	function getAverageWait() {
+		if (recentWaits.length === 0) return null;
+		return (
+			recentWaits.reduce((total, wait) => total + wait, 0) /
+			recentWaits.length
+		);
+	}
+
+	return {
+		/**
+		 * Queues a socket. Queuing again replaces its criteria and sends it to
+		 * the back of the queue.
+		 * @param {WebSocket} ws
+		 * @param {MatchCriteria} criteria From resolveMatchCriteria.
+		 * @param {string} [playerName]
+		 */
+		join(ws, criteria, playerName) {
+			removeEntry(ws);
+			queue.push({
+				ws: ws,
+				criteria: criteria,
+				playerName: playerName,
+				queuedAt: Date.now(),
+			});
+		},
+
+		// Takes a socket out of the queue; returns whether it was queued
+		leave(ws) {
+			return removeEntry(ws);
+		},
+
+		/**
+		 * Takes the next group of players who can fill a room out of the
+		 * queue, if there is one.
+		 * @returns {{entries: object[], criteria: {templateId: string|null, maxPlayers: number}}|null}
+		 *   The group in queue order, and what its room should be.
+		 */
+		takeMatch() {
+			for (let i = 0; i < queue.length; i++) {
+				const group = [queue[i]];
+				let criteria = queue[i].criteria;
+				for (
+					let j = i + 1;
+					j < queue.length && group.length < getTargetSize(criteria);
+					j++
+				) {
+					const combined = combineCriteria(
+						criteria,
+						queue[j].criteria
+					);
+					if (combined) {
+						group.push(queue[j]);
+						criteria = combined;
+					}
+				}
+				if (group.length < getTargetSize(criteria)) continue;
+
+				queue = queue.filter((entry) => !group.includes(entry));
+				const now = Date.now();
+				group.forEach((entry) =>
+					recentWaits.push(now - entry.queuedAt)
+				);
+				recentWaits.splice(0, recentWaits.length - WAIT_SAMPLE_SIZE);
+				return {
+					entries: group,
+					criteria: {
+						templateId: criteria.templateId,
+						maxPlayers: getTargetSize(criteria),
+					},
+				};
+			}
+			return null;
+		},
+
+		/**
+		 * Where a queued socket stands, counting only players it could be
+		 * matched with. The estimate is the recent average wait less the time
+		 * already waited, or null until anyone has been matched.
+		 * @param {WebSocket} ws
+		 * @returns {{position: number, playersWaiting: number, playersNeeded: number, waitedMs: number, estimatedWaitMs: number|null}|null}
+		 */
+		getStatus(ws) {
+			const entry = findEntry(ws);
+			if (!entry) return null;
+			const compatible = queue.filter((other) =>
+				combineCriteria(entry.criteria, other.criteria)
+			);
+			const waitedMs = Date.now() - entry.queuedAt;
+			const averageWait = getAverageWait();
+			return {
+				position: compatible.indexOf(entry) + 1,
+				playersWaiting: compatible.length,
+				playersNeeded: Math.max(
+					getTargetSize(entry.criteria) - compatible.length,
+					0
+				),
+				waitedMs: waitedMs,
+				estimatedWaitMs:
+					averageWait === null
+						? null
+						: Math.max(Math.round(averageWait - waitedMs), 0),
+			};
+		},
+
+		// Every queued socket, oldest first
+		getSockets() {
+			return queue.map((entry) => entry.ws);
+		},
+
+		get size() {
+			return queue.length;
+		},
+	};
+}
+
+/**
+ * What a player wants to be matched on; null means any.
+ * @typedef {object} MatchCriteria
+ * @property {string|null} templateId
+ * @property {number|null} maxPlayers
+ */
+
+/**
+ * @typedef {object} MatchmakingQueue
+ * @property {(ws: WebSocket, criteria: MatchCriteria, playerName?: string) => void} join
+ * @property {(ws: WebSocket) => boolean} leave
+ * @property {() => ({entries: object[], criteria: object}|null)} takeMatch
+ * @property {(ws: WebSocket) => object|null} getStatus
+ * @property {() => WebSocket[]} getSockets
+ * @property {number} size
+ */
+
+module.exports = {
+	resolveMatchCriteria,
+	createMatchmakingQueue,
+};
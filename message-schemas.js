@@ -0,0 +1,207 @@
+// message-schemas.js
+const { ObjectId } = require('mongodb');
+const { ERROR_CODES } = require('./errors');
+
+// Canvas PNGs are ~1-3MB as base64; anything far beyond that is not a drawing
+const MAX_DATA_URL_LENGTH = 15 * 1024 * 1024;
+const DATA_URL_PREFIX = 'data:image/png;base64,';
+
+/**
+ * Declared shape of every inbound WebSocket message, keyed by `type`.
+ * Each field lists its type and whether it is required; strings may set a
+ * maxLength, arrays a maxItems. Fields not listed are ignored by the handlers.
+ */
+const MESSAGE_SCHEMAS = {
+	createGame: {
+		maxPlayers: { type: 'integer' },
+		template: { type: 'string', maxLength: 40 },
+		segments: { type: 'array', maxItems: 20, items: 'string' },
+		templateName: { type: 'string', maxLength: 60 },
+		turnTimeLimit: { type: 'number' },
+		liveDrawing: { type: 'string', maxLength: 20 },
+		isPrivate: { type: 'boolean' },
+		passcode: { type: 'string', maxLength: 32 },
+		manualStart: { type: 'boolean' },
+		playerName: { type: 'string', maxLength: 30 },
+	},
+	joinGame: {
+		gameCode: { type: 'string', required: true, maxLength: 12 },
+		playerName: { type: 'string', maxLength: 30 },
+		passcode: { type: 'string', maxLength: 64 },
+		inviteToken: { type: 'string', maxLength: 64 },
+	},
+	spectateGame: {
+		gameCode: { type: 'string', required: true, maxLength: 12 },
+		passcode: { type: 'string', maxLength: 64 },
+		inviteToken: { type: 'string', maxLength: 64 },
+	},
+	rejoinGame: {
+		playerToken: { type: 'string', required: true, maxLength: 128 },
+	},
+	submitSegment: {
+		canvasData: { type: 'dataUrl', required: true },
+		redLineY: { type: 'number' },
+	},
+	saveDraft: {
+		canvasData: { type: 'dataUrl', required: true },
+		redLineY: { type: 'number' },
+	},
+	strokeBegin: {
+		strokeId: { type: 'string', required: true, maxLength: 64 },
+		tool: { type: 'string', maxLength: 20 },
+		color: { type: 'string', required: true, maxLength: 40 },
+		width: { type: 'number', required: true },
+		point: { type: 'object' },
+		points: { type: 'array', maxItems: 500, items: 'object' },
+	},
+	strokePoints: {
+		strokeId: { type: 'string', required: true, maxLength: 64 },
+		points: {
+			type: 'array',
+			required: true,
+			maxItems: 500,
+			items: 'object',
+		},
+	},
+	strokeEnd: {
+		strokeId: { type: 'string', required: true, maxLength: 64 },
+	},
+	playAgain: {
+		gameRoomId: { type: 'objectId', required: true },
+	},
+	chatMessage: {
+		text: { type: 'string', required: true, maxLength: 300 },
+	},
+	reaction: {
+		emoji: { type: 'string', required: true, maxLength: 16 },
+		artworkIndex: { type: 'integer' },
+	},
+	findMatch: {
+		template: { type: 'string', maxLength: 40 },
+		maxPlayers: { type: 'integer' },
+		playerName: { type: 'string', maxLength: 30 },
+	},
+	cancelMatch: {},
+	// Host controls
+	kickPlayer: {
+		playerId: { type: 'string', required: true, maxLength: 64 },
+	},
+	transferHost: {
+		playerId: { type: 'string', required: true, maxLength: 64 },
+	},
+	setRoomLock: {
+		locked: { type: 'boolean', required: true },
+	},
+	startGame: {},
+};
+
+function matchesType(value, type) {
+	switch (type) {
+		case 'string':
+			return typeof value === 'string';
+		case 'number':
+			return typeof value === 'number' && Number.isFinite(value);
+		case 'integer':
+			return Number.isInteger(value);
+		case 'boolean':
+			return typeof value === 'boolean';
+		case 'object':
+			return (
+				typeof value === 'object' &&
+				value !== null &&
+				!Array.isArray(value)
+			);
+		case 'array':
+			return Array.isArray(value);
+		case 'objectId':
+			return (
+				typeof value === 'string' &&
+				/^[0-9a-f]{24}$/i.test(value) &&
+				ObjectId.isValid(value)
+			);
+		case 'dataUrl':
+			return (
+				typeof value === 'string' &&
+				value.startsWith(DATA_URL_PREFIX) &&
+				value.length <= MAX_DATA_URL_LENGTH
+			);
+		default:
+			return false;
+	}
+}
+
+/**
+ * Checks a parsed message against its declared schema.
+ * @param {*} data The parsed JSON frame.
+ * @returns {{code: string, message: string, details?: {field: string, problem: string}[]}|null}
+ *   An error to report, or null if the message is valid.
+ */
+function validateMessage(data) {
+	if (
+		!data ||
+		typeof data !== 'object' ||
+		typeof data.type !== 'string' ||
+		!Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, data.type)
+	) {
+		return {
+			code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+			message: 'Unknown or missing message type.',
+		};
+	}
+
+	const schema = MESSAGE_SCHEMAS[data.type];
+	const details = [];
+	Object.entries(schema).forEach(([field, rule]) => {
+		const value = data[field];
+		if (value === undefined || value === null) {
+			if (rule.required) {
+				details.push({ field: field, problem: 'is required' });
+			}
+			return;
+		}
+		if (!matchesType(value, rule.type)) {
+			details.push({
+				field: field,
+				problem: `must be a valid ${rule.type}`,
+			});
+			return;
+		}
+		if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+			details.push({
+				field: field,
+				problem: `must be at most ${rule.maxLength} characters`,
+			});
+		}
+		if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+			details.push({
+				field: field,
+				problem: `must have at most ${rule.maxItems} items`,
+			});
+		}
+		if (
+			rule.items &&
+			!value.every((item) => matchesType(item, rule.items))
+		) {
+			details.push({
+				field: field,
+				problem: `must only contain ${rule.items} values`,
+			});
+		}
+	});
+
+	if (details.length > 0) {
+		return {
+			code: ERROR_CODES.INVALID_PAYLOAD,
+			message: `Invalid '${data.type}' message: ${details
+				.map((detail) => `${detail.field} ${detail.problem}`)
+				.join(', ')}.`,
+			details: details,
+		};
+	}
+	return null;
+}
+
+module.exports = {
+	MESSAGE_SCHEMAS,
+	validateMessage,
+};
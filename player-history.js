@@ -0,0 +1,386 @@
+// player-history.js
+const express = require('express');
+const { BSON, ObjectId } = require('mongodb');
+const { getRoomSegments } = require('./segment-templates');
+const { getImageUrl } = require('./image-store');
+const { authenticateRequest } = require('./accounts');
+
+const COLLECTION_NAME = 'playerGames';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Where each player's finished games are kept: one record per player per
+ * completed game, owned by either a user account or a guest token. Players
+ * with neither can't be told apart from one game to the next, so they get no
+ * history.
+ *
+ * Owners are selected with { userId } or { guestId }.
+ *
+ * @typedef {object} PlayerHistoryRepository
+ * @property {(records: object[]) => Promise<void>} insertMany
+ * @property {(owner: object, page?: {skip: number, limit: number}) => Promise<object[]>} findByOwner
+ *   The owner's records, most recently completed first; all of them unless
+ *   a page is given.
+ * @property {(owner: object) => Promise<number>} countByOwner
+ */
+
+function toOwnerFilter(owner) {
+	if (owner.userId) return { userId: owner.userId };
+	if (owner.guestId) return { guestId: owner.guestId };
+	throw new Error(`Unsupported history owner: ${Object.keys(owner)}`);
+}
+
+/**
+ * Keeps history in the `playerGames` collection.
+ * @param {import('mongodb').Db} db The connected database.
+ * @returns {PlayerHistoryRepository}
+ */
+function createMongoPlayerHistoryRepository(db) {
+	const collection = db.collection(COLLECTION_NAME);
+	// The indexes only speed up lookups, so history is still recorded
+	// without them
+	const indexed = Promise.all([
+		collection.createIndex({ userId: 1, completedAt: -1 }),
+		collection.createIndex({ guestId: 1, completedAt: -1 }),
+	]).catch((error) =>
+		console.error('[HISTORY] Failed to create history indexes:', error)
+	);
+
+	return {
+		async insertMany(records) {
+			await indexed;
+			if (records.length > 0) {
+				await collection.insertMany(records);
+			}
+		},
+
+		async findByOwner(owner, page) {
+			let cursor = collection
+				.find(toOwnerFilter(owner))
+				.sort({ completedAt: -1, _id: -1 });
+			if (page) {
+				cursor = cursor.skip(page.skip).limit(page.limit);
+			}
+			return cursor.toArray();
+		},
+
+		async countByOwner(owner) {
+			return collection.countDocuments(toOwnerFilter(owner));
+		},
+	};
+}
+
+/**
+ * Keeps history in an array for local development and tests.
+ * @returns {PlayerHistoryRepository}
+ */
+function createMemoryPlayerHistoryRepository() {
+	const records = [];
+	const copy = (record) => BSON.deserialize(BSON.serialize(record));
+	const ownedBy = (owner) => {
+		const filter = toOwnerFilter(owner);
+		const [field] = Object.keys(filter);
+		return records
+			.filter((record) => record[field] === filter[field])
+			.sort((a, b) => b.completedAt - a.completedAt);
+	};
+
+	return {
+		async insertMany(newRecords) {
+			newRecords.forEach((record) =>
+				records.push(copy({ _id: new ObjectId(), ...record }))
+			);
+		},
+
+		async findByOwner(owner, page) {
+			const owned = ownedBy(owner);
+			return (
+				page ? owned.slice(page.skip, page.skip + page.limit) : owned
+			).map(copy);
+		},
+
+		async countByOwner(owner) {
+			return ownedBy(owner).length;
+		},
+	};
+}
+
+/**
+ * Picks the repository for this process, like createRoomRepository.
+ * @param {import('mongodb').Db|null} db
+ * @returns {PlayerHistoryRepository}
+ */
+function createPlayerHistoryRepository(db) {
+	return db
+		? createMongoPlayerHistoryRepository(db)
+		: createMemoryPlayerHistoryRepository();
+}
+
+/**
+ * Who drew which segment of which artwork, worked out from the room's
+ * segmentHistory: each submission records its player and the canvas (and so
+ * the artwork) it was drawn on.
+ * @param {object} gameRoom A completed game room.
+ * @returns {{segmentIndex: number, segment: string, artworkIndex: number, playerId: string, imageId: string|null, autoSubmitted: boolean}[]}
+ */
+function getGameCredits(gameRoom) {
+	const segments = getRoomSegments(gameRoom);
+	return segments.flatMap((label, segmentIndex) =>
+		Object.values(gameRoom.segmentHistory?.[segmentIndex] || {}).map(
+			(submission) => ({
+				segmentIndex: segmentIndex,
+				segment: label,
+				artworkIndex: submission.canvasIndex,
+				playerId: submission.playerId,
+				imageId: submission.imageId ?? submission.dataURL ?? null,
+				autoSubmitted: Boolean(submission.autoSubmitted),
+			})
+		)
+	);
+}
+
+/**
+ * Adds a completed game to the history of every player in it who has an
+ * account or a guest token.
+ * @param {PlayerHistoryRepository} history
+ * @param {object} gameRoom The completed room, with finalArtworks filled in.
+ * @returns {Promise<number>} How many players it was recorded for.
+ */
+async function recordCompletedGame(history, gameRoom) {
+	const segments = getRoomSegments(gameRoom);
+	const credits = getGameCredits(gameRoom);
+	const completedAt = new Date();
+	const artworks = gameRoom.finalArtworks.map((imageId, artworkIndex) => ({
+		artworkIndex: artworkIndex,
+		imageId: imageId,
+		galleryId: gameRoom.galleryIds?.[artworkIndex] ?? null,
+	}));
+
+	const records = gameRoom.playerObjects
+		.filter((pObj) => pObj.userId || pObj.guestId)
+		.map((pObj) => ({
+			userId: pObj.userId || null,
+			guestId: pObj.userId ? null : pObj.guestId,
+			playerId: pObj.id,
+			name: pObj.name,
+			gameRoomId: gameRoom._id,
+			gameCode: gameRoom.gameCode,
+			isPrivate: gameRoom.isPrivate === true,
+			templateId: gameRoom.templateId,
+			templateName: gameRoom.templateName,
+			segments: segments,
+			playerCount: gameRoom.playerCount,
+			artworks: artworks,
+			contributions: credits
+				.filter((credit) => credit.playerId === pObj.id)
+				.map(({ playerId, ...contribution }) => contribution),
+			gameCreatedAt: gameRoom.createdAt,
+			completedAt: completedAt,
+		}));
+
+	await history.insertMany(records);
+	return records.length;
+}
+
+// Shapes a history record for API responses, with images as URLs
+function toHistoryEntry(record) {
+	return {
+		id: record._id.toString(),
+		gameRoomId: record.gameRoomId.toString(),
+		gameCode: record.gameCode,
+		name: record.name,
+		templateId: record.templateId,
+		templateName: record.templateName,
+		segments: record.segments,
+		playerCount: record.playerCount,
+		artworks: record.artworks.map((artwork) => ({
+			artworkIndex: artwork.artworkIndex,
+			imageUrl: getImageUrl(artwork.imageId),
+			galleryId: artwork.galleryId,
+			galleryUrl: artwork.galleryId
+				? `/api/gallery/${artwork.galleryId}`
+				: null,
+		})),
+		contributions: record.contributions.map(toContributionEntry),
+		gameCreatedAt: record.gameCreatedAt,
+		completedAt: record.completedAt,
+	};
+}
+
+function toContributionEntry({ imageId, ...contribution }) {
+	return { ...contribution, imageUrl: getImageUrl(imageId) };
+}
+
+/**
+ * Totals across every game in a player's history.
+ * @param {object[]} records
+ * @returns {object}
+ */
+function getPlayerStats(records) {
+	const segmentCounts = {};
+	records.forEach((record) =>
+		record.contributions.forEach(({ segment }) => {
+			segmentCounts[segment] = (segmentCounts[segment] || 0) + 1;
+		})
+	);
+	// Most drawn; ties go to whichever came first alphabetically
+	const [favouriteSegment = null] = Object.keys(segmentCounts).sort(
+		(a, b) => segmentCounts[b] - segmentCounts[a] || a.localeCompare(b)
+	);
+	const completedAts = records.map((record) => record.completedAt);
+
+	return {
+		gamesPlayed: records.length,
+		segmentsDrawn: Object.values(segmentCounts).reduce(
+			(total, count) => total + count,
+			0
+		),
+		autoSubmittedSegments: records.reduce(
+			(total, record) =>
+				total +
+				record.contributions.filter((c) => c.autoSubmitted).length,
+			0
+		),
+		favouriteSegment: favouriteSegment,
+		segmentCounts: segmentCounts,
+		firstPlayedAt: completedAts.length
+			? new Date(Math.min(...completedAts))
+			: null,
+		lastPlayedAt: completedAts.length
+			? new Date(Math.max(...completedAts))
+			: null,
+	};
+}
+
+function parsePage(query) {
+	const page = Math.max(parseInt(query.page, 10) || 1, 1);
+	const limit = Math.min(
+		Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+		MAX_PAGE_SIZE
+	);
+	return { page: page, limit: limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Routes for a player's own games, for users (session token) and guests
+ * (guest token) alike, sent as `Authorization: Bearer <token>`:
+ *   GET /           -> { user, guestId, stats }
+ *   GET /games      -> { games, page, limit, total, totalPages }
+ *   GET /segments   -> { segments, page, limit, total, totalPages }
+ *   GET /stats      -> stats, as from getPlayerStats
+ * @param {() => PlayerHistoryRepository} getHistory
+ * @param {() => import('./user-repository').UserRepository} getUsers
+ * @returns {import('express').Router}
+ */
+function createPlayerHistoryRouter(getHistory, getUsers) {
+	const router = express.Router();
+
+	// Every route needs to know whose history to read
+	router.use(async (req, res, next) => {
+		try {
+			const auth = await authenticateRequest(getUsers(), req);
+			if (auth.error) {
+				return res.status(401).json({ message: auth.error });
+			}
+			if (!auth.user && !auth.guestId) {
+				return res.status(401).json({
+					message: 'Log in or use a guest token to see your games.',
+				});
+			}
+			req.account = auth;
+			req.owner = auth.user
+				? { userId: auth.user.id }
+				: { guestId: auth.guestId };
+			next();
+		} catch (error) {
+			console.error('[HISTORY] Error reading session:', error);
+			res.status(500).json({ message: 'Failed to read session' });
+		}
+	});
+
+	router.get('/', async (req, res) => {
+		try {
+			const records = await getHistory().findByOwner(req.owner);
+			res.status(200).json({
+				user: req.account.user,
+				guestId: req.account.guestId,
+				stats: getPlayerStats(records),
+			});
+		} catch (error) {
+			console.error('[HISTORY] Error fetching profile:', error);
+			res.status(500).json({ message: 'Failed to fetch profile' });
+		}
+	});
+
+	router.get('/games', async (req, res) => {
+		const { page, limit, skip } = parsePage(req.query);
+		try {
+			const [records, total] = await Promise.all([
+				getHistory().findByOwner(req.owner, { skip, limit }),
+				getHistory().countByOwner(req.owner),
+			]);
+			res.status(200).json({
+				games: records.map(toHistoryEntry),
+				page: page,
+				limit: limit,
+				total: total,
+				totalPages: Math.ceil(total / limit),
+			});
+		} catch (error) {
+			console.error('[HISTORY] Error listing games:', error);
+			res.status(500).json({ message: 'Failed to list games' });
+		}
+	});
+
+	// Every segment the player drew, newest game first, top to bottom
+	router.get('/segments', async (req, res) => {
+		const { page, limit, skip } = parsePage(req.query);
+		try {
+			const records = await getHistory().findByOwner(req.owner);
+			const segments = records.flatMap((record) =>
+				record.contributions.map((contribution) => ({
+					gameRoomId: record.gameRoomId.toString(),
+					gameCode: record.gameCode,
+					completedAt: record.completedAt,
+					...toContributionEntry(contribution),
+					artworkImageUrl: getImageUrl(
+						record.artworks[contribution.artworkIndex]?.imageId
+					),
+				}))
+			);
+			res.status(200).json({
+				segments: segments.slice(skip, skip + limit),
+				page: page,
+				limit: limit,
+				total: segments.length,
+				totalPages: Math.ceil(segments.length / limit),
+			});
+		} catch (error) {
+			console.error('[HISTORY] Error listing segments:', error);
+			res.status(500).json({ message: 'Failed to list segments' });
+		}
+	});
+
+	router.get('/stats', async (req, res) => {
+		try {
+			const records = await getHistory().findByOwner(req.owner);
+			res.status(200).json(getPlayerStats(records));
+		} catch (error) {
+			console.error('[HISTORY] Error fetching stats:', error);
+			res.status(500).json({ message: 'Failed to fetch stats' });
+		}
+	});
+
+	return router;
+}
+
+module.exports = {
+	createMongoPlayerHistoryRepository,
+	createMemoryPlayerHistoryRepository,
+	createPlayerHistoryRepository,
+	getGameCredits,
+	recordCompletedGame,
+	getPlayerStats,
+	createPlayerHistoryRouter,
+};
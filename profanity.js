@@ -0,0 +1,198 @@
+// profanity.js
+
+// Words that must never appear in anything we generate or show to other
+// players. Matched case-insensitively as substrings, after undoing common
+// digit-for-letter swaps, so "5H1T" is caught as well as "SHIT".
+const BLOCKED_WORDS = [
+	'ANAL',
+	'ANUS',
+	'ARSE',
+	'ASS',
+	'BITCH',
+	'BOOB',
+	'BUTT',
+	'COCK',
+	'COON',
+	'CUM',
+	'CUNT',
+	'DICK',
+	'DIKE',
+	'DYKE',
+	'FAG',
+	'FUCK',
+	'FUK',
+	'GOOK',
+	'HOMO',
+	'JIZZ',
+	'KIKE',
+	'KKK',
+	'NAZI',
+	'NIG',
+	'PAKI',
+	'PENIS',
+	'PISS',
+	'POOP',
+	'PORN',
+	'PUSSY',
+	'RAPE',
+	'SEX',
+	'SHIT',
+	'SLUT',
+	'SPIC',
+	'TIT',
+	'TWAT',
+	'VAGINA',
+	'WANK',
+	'WHORE',
+];
+
+const LOOKALIKE_LETTERS = {
+	0: 'O',
+	1: 'I',
+	2: 'Z',
+	3: 'E',
+	4: 'A',
+	5: 'S',
+	6: 'G',
+	7: 'T',
+	8: 'B',
+	9: 'G',
+	'@': 'A',
+	$: 'S',
+	'!': 'I',
+};
+
+// Upper-cases and swaps lookalike digits and symbols for the letters they imitate
+function normalizeForMatching(text) {
+	return text
+		.toUpperCase()
+		.replace(/[0-9@$!]/g, (char) => LOOKALIKE_LETTERS[char]);
+}
+
+/**
+ * Whether the text contains a blocked word anywhere, e.g. inside a room code.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function containsProfanity(text) {
+	const normalized = normalizeForMatching(text);
+	return BLOCKED_WORDS.some((word) => normalized.includes(word));
+}
+
+// Words a blocked word is commonly glued onto, as in "bullshit"
+const BLOCKED_PREFIXES = [
+	'',
+	'BULL',
+	'CHICKEN',
+	'CLUSTER',
+	'DIP',
+	'DUMB',
+	'HORSE',
+	'JACK',
+	'MOTHER',
+];
+
+// Endings a blocked word may carry in free text and still be caught. Its last
+// letter may be doubled first, as in "shitty".
+const BLOCKED_SUFFIXES = [
+	'',
+	'S',
+	'ES',
+	'ED',
+	'ING',
+	'INGS',
+	'ER',
+	'ERS',
+	'Y',
+	'IES',
+	'HOLE',
+	'HOLES',
+	'HEAD',
+	'HEADS',
+];
+
+// Innocent words that happen to be a blocked word plus one of the endings
+const ALLOWED_WORDS = [
+	'BOOBY',
+	'BUTTED',
+	'BUTTER',
+	'BUTTERS',
+	'BUTTIES',
+	'BUTTING',
+	'BUTTY',
+	'COCKED',
+	'COCKER',
+	'COCKERS',
+	'COCKY',
+	'DICKER',
+	'DICKERS',
+	'DICKIES',
+	'DICKY',
+	'NIGER',
+	'SPICED',
+	'SPICER',
+	'SPICES',
+	'SPICING',
+	'SPICY',
+	'TITER',
+	'TITERS',
+	'TITTER',
+	'TITTERS',
+];
+
+// Words in free text, with '!' allowed inside one as a stand-in for 'I'
+const WORD_PATTERN = /[A-Za-z0-9@$]+(?:!+[A-Za-z0-9@$]+)*/g;
+
+// Whether the ending left after a blocked word is one it may carry
+function isBlockedEnding(blockedWord, ending) {
+	return (
+		BLOCKED_SUFFIXES.includes(ending) ||
+		(ending[0] === blockedWord[blockedWord.length - 1] &&
+			BLOCKED_SUFFIXES.includes(ending.slice(1)))
+	);
+}
+
+function isBlockedWord(word) {
+	const normalized = normalizeForMatching(word);
+	if (ALLOWED_WORDS.includes(normalized)) return false;
+	return BLOCKED_PREFIXES.some((prefix) => {
+		if (!normalized.startsWith(prefix)) return false;
+		const rest = normalized.slice(prefix.length);
+		return BLOCKED_WORDS.some(
+			(blockedWord) =>
+				rest.startsWith(blockedWord) &&
+				isBlockedEnding(blockedWord, rest.slice(blockedWord.length))
+		);
+	});
+}
+
+/**
+ * Whether any word of the text is a blocked one, e.g. in a username. Unlike
+ * containsProfanity this goes word by word, so names that merely contain a
+ * blocked word ("Cassandra", "Titania") are allowed.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function containsBlockedWord(text) {
+	return (text.match(WORD_PATTERN) || []).some(isBlockedWord);
+}
+
+/**
+ * Stars out blocked words in free text such as chat. Like containsBlockedWord
+ * this goes word by word, so words that merely contain a blocked one
+ * ("class", "title") are left alone.
+ * @param {string} text
+ * @returns {string} The text, with each blocked word replaced by asterisks.
+ */
+function maskProfanity(text) {
+	return text.replace(WORD_PATTERN, (word) =>
+		isBlockedWord(word) ? '*'.repeat(word.length) : word
+	);
+}
+
+module.exports = {
+	BLOCKED_WORDS,
+	containsProfanity,
+	containsBlockedWord,
+	maskProfanity,
+};
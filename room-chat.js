@@ -0,0 +1,90 @@
+// room-chat.js
+const crypto = require('crypto');
+const { maskProfanity } = require('./profanity');
+
+// Only the most recent messages are kept on the room, for anyone who joins,
+// rejoins or starts watching later
+const CHAT_SCROLLBACK_SIZE = 50;
+// How often one socket may chat or react; see createRateLimit
+const CHAT_RATE_LIMIT = { limit: 5, windowMs: 10000 };
+const REACTION_RATE_LIMIT = { limit: 10, windowMs: 10000 };
+const REACTIONS = ['👍', '😂', '😮', '😍', '👏', '🔥', '💀', '🎨'];
+
+/**
+ * Tidies a chat message for showing to the room: trims it, collapses runs of
+ * whitespace (newlines included) and stars out blocked words. The length
+ * limit is checked by the 'chatMessage' schema.
+ * @param {string} text
+ * @returns {string|null} null if nothing is left to send.
+ */
+function normalizeChatText(text) {
+	const tidied = String(text).replace(/\s+/g, ' ').trim();
+	return tidied ? maskProfanity(tidied) : null;
+}
+
+function normalizeReaction(value) {
+	return REACTIONS.includes(value) ? value : null;
+}
+
+/**
+ * A chat message as stored in the room's scrollback and sent to the room.
+ * @param {object} sender
+ * @param {string|null} sender.playerId null for spectators.
+ * @param {string} sender.name
+ * @param {boolean} sender.isSpectator
+ * @param {string} text From normalizeChatText.
+ * @returns {{id: string, senderId: string|null, senderName: string, isSpectator: boolean, text: string, sentAt: Date}}
+ */
+function createChatMessage({ playerId, name, isSpectator }, text) {
+	return {
+		id: crypto.randomBytes(8).toString('hex'),
+		senderId: playerId,
+		senderName: name,
+		isSpectator: isSpectator,
+		text: text,
+		sentAt: new Date(),
+	};
+}
+
+// Adds a message to the room's scrollback, dropping the oldest past the cap
+function appendChatMessage(gameRoom, message) {
+	gameRoom.chat = [...(gameRoom.chat || []), message].slice(
+		-CHAT_SCROLLBACK_SIZE
+	);
+}
+
+/**
+ * A sliding-window limit on how often each socket may do something.
+ * @param {{limit: number, windowMs: number}} options At most `limit` times in
+ *   any `windowMs`.
+ * @returns {(ws: WebSocket) => number} Counts an attempt by the socket and
+ *   returns 0 if it is allowed, or how many ms until it would be.
+ */
+function createRateLimit({ limit, windowMs }) {
+	const attempts = new WeakMap(); // socket -> times of its recent attempts
+	return (ws) => {
+		const now = Date.now();
+		const recent = (attempts.get(ws) || []).filter(
+			(time) => now - time < windowMs
+		);
+		if (recent.length >= limit) {
+			attempts.set(ws, recent);
+			return recent[0] + windowMs - now;
+		}
+		recent.push(now);
+		attempts.set(ws, recent);
+		return 0;
+	};
+}
+
+module.exports = {
+	CHAT_SCROLLBACK_SIZE,
+	CHAT_RATE_LIMIT,
+	REACTION_RATE_LIMIT,
+	REACTIONS,
+	normalizeChatText,
+	normalizeReaction,
+	createChatMessage,
+	appendChatMessage,
+	createRateLimit,
+};
@@ -0,0 +1,101 @@
+// room-clients.js
+const WebSocket = require('ws');
+
+/**
+ * Tracks which of this process's sockets are in each room, players and
+ * spectators alike, so a broadcast only visits the room's own sockets. A
+ * socket is in at most one room and leaves it automatically when it closes.
+ *
+ * Joining and leaving go through the registry, which keeps `ws.gameRoomId`
+ * in step with it.
+ * @returns {RoomClientRegistry}
+ */
+function createRoomClientRegistry() {
+	const clientsByRoom = new Map(); // gameRoomId -> Set of sockets
+	const watchedSockets = new WeakSet(); // sockets with a close listener
+
+	function forget(ws) {
+		const clients = clientsByRoom.get(ws.gameRoomId);
+		if (!clients) return;
+		clients.delete(ws);
+		if (clients.size === 0) {
+			clientsByRoom.delete(ws.gameRoomId);
+		}
+	}
+
+	return {
+		/**
+		 * Puts the socket in a room, taking it out of any previous one.
+		 * @param {WebSocket} ws
+		 * @param {string} gameRoomId
+		 */
+		add(ws, gameRoomId) {
+			forget(ws);
+			ws.gameRoomId = gameRoomId;
+			if (!clientsByRoom.has(gameRoomId)) {
+				clientsByRoom.set(gameRoomId, new Set());
+			}
+			clientsByRoom.get(gameRoomId).add(ws);
+
+			if (!watchedSockets.has(ws)) {
+				watchedSockets.add(ws);
+				// Leave ws.gameRoomId alone: the close handler still needs it
+				ws.once('close', () => forget(ws));
+			}
+		},
+
+		// Takes the socket out of its room, e.g. when the room is gone
+		remove(ws) {
+			forget(ws);
+			ws.gameRoomId = null;
+			ws.isSpectator = false;
+		},
+
+		/**
+		 * The room's sockets that can still be sent to.
+		 * @param {string} gameRoomId
+		 * @returns {WebSocket[]}
+		 */
+		getClients(gameRoomId) {
+			return [...(clientsByRoom.get(gameRoomId) || [])].filter(
+				(client) => client.readyState === WebSocket.OPEN
+			);
+		},
+
+		// How many rooms have sockets on this process
+		get roomCount() {
+			return clientsByRoom.size;
+		},
+	};
+}
+
+/**
+ * Sends each client its own message. `buildMessage` may be async and may
+ * return nothing to skip a client.
+ * @param {WebSocket[]} clients
+ * @param {(client: WebSocket) => (object|null|Promise<object|null>)} buildMessage
+ * @returns {Promise<void>}
+ */
+async function broadcastToRoom(clients, buildMessage) {
+	await Promise.all(
+		clients.map(async (client) => {
+			const message = await buildMessage(client);
+			if (message && client.readyState === WebSocket.OPEN) {
+				client.send(JSON.stringify(message));
+			}
+		})
+	);
+}
+
+/**
+ * @typedef {object} RoomClientRegistry
+ * @property {(ws: WebSocket, gameRoomId: string) => void} add
+ * @property {(ws: WebSocket) => void} remove
+ * @property {(gameRoomId: string) => WebSocket[]} getClients
+ * @property {number} roomCount
+ */
+
+module.exports = {
+	createRoomClientRegistry,
+	broadcastToRoom,
+};
@@ -0,0 +1,75 @@
+// room-codes.js
+const crypto = require('crypto');
+const { containsProfanity } = require('./profanity');
+
+// No 0/O, 1/I/L or U/V, so codes survive being read aloud or off a phone
+const ROOM_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTWXYZ';
+const DEFAULT_ROOM_CODE_LENGTH = 4;
+const MIN_ROOM_CODE_LENGTH = 4;
+const MAX_ROOM_CODE_LENGTH = 8;
+// Codes that are taken or blocked are redrawn; past this many tries the
+// configured length has run out of room
+const MAX_RESERVATION_ATTEMPTS = 20;
+
+// ROOM_CODE_LENGTH picks the code length; out-of-range values use the default
+function getRoomCodeLength() {
+	const length = Number(process.env.ROOM_CODE_LENGTH);
+	return Number.isInteger(length) &&
+		length >= MIN_ROOM_CODE_LENGTH &&
+		length <= MAX_ROOM_CODE_LENGTH
+		? length
+		: DEFAULT_ROOM_CODE_LENGTH;
+}
+
+/**
+ * Draws a random code from the unambiguous alphabet, skipping any that
+ * spell a blocked word.
+ * @param {number} [length]
+ * @returns {string}
+ */
+function generateRoomCode(length = getRoomCodeLength()) {
+	let code;
+	do {
+		code = Array.from(
+			{ length: length },
+			() =>
+				ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]
+		).join('');
+	} while (containsProfanity(code));
+	return code;
+}
+
+// Codes are shown in upper case, but players may type them any old way
+function normalizeRoomCode(code) {
+	return typeof code === 'string' ? code.trim().toUpperCase() : code;
+}
+
+/**
+ * Claims an unused code for a new room. The reservation is held until the
+ * room is removed from the repository, after which the code can be reused.
+ * @param {import('./room-repository').RoomRepository} rooms
+ * @returns {Promise<string>}
+ */
+async function reserveRoomCode(rooms) {
+	const length = getRoomCodeLength();
+	for (let attempt = 1; attempt <= MAX_RESERVATION_ATTEMPTS; attempt++) {
+		const gameCode = generateRoomCode(length);
+		if (!(await rooms.reserveCode(gameCode))) continue;
+
+		// Rooms from before reservations hold codes without a reservation.
+		// Leave this one reserved: it is released when that room is removed.
+		if (await rooms.findOne({ gameCode: gameCode })) continue;
+
+		return gameCode;
+	}
+	throw new Error(
+		`Could not find a free ${length}-character room code after ${MAX_RESERVATION_ATTEMPTS} attempts.`
+	);
+}
+
+module.exports = {
+	ROOM_CODE_ALPHABET,
+	generateRoomCode,
+	normalizeRoomCode,
+	reserveRoomCode,
+};
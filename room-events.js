@@ -0,0 +1,149 @@
+// room-events.js
+const { EventEmitter } = require('events');
+const { BSON } = require('mongodb');
+
+const DEFAULT_CHANNEL = 'exquisite-corpse:room-events';
+
+/**
+ * Carries room events between server processes, so a broadcast reaches every
+ * socket in a room whichever instance holds it. Each instance subscribes once
+ * and delivers events to its own sockets; publishers never deliver directly.
+ *
+ * Events are plain objects, { gameRoomId, name, gameRoom, data }, encoded as
+ * Extended JSON so ObjectIds and Dates survive the trip.
+ *
+ * @typedef {object} RoomEvents
+ * @property {(event: object) => Promise<void>} publish
+ * @property {(listener: (event: object) => void) => () => void} subscribe
+ *   Returns a function that removes the listener.
+ * @property {() => Promise<void>} close
+ * @property {boolean} distributed Whether other processes may share the rooms.
+ */
+
+// Relaxed mode keeps numbers as plain numbers rather than Int32/Double
+function encodeEvent(event) {
+	return BSON.EJSON.stringify(event);
+}
+
+function decodeEvent(message) {
+	return BSON.EJSON.parse(message);
+}
+
+/**
+ * Delivers events within this process only: the default, for a single server.
+ * @returns {RoomEvents}
+ */
+function createLocalRoomEvents() {
+	const emitter = new EventEmitter();
+	emitter.setMaxListeners(0);
+
+	return {
+		distributed: false,
+
+		async publish(event) {
+			// Encode anyway, so listeners get the same copy Redis would deliver
+			const message = encodeEvent(event);
+			setImmediate(() => emitter.emit('event', decodeEvent(message)));
+		},
+
+		subscribe(listener) {
+			emitter.on('event', listener);
+			return () => emitter.off('event', listener);
+		},
+
+		async close() {
+			emitter.removeAllListeners();
+		},
+	};
+}
+
+/**
+ * Delivers events through Redis pub/sub. Takes two ioredis-style clients,
+ * since a subscribed connection can't publish: `publisher.publish(channel,
+ * message)`, `subscriber.subscribe(channel)` and
+ * `subscriber.on('message', (channel, message) => ...)`.
+ * @param {object} options
+ * @param {object} options.publisher
+ * @param {object} options.subscriber
+ * @param {string} [options.channel]
+ * @returns {Promise<RoomEvents>} Resolves once subscribed.
+ */
+async function createRedisRoomEvents({
+	publisher,
+	subscriber,
+	channel = DEFAULT_CHANNEL,
+}) {
+	const listeners = new Set();
+	const onMessage = (messageChannel, message) => {
+		if (messageChannel !== channel) return;
+		let event;
+		try {
+			event = decodeEvent(message);
+		} catch (error) {
+			console.error('[EVENTS] Dropped an unreadable room event:', error);
+			return;
+		}
+		listeners.forEach((listener) => listener(event));
+	};
+
+	subscriber.on('message', onMessage);
+	await subscriber.subscribe(channel);
+
+	return {
+		distributed: true,
+
+		async publish(event) {
+			await publisher.publish(channel, encodeEvent(event));
+		},
+
+		subscribe(listener) {
+			listeners.add(listener);
+			return () => listeners.delete(listener);
+		},
+
+		async close() {
+			listeners.clear();
+			subscriber.removeListener('message', onMessage);
+			await subscriber.unsubscribe(channel);
+		},
+	};
+}
+
+/**
+ * Picks the transport for this process: Redis when REDIS_URL is set (needs
+ * the ioredis package), otherwise in-process.
+ * @returns {Promise<RoomEvents>}
+ */
+async function createRoomEvents() {
+	if (!process.env.REDIS_URL) {
+		return createLocalRoomEvents();
+	}
+	let Redis;
+	try {
+		Redis = require('ioredis');
+	} catch (error) {
+		throw new Error(
+			'REDIS_URL is set, but the ioredis package is not installed.'
+		);
+	}
+	const publisher = new Redis(process.env.REDIS_URL);
+	const subscriber = new Redis(process.env.REDIS_URL);
+	const roomEvents = await createRedisRoomEvents({
+		publisher: publisher,
+		subscriber: subscriber,
+		channel: process.env.REDIS_CHANNEL || DEFAULT_CHANNEL,
+	});
+	const close = roomEvents.close;
+	roomEvents.close = async () => {
+		await close();
+		await Promise.all([publisher.quit(), subscriber.quit()]);
+	};
+	console.log('[EVENTS] Sharing room events through Redis.');
+	return roomEvents;
+}
+
+module.exports = {
+	createLocalRoomEvents,
+	createRedisRoomEvents,
+	createRoomEvents,
+};
@@ -0,0 +1,185 @@
+// room-janitor.js
+const { archiveCompletedGame } = require('./gallery');
+const { getImageStore } = require('./image-store');
+const { DELETE_ROOM, transitionRoom } = require('./room-transitions');
+const { clearTurnTimer } = require('./turn-timers');
+const { getRoomImageIds, getArchivedImageIds } = require('./room-service');
+
+const MINUTE_MS = 60 * 1000;
+
+// How long a room may sit unchanged before it is removed, by status.
+// Every committed room change resets the clock (see room-transitions.js).
+const ROOM_EXPIRY_POLICIES = [
+	{
+		// Nobody came, e.g. a room made over REST and never joined
+		statuses: ['waiting'],
+		maxIdleMs: Number(process.env.WAITING_ROOM_TTL_MS) || 30 * MINUTE_MS,
+		reason: 'The room expired before the game started.',
+	},
+	{
+		// Everyone wandered off mid-game
+		statuses: ['playing', 'paused'],
+		maxIdleMs: Number(process.env.IDLE_ROOM_TIMEOUT_MS) || 60 * MINUTE_MS,
+		reason: 'The game was closed after a long period without activity.',
+	},
+	{
+		// The artworks are in the gallery by now; the room itself is done
+		statuses: ['completed'],
+		maxIdleMs: Number(process.env.COMPLETED_ROOM_TTL_MS) || 60 * MINUTE_MS,
+		reason: 'The finished game was closed.',
+	},
+];
+const JANITOR_INTERVAL_MS =
+	Number(process.env.JANITOR_INTERVAL_MS) || MINUTE_MS;
+
+// Gives a completed room a second chance at the gallery if archiving failed
+// when the game ended. Returns the room as it now stands.
+async function archiveIfNeeded(storage, gameRoom) {
+	if (
+		!storage.db ||
+		gameRoom.status !== 'completed' ||
+		gameRoom.galleryIds?.length ||
+		!gameRoom.finalArtworks?.length
+	) {
+		return gameRoom;
+	}
+	const galleryIds = await archiveCompletedGame(storage.db, gameRoom);
+	const { gameRoom: archivedRoom } = await transitionRoom(
+		storage.rooms,
+		{ id: gameRoom._id.toString() },
+		(latestRoom) => {
+			latestRoom.galleryIds = galleryIds;
+		}
+	);
+	console.log(
+		`[JANITOR] Archived ${galleryIds.length} artwork(s) from room ${gameRoom._id} before expiring it.`
+	);
+	return archivedRoom;
+}
+
+/**
+ * Deletes one expired room, unless it changed after it was found to be idle:
+ * archives completed artworks first, then tells anyone still connected and
+ * frees the room's code, timers and images.
+ * @returns {Promise<boolean>} Whether the room was deleted.
+ */
+async function expireRoom(storage, gameRoomId, reason) {
+	let gameRoom = await storage.rooms.findOne({ id: gameRoomId });
+	if (!gameRoom) return false;
+	gameRoom = await archiveIfNeeded(storage, gameRoom);
+	if (!gameRoom) return false;
+
+	// Only delete the room exactly as it was checked; any change since then
+	// means someone is using it again
+	const checkedVersion = gameRoom.version;
+	const { committed } = await transitionRoom(
+		storage.rooms,
+		{ id: gameRoomId },
+		(latestRoom) =>
+			latestRoom.version === checkedVersion ? DELETE_ROOM : false
+	);
+	if (!committed) return false;
+
+	clearTurnTimer(gameRoomId);
+
+	// Every server process detaches and tells its own sockets in the room
+	await storage.events.publish({
+		gameRoomId: gameRoomId,
+		name: 'roomExpired',
+		data: { gameCode: gameRoom.gameCode, reason: reason },
+	});
+
+	const keptImageIds = getArchivedImageIds(gameRoom);
+	const imageStore = getImageStore(storage.db);
+	await Promise.all(
+		[...getRoomImageIds(gameRoom)]
+			.filter((imageId) => !keptImageIds.has(imageId))
+			.map((imageId) =>
+				imageStore
+					.remove(imageId)
+					.catch((error) =>
+						console.error(
+							`[JANITOR] Failed to delete image ${imageId}:`,
+							error
+						)
+					)
+			)
+	);
+
+	console.log(
+		`[JANITOR] Expired ${gameRoom.status} room ${gameRoomId} (${gameRoom.gameCode}).`
+	);
+	return true;
+}
+
+/**
+ * Removes every room that has been idle longer than its status allows.
+ * @param {{rooms: import('./room-repository').RoomRepository, db: import('mongodb').Db|null, events: import('./room-events').RoomEvents}} storage
+ * @returns {Promise<number>} How many rooms were removed.
+ */
+async function sweepExpiredRooms(storage) {
+	let expiredCount = 0;
+	for (const policy of ROOM_EXPIRY_POLICIES) {
+		const idleSince = new Date(Date.now() - policy.maxIdleMs);
+		const gameRooms = await storage.rooms.findIdleRooms(
+			policy.statuses,
+			idleSince
+		);
+		for (const gameRoom of gameRooms) {
+			try {
+				if (
+					await expireRoom(
+						storage,
+						gameRoom._id.toString(),
+						policy.reason
+					)
+				) {
+					expiredCount++;
+				}
+			} catch (error) {
+				console.error(
+					`[JANITOR] Failed to expire room ${gameRoom._id}:`,
+					error
+				);
+			}
+		}
+	}
+	return expiredCount;
+}
+
+/**
+ * Sweeps once straight away, which catches rooms that expired while the
+ * server was down, then again on an interval.
+ * @returns {Promise<() => void>} Stops the janitor.
+ */
+async function startRoomJanitor(storage) {
+	const sweep = async () => {
+		try {
+			const expiredCount = await sweepExpiredRooms(storage);
+			if (expiredCount > 0) {
+				console.log(`[JANITOR] Expired ${expiredCount} room(s).`);
+			}
+		} catch (error) {
+			console.error('[JANITOR] Sweep failed:', error);
+		}
+	};
+
+	await sweep();
+	let sweeping = null;
+	const interval = setInterval(() => {
+		// A slow sweep (e.g. archiving) must not overlap with the next one
+		if (!sweeping) {
+			sweeping = sweep().finally(() => {
+				sweeping = null;
+			});
+		}
+	}, JANITOR_INTERVAL_MS);
+	interval.unref();
+	return () => clearInterval(interval);
+}
+
+module.exports = {
+	ROOM_EXPIRY_POLICIES,
+	sweepExpiredRooms,
+	startRoomJanitor,
+};
@@ -0,0 +1,266 @@
+// room-repository.js
+const { BSON, ObjectId } = require('mongodb');
+
+const COLLECTION_NAME = 'gameRooms';
+// One document per game code in use. The code is the _id, so the unique _id
+// index makes inserting a reservation an atomic claim on the code.
+const CODES_COLLECTION_NAME = 'roomCodes';
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Where game rooms are kept. Handlers only ever go through these methods, so
+ * the same game runs against MongoDB or entirely in memory.
+ *
+ * Rooms are selected with one of { id }, { gameCode } or { playerToken }.
+ * Writes are whole-room and versioned: see transitionRoom in
+ * room-transitions.js, which is the only caller of replace() and remove().
+ *
+ * @typedef {object} RoomRepository
+ * @property {(query: {id?: string, gameCode?: string, playerToken?: string}) => Promise<object|null>} findOne
+ * @property {() => Promise<object[]>} findTimedRooms Rooms mid-segment with a
+ *   turn deadline; only _id, status, currentSegmentIndex and turnDeadline are
+ *   guaranteed to be filled in.
+ * @property {(statuses: string[], idleSince: Date) => Promise<object[]>} findIdleRooms
+ *   Rooms in one of the statuses that have not changed since idleSince; only
+ *   _id, gameCode, status, createdAt and updatedAt are guaranteed.
+ * @property {(gameRoom: object) => Promise<string>} insert Returns the new room's ID.
+ * @property {(gameCode: string) => Promise<boolean>} reserveCode Claims a game
+ *   code; false if it is already taken.
+ * @property {(gameCode: string) => Promise<void>} releaseCode Frees a code that
+ *   was reserved but never used.
+ * @property {(gameRoom: object, expectedVersion?: number) => Promise<boolean>} replace
+ *   Saves the room if its stored version is still expectedVersion.
+ * @property {(roomId: string, expectedVersion?: number) => Promise<boolean>} remove
+ *   Deletes the room if its stored version is still expectedVersion, and
+ *   releases its game code.
+ */
+
+function toMongoFilter(query) {
+	if (query.id !== undefined) {
+		return ObjectId.isValid(query.id)
+			? { _id: new ObjectId(query.id) }
+			: null;
+	}
+	if (query.gameCode !== undefined) {
+		return { gameCode: query.gameCode };
+	}
+	if (query.playerToken !== undefined) {
+		return { 'playerObjects.token': query.playerToken };
+	}
+	throw new Error(`Unsupported room query: ${Object.keys(query)}`);
+}
+
+// Rooms saved before versioning have no version field yet
+function toVersionFilter(expectedVersion) {
+	return expectedVersion === undefined ? { $exists: false } : expectedVersion;
+}
+
+/**
+ * Keeps rooms in the `gameRooms` collection.
+ * @param {import('mongodb').Db} db The connected database.
+ * @returns {RoomRepository}
+ */
+function createMongoRoomRepository(db) {
+	const collection = db.collection(COLLECTION_NAME);
+	const codes = db.collection(CODES_COLLECTION_NAME);
+
+	return {
+		async findOne(query) {
+			const filter = toMongoFilter(query);
+			return filter ? collection.findOne(filter) : null;
+		},
+
+		async findTimedRooms() {
+			return collection
+				.find(
+					{ status: 'playing', turnDeadline: { $ne: null } },
+					{
+						projection: {
+							status: 1,
+							currentSegmentIndex: 1,
+							turnDeadline: 1,
+						},
+					}
+				)
+				.toArray();
+		},
+
+		async findIdleRooms(statuses, idleSince) {
+			return collection
+				.find(
+					{
+						status: { $in: statuses },
+						$or: [
+							{ updatedAt: { $lt: idleSince } },
+							// Rooms from before updatedAt was tracked
+							{
+								updatedAt: { $exists: false },
+								createdAt: { $lt: idleSince },
+							},
+						],
+					},
+					{
+						projection: {
+							gameCode: 1,
+							status: 1,
+							createdAt: 1,
+							updatedAt: 1,
+						},
+					}
+				)
+				.toArray();
+		},
+
+		async insert(gameRoom) {
+			const result = await collection.insertOne(gameRoom);
+			return result.insertedId.toString();
+		},
+
+		async reserveCode(gameCode) {
+			try {
+				await codes.insertOne({
+					_id: gameCode,
+					reservedAt: new Date(),
+				});
+				return true;
+			} catch (error) {
+				if (error.code === DUPLICATE_KEY_ERROR) return false;
+				throw error;
+			}
+		},
+
+		async releaseCode(gameCode) {
+			await codes.deleteOne({ _id: gameCode });
+		},
+
+		async replace(gameRoom, expectedVersion) {
+			const { matchedCount } = await collection.replaceOne(
+				{
+					_id: gameRoom._id,
+					version: toVersionFilter(expectedVersion),
+				},
+				gameRoom
+			);
+			return matchedCount === 1;
+		},
+
+		async remove(roomId, expectedVersion) {
+			const deleted = await collection.findOneAndDelete(
+				{
+					_id: new ObjectId(roomId),
+					version: toVersionFilter(expectedVersion),
+				},
+				{ projection: { gameCode: 1 } }
+			);
+			if (!deleted) return false;
+			await codes.deleteOne({ _id: deleted.gameCode });
+			return true;
+		},
+	};
+}
+
+/**
+ * Keeps rooms in a Map for local development and tests. Rooms are copied in
+ * and out through BSON, exactly as Mongo would store them, so handlers can
+ * never change a stored room by accident.
+ * @returns {RoomRepository}
+ */
+function createMemoryRoomRepository() {
+	const rooms = new Map();
+	const codes = new Set();
+	const copy = (gameRoom) => BSON.deserialize(BSON.serialize(gameRoom));
+
+	const matches = (gameRoom, query) => {
+		if (query.id !== undefined) {
+			return gameRoom._id.toString() === query.id;
+		}
+		if (query.gameCode !== undefined) {
+			return gameRoom.gameCode === query.gameCode;
+		}
+		if (query.playerToken !== undefined) {
+			return gameRoom.playerObjects.some(
+				(pObj) => pObj.token === query.playerToken
+			);
+		}
+		throw new Error(`Unsupported room query: ${Object.keys(query)}`);
+	};
+
+	return {
+		async findOne(query) {
+			if (query.id !== undefined) {
+				const gameRoom = rooms.get(query.id);
+				return gameRoom ? copy(gameRoom) : null;
+			}
+			for (const gameRoom of rooms.values()) {
+				if (matches(gameRoom, query)) return copy(gameRoom);
+			}
+			return null;
+		},
+
+		async findTimedRooms() {
+			return [...rooms.values()]
+				.filter(
+					(gameRoom) =>
+						gameRoom.status === 'playing' && gameRoom.turnDeadline
+				)
+				.map(copy);
+		},
+
+		async findIdleRooms(statuses, idleSince) {
+			return [...rooms.values()]
+				.filter(
+					(gameRoom) =>
+						statuses.includes(gameRoom.status) &&
+						(gameRoom.updatedAt || gameRoom.createdAt) < idleSince
+				)
+				.map(copy);
+		},
+
+		async insert(gameRoom) {
+			gameRoom._id = gameRoom._id || new ObjectId();
+			rooms.set(gameRoom._id.toString(), copy(gameRoom));
+			return gameRoom._id.toString();
+		},
+
+		async reserveCode(gameCode) {
+			if (codes.has(gameCode)) return false;
+			codes.add(gameCode);
+			return true;
+		},
+
+		async releaseCode(gameCode) {
+			codes.delete(gameCode);
+		},
+
+		async replace(gameRoom, expectedVersion) {
+			const stored = rooms.get(gameRoom._id.toString());
+			if (!stored || stored.version !== expectedVersion) return false;
+			rooms.set(gameRoom._id.toString(), copy(gameRoom));
+			return true;
+		},
+
+		async remove(roomId, expectedVersion) {
+			const stored = rooms.get(roomId.toString());
+			if (!stored || stored.version !== expectedVersion) return false;
+			rooms.delete(roomId.toString());
+			codes.delete(stored.gameCode);
+			return true;
+		},
+	};
+}
+
+/**
+ * Picks the repository for this process: in memory when there is no database
+ * (ROOM_STORE=memory), otherwise MongoDB.
+ * @param {import('mongodb').Db|null} db
+ * @returns {RoomRepository}
+ */
+function createRoomRepository(db) {
+	return db ? createMongoRoomRepository(db) : createMemoryRoomRepository();
+}
+
+module.exports = {
+	createMongoRoomRepository,
+	createMemoryRoomRepository,
+	createRoomRepository,
+};
@@ -0,0 +1,364 @@
+// room-service.js
+const crypto = require('crypto');
+const { resolveSegmentTemplate } = require('./segment-templates');
+const {
+	MIN_TURN_TIME_LIMIT_SECONDS,
+	MAX_TURN_TIME_LIMIT_SECONDS,
+	normalizeTurnTimeLimit,
+} = require('./turn-timers');
+const { LIVE_DRAWING_MODES, normalizeLiveDrawing } = require('./stroke-stream');
+const { reserveRoomCode } = require('./room-codes');
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS_LIMIT = 8;
+const DEFAULT_MAX_PLAYERS = 2;
+const CANVAS_WIDTH = 1080; // Updated to 1080
+const CANVAS_HEIGHT = 1920; // Updated to 1920
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 32;
+
+// Durable secret a player presents in 'rejoinGame' to reclaim their slot
+function generatePlayerToken() {
+	return crypto.randomBytes(24).toString('hex');
+}
+
+// Secret shared in invite links; lets its holder past a room's passcode
+function generateInviteToken() {
+	return crypto.randomBytes(16).toString('hex');
+}
+
+// Validates a requested room size. Returns the default when none was given,
+// or null when the value is outside the supported range.
+function normalizeMaxPlayers(value) {
+	if (value === undefined || value === null) {
+		return DEFAULT_MAX_PLAYERS;
+	}
+	const maxPlayers = Number(value);
+	if (
+		!Number.isInteger(maxPlayers) ||
+		maxPlayers < MIN_PLAYERS ||
+		maxPlayers > MAX_PLAYERS_LIMIT
+	) {
+		return null;
+	}
+	return maxPlayers;
+}
+
+// Private rooms are kept out of public listings such as the gallery
+function normalizePrivacy(value) {
+	if (value === undefined || value === null) {
+		return false;
+	}
+	return typeof value === 'boolean' ? value : null;
+}
+
+// An optional passcode for joining the room. Returns null when none was
+// given, or undefined when the value can't be used.
+function normalizePasscode(value) {
+	if (value === undefined || value === null || value === '') {
+		return null;
+	}
+	if (typeof value !== 'string') return undefined;
+	const passcode = value.trim();
+	return passcode.length >= MIN_PASSCODE_LENGTH &&
+		passcode.length <= MAX_PASSCODE_LENGTH
+		? passcode
+		: undefined;
+}
+
+// Compares secrets in constant time; hashing first evens out the lengths
+function secretsMatch(given, expected) {
+	if (typeof given !== 'string' || typeof expected !== 'string') return false;
+	const digest = (value) =>
+		crypto.createHash('sha256').update(value).digest();
+	return crypto.timingSafeEqual(digest(given.trim()), digest(expected));
+}
+
+/**
+ * Whether a joiner or spectator may enter the room. Rooms without a passcode
+ * are open to anyone with the game code; rooms with one also accept the
+ * room's invite token in its place.
+ * @param {object} gameRoom
+ * @param {{passcode?: string, inviteToken?: string}} credentials
+ * @returns {boolean}
+ */
+function canEnterRoom(gameRoom, { passcode, inviteToken } = {}) {
+	if (!gameRoom.passcode) return true;
+	return (
+		secretsMatch(passcode, gameRoom.passcode) ||
+		secretsMatch(inviteToken, gameRoom.inviteToken)
+	);
+}
+
+// Every stored image the room points at, deduplicated
+function getRoomImageIds(gameRoom) {
+	const submissions = Object.values(gameRoom.segmentHistory || {}).flatMap(
+		(segment) => Object.values(segment)
+	);
+	return new Set(
+		[
+			...(gameRoom.activeCanvasStates || []),
+			...Object.values(gameRoom.drafts || {}).map(
+				(draft) => draft.imageId
+			),
+			...submissions.map((sub) => sub.imageId),
+			...(gameRoom.finalArtworks || []),
+		].filter(Boolean)
+	);
+}
+
+// Gallery entries and player histories share the artwork and segment
+// images, so those must stay
+function getArchivedImageIds(gameRoom) {
+	if (!gameRoom.galleryIds?.length && !gameRoom.historyRecorded) {
+		return new Set();
+	}
+	const submissions = Object.values(gameRoom.segmentHistory || {}).flatMap(
+		(segment) => Object.values(segment)
+	);
+	return new Set([
+		...gameRoom.finalArtworks,
+		...submissions.map((sub) => sub.imageId),
+	]);
+}
+
+// One blank canvas per player; each player starts their own canvas.
+// null stands for a blank canvas until someone submits a drawing on it.
+function createBlankCanvasStates(count) {
+	return Array.from({ length: count }, () => null);
+}
+
+/**
+ * A seated player, as stored in a room's playerObjects.
+ * @param {string} playerId The player's socket ID.
+ * @param {string} [name] Display name; a generic one is made up if missing.
+ * @param {object} [account] Who the player is beyond this room, if known.
+ * @param {string|null} [account.userId] Their account, for signed-in players.
+ * @param {string|null} [account.guestId] From a guest token, for guests.
+ * @returns {{id: string, name: string, token: string, socketId: string, connected: boolean, userId: string|null, guestId: string|null}}
+ */
+function createPlayerObject(
+	playerId,
+	name,
+	{ userId = null, guestId = null } = {}
+) {
+	return {
+		id: playerId,
+		name: name || `Player-${Math.random().toString(36).substr(2, 4)}`,
+		token: generatePlayerToken(),
+		socketId: playerId,
+		connected: true,
+		// Both stay the same across sockets and rooms; see player-history.js
+		userId: userId,
+		guestId: guestId,
+	};
+}
+
+/**
+ * Validates the options for a new room. Both the REST route and the
+ * 'createGame' message accept the same fields, with the same defaults.
+ * @param {object} [input]
+ * @param {number} [input.maxPlayers] 2-8 players; defaults to 2.
+ * @param {string} [input.template] Built-in segment template ID.
+ * @param {string[]} [input.segments] Custom segment labels, top to bottom.
+ * @param {string} [input.templateName] Display name for custom segments.
+ * @param {number} [input.turnTimeLimit] Seconds per segment; untimed if missing.
+ * @param {string} [input.liveDrawing] Who may watch strokes as they are drawn.
+ * @param {boolean} [input.isPrivate] Keep the room's artworks out of the gallery.
+ * @param {string} [input.passcode] Required of joiners unless they have the invite link.
+ * @param {boolean} [input.manualStart] Wait for the host to start the game
+ *   instead of starting as soon as the room fills.
+ * @returns {{options: object}|{error: string}}
+ */
+function resolveRoomOptions(input = {}) {
+	const maxPlayers = normalizeMaxPlayers(input.maxPlayers);
+	if (!maxPlayers) {
+		return {
+			error: `Player count must be between ${MIN_PLAYERS} and ${MAX_PLAYERS_LIMIT}.`,
+		};
+	}
+
+	const turnTimeLimitMs = normalizeTurnTimeLimit(input.turnTimeLimit);
+	if (turnTimeLimitMs === undefined) {
+		return {
+			error: `Turn time limit must be between ${MIN_TURN_TIME_LIMIT_SECONDS} and ${MAX_TURN_TIME_LIMIT_SECONDS} seconds.`,
+		};
+	}
+
+	const liveDrawing = normalizeLiveDrawing(input.liveDrawing);
+	if (!liveDrawing) {
+		return {
+			error: `Live drawing must be one of: ${LIVE_DRAWING_MODES.join(
+				', '
+			)}.`,
+		};
+	}
+
+	const segmentTemplate = resolveSegmentTemplate(input);
+	if (!segmentTemplate) {
+		return { error: 'Unknown segment template or invalid segment list.' };
+	}
+
+	const isPrivate = normalizePrivacy(input.isPrivate);
+	if (isPrivate === null) {
+		return { error: 'isPrivate must be true or false.' };
+	}
+
+	const passcode = normalizePasscode(input.passcode);
+	if (passcode === undefined) {
+		return {
+			error: `Passcodes must be ${MIN_PASSCODE_LENGTH}-${MAX_PASSCODE_LENGTH} characters long.`,
+		};
+	}
+
+	const manualStart = input.manualStart ?? false;
+	if (typeof manualStart !== 'boolean') {
+		return { error: 'manualStart must be true or false.' };
+	}
+
+	return {
+		options: {
+			maxPlayers: maxPlayers,
+			turnTimeLimitMs: turnTimeLimitMs,
+			liveDrawing: liveDrawing,
+			segmentTemplate: segmentTemplate,
+			isPrivate: isPrivate,
+			passcode: passcode,
+			manualStart: manualStart,
+		},
+	};
+}
+
+/**
+ * Creates and stores a new room under a freshly reserved game code.
+ * @param {import('./room-repository').RoomRepository} rooms
+ * @param {object} options From resolveRoomOptions.
+ * @param {object} [creator] The player who asked for the room, seated on the
+ *   first canvas as its host; rooms made over REST start empty, and whoever
+ *   joins first becomes host.
+ * @param {string} creator.playerId
+ * @param {string} [creator.playerName]
+ * @param {{userId: string|null, guestId: string|null}} [creator.account]
+ * @returns {Promise<{gameRoom: object, gameRoomId: string, playerToken: string|null}>}
+ */
+async function createRoom(rooms, options, creator = null) {
+	const gameCode = await reserveRoomCode(rooms);
+	const { maxPlayers, segmentTemplate } = options;
+	const now = new Date();
+	const playerObject = creator
+		? createPlayerObject(
+				creator.playerId,
+				creator.playerName,
+				creator.account
+		  )
+		: null;
+
+	const gameRoom = {
+		gameCode: gameCode,
+		players: playerObject ? [playerObject.id] : [], // Stores WS IDs
+		playerObjects: playerObject ? [playerObject] : [], // Stores {id, name, token}
+		playerCount: playerObject ? 1 : 0,
+		maxPlayers: maxPlayers,
+		isPrivate: options.isPrivate,
+		hostId: playerObject ? playerObject.id : null, // Player who may kick, lock and start
+		passcode: options.passcode || null,
+		inviteToken: generateInviteToken(),
+		isLocked: false, // Locked rooms take no new players
+		manualStart: options.manualStart === true, // Host starts the game instead of a full room
+		templateId: segmentTemplate.templateId,
+		templateName: segmentTemplate.templateName,
+		segments: segmentTemplate.segments, // Segment labels, top to bottom
+		canvasWidth: CANVAS_WIDTH,
+		canvasHeight: CANVAS_HEIGHT,
+		turnTimeLimitMs: options.turnTimeLimitMs, // null for untimed rooms
+		turnStartedAt: null,
+		turnDeadline: null,
+		drafts: {}, // Last canvas each player saved, auto-submitted on timeout
+		liveDrawing: options.liveDrawing, // Who may watch strokes as they are drawn
+		strokeHistory: {}, // Strokes recorded so far in the current segment
+		status: 'waiting', // Waits for the room to fill
+		currentSegmentIndex: 0,
+		submittedPlayers: [],
+		activeCanvasStates: createBlankCanvasStates(maxPlayers), // One blank canvas per player
+		canvasAssignments: playerObject ? { [playerObject.id]: 0 } : {}, // The creator starts on the first canvas
+		segmentHistory: {},
+		finalArtworks: [],
+		createdAt: now,
+		updatedAt: now, // Last change of any kind; see room-janitor.js
+		version: 0, // Bumped on every write; see room-transitions.js
+	};
+
+	let gameRoomId;
+	try {
+		gameRoomId = await rooms.insert(gameRoom);
+	} catch (error) {
+		await rooms.releaseCode(gameCode);
+		throw error;
+	}
+	return {
+		gameRoom: gameRoom,
+		gameRoomId: gameRoomId,
+		playerToken: playerObject ? playerObject.token : null,
+	};
+}
+
+/**
+ * The room settings both creation paths send back, so clients can treat a
+ * REST response and a 'gameCreated' message alike.
+ * @param {object} gameRoom
+ * @returns {object}
+ */
+function getRoomSummary(gameRoom) {
+	return {
+		gameRoomId: gameRoom._id.toString(),
+		gameCode: gameRoom.gameCode,
+		status: gameRoom.status,
+		playerCount: gameRoom.playerCount,
+		maxPlayers: gameRoom.maxPlayers,
+		isPrivate: gameRoom.isPrivate === true,
+		hostId: gameRoom.hostId || null,
+		hasPasscode: Boolean(gameRoom.passcode),
+		isLocked: gameRoom.isLocked === true,
+		manualStart: gameRoom.manualStart === true,
+		templateId: gameRoom.templateId,
+		templateName: gameRoom.templateName,
+		segments: gameRoom.segments,
+		currentSegmentIndex: gameRoom.currentSegmentIndex,
+		currentSegment: gameRoom.segments[gameRoom.currentSegmentIndex],
+		turnTimeLimitMs: gameRoom.turnTimeLimitMs,
+		liveDrawing: gameRoom.liveDrawing,
+	};
+}
+
+/**
+ * What only the host is told: the passcode and the invite token to share.
+ * @param {object} gameRoom
+ * @returns {{passcode: string|null, inviteToken: string|null}}
+ */
+function getHostSecrets(gameRoom) {
+	return {
+		passcode: gameRoom.passcode || null,
+		inviteToken: gameRoom.inviteToken || null,
+	};
+}
+
+module.exports = {
+	MIN_PLAYERS,
+	MAX_PLAYERS_LIMIT,
+	DEFAULT_MAX_PLAYERS,
+	CANVAS_WIDTH,
+	CANVAS_HEIGHT,
+	generatePlayerToken,
+	generateInviteToken,
+	normalizeMaxPlayers,
+	normalizePasscode,
+	canEnterRoom,
+	createBlankCanvasStates,
+	getRoomImageIds,
+	getArchivedImageIds,
+	createPlayerObject,
+	resolveRoomOptions,
+	createRoom,
+	getRoomSummary,
+	getHostSecrets,
+};
@@ -0,0 +1,68 @@
+// room-transitions.js
+
+const MAX_TRANSITION_ATTEMPTS = 10;
+const RETRY_JITTER_MS = 5;
+
+// Return this from a transition to delete the room instead of saving it
+const DELETE_ROOM = Symbol('DELETE_ROOM');
+
+/**
+ * Applies a change to one room with optimistic concurrency control. Every
+ * write bumps the room's `version`, and a write only lands if the version is
+ * still the one that was read; otherwise the room is re-read and `mutate` runs
+ * again on the fresh copy. Concurrent joins, submissions and disconnects are
+ * therefore applied one after another, never over each other.
+ *
+ * Because it may run more than once, `mutate` must only change the room it is
+ * given: sockets, timers and broadcasts belong after the transition commits.
+ *
+ * @param {import('./room-repository').RoomRepository} rooms Where rooms are kept.
+ * @param {{id?: string, gameCode?: string, playerToken?: string}} query
+ *   Selects the room.
+ * @param {(gameRoom: object) => *} mutate Changes the room in place. Returning
+ *   DELETE_ROOM deletes it; returning any other value except undefined
+ *   abandons the transition without writing (e.g. an error code).
+ * @returns {Promise<{gameRoom: object|null, result: *, committed: boolean}>}
+ *   The room as saved (or as last read, if abandoned), or null if no room
+ *   matched; `result` is whatever `mutate` returned.
+ */
+async function transitionRoom(rooms, query, mutate) {
+	for (let attempt = 1; attempt <= MAX_TRANSITION_ATTEMPTS; attempt++) {
+		const gameRoom = await rooms.findOne(query);
+		if (!gameRoom) {
+			return { gameRoom: null, result: undefined, committed: false };
+		}
+
+		const expectedVersion = gameRoom.version;
+		const result = await mutate(gameRoom);
+
+		if (result === DELETE_ROOM) {
+			if (await rooms.remove(gameRoom._id, expectedVersion)) {
+				return { gameRoom, result, committed: true };
+			}
+		} else if (result !== undefined) {
+			return { gameRoom, result, committed: false };
+		} else {
+			gameRoom.version = (expectedVersion || 0) + 1;
+			gameRoom.updatedAt = new Date(); // Idle rooms are expired by room-janitor.js
+			if (await rooms.replace(gameRoom, expectedVersion)) {
+				return { gameRoom, result, committed: true };
+			}
+		}
+
+		// Someone else got there first; back off a little and try again
+		await new Promise((resolve) =>
+			setTimeout(resolve, Math.random() * RETRY_JITTER_MS * attempt)
+		);
+	}
+	throw new Error(
+		`Room ${JSON.stringify(
+			query
+		)} changed too often to update after ${MAX_TRANSITION_ATTEMPTS} attempts.`
+	);
+}
+
+module.exports = {
+	DELETE_ROOM,
+	transitionRoom,
+};
@@ -0,0 +1,118 @@
+// segment-templates.js
+
+const DEFAULT_TEMPLATE_ID = 'classic';
+const CUSTOM_TEMPLATE_ID = 'custom';
+const MIN_SEGMENTS = 2;
+const MAX_SEGMENTS = 8;
+const MAX_LABEL_LENGTH = 30;
+
+// Built-in library of segment templates, in the order they are offered to players
+const SEGMENT_TEMPLATES = [
+	{
+		id: 'classic',
+		name: 'Classic',
+		segments: ['Head', 'Torso', 'Legs', 'Feet'],
+	},
+	{
+		id: 'creature',
+		name: 'Creature',
+		segments: ['Horns', 'Face', 'Body', 'Tail', 'Claws'],
+	},
+	{
+		id: 'landscape',
+		name: 'Landscape',
+		segments: ['Sky', 'Horizon', 'Ground'],
+	},
+	{
+		id: 'robot',
+		name: 'Robot',
+		segments: ['Antenna', 'Head', 'Chassis', 'Wheels'],
+	},
+	{
+		id: 'totem',
+		name: 'Totem Pole',
+		segments: ['Crown', 'Top Face', 'Middle Face', 'Bottom Face', 'Base'],
+	},
+];
+
+/**
+ * Returns a copy of the built-in templates, safe to send to clients.
+ * @returns {{id: string, name: string, segments: string[]}[]}
+ */
+function listTemplates() {
+	return SEGMENT_TEMPLATES.map((template) => ({
+		...template,
+		segments: [...template.segments],
+	}));
+}
+
+function findTemplate(templateId) {
+	return SEGMENT_TEMPLATES.find((template) => template.id === templateId);
+}
+
+/**
+ * Resolves the segment options sent with a createGame request into the
+ * template stored on the room. A custom `segments` list takes precedence
+ * over a named `template`; with neither, the classic body is used.
+ * @param {object} [options]
+ * @param {string} [options.template] The id of a built-in template.
+ * @param {string[]} [options.segments] Custom segment labels, top to bottom.
+ * @param {string} [options.templateName] Display name for a custom list.
+ * @returns {{templateId: string, templateName: string, segments: string[]}|null}
+ *   The resolved template, or null if the options are invalid.
+ */
+function resolveSegmentTemplate(options = {}) {
+	const { template, segments, templateName } = options;
+
+	if (segments !== undefined && segments !== null) {
+		if (
+			!Array.isArray(segments) ||
+			segments.length < MIN_SEGMENTS ||
+			segments.length > MAX_SEGMENTS
+		) {
+			return null;
+		}
+		const labels = segments.map((label) =>
+			typeof label === 'string' ? label.trim() : ''
+		);
+		if (
+			labels.some(
+				(label) => label.length === 0 || label.length > MAX_LABEL_LENGTH
+			)
+		) {
+			return null;
+		}
+		const name =
+			typeof templateName === 'string' && templateName.trim()
+				? templateName.trim().substring(0, MAX_LABEL_LENGTH)
+				: 'Custom';
+		return {
+			templateId: CUSTOM_TEMPLATE_ID,
+			templateName: name,
+			segments: labels,
+		};
+	}
+
+	const builtIn = findTemplate(template || DEFAULT_TEMPLATE_ID);
+	if (!builtIn) {
+		return null;
+	}
+	return {
+		templateId: builtIn.id,
+		templateName: builtIn.name,
+		segments: [...builtIn.segments],
+	};
+}
+
+// Rooms created before templates existed have no segments field
+function getRoomSegments(gameRoom) {
+	return gameRoom.segments || findTemplate(DEFAULT_TEMPLATE_ID).segments;
+}
+
+module.exports = {
+	MIN_SEGMENTS,
+	MAX_SEGMENTS,
+	listTemplates,
+	resolveSegmentTemplate,
+	getRoomSegments,
+};
@@ -6,18 +6,46 @@ const http = require('http');
 const express = require('express');
 const cors = require('cors');
 
-const { connectToMongo, getDb } = require('./db');
+const { connectToMongo } = require('./db');
+const { createRoomRepository } = require('./room-repository');
 const {
 	handleWebSocketMessage,
 	handleWebSocketClose,
+	restoreTurnTimers,
+	reconcileOrphanedRooms,
+	subscribeToRoomEvents,
+	updateConnectionStatus,
+	clearAllTimers,
 } = require('./game-handlers');
-const { createBlankCanvas } = require('./canvas-utils'); // Import new function
+const { HEARTBEAT_INTERVAL_MS, startHeartbeat } = require('./heartbeat');
+const { createRoomEvents } = require('./room-events');
+const { createRoomClientRegistry } = require('./room-clients');
+const { createMatchmakingQueue } = require('./matchmaking');
+const { startRoomJanitor } = require('./room-janitor');
+const {
+	resolveRoomOptions,
+	createRoom,
+	getRoomSummary,
+	getHostSecrets,
+} = require('./room-service');
+const { listTemplates } = require('./segment-templates');
+const { createGalleryRouter } = require('./gallery');
+const { createAccountRouter, authenticateRequest } = require('./accounts');
+const { createUserRepository } = require('./user-repository');
+const {
+	createPlayerHistoryRepository,
+	createPlayerHistoryRouter,
+} = require('./player-history');
+const { createImageRouter } = require('./image-store');
 
 const PORT = process.env.PORT || 8080;
+// ROOM_STORE=memory runs the whole game without MongoDB, e.g. for local dev
+const USE_MEMORY_STORE = process.env.ROOM_STORE === 'memory';
 
-// Define canvas dimensions (should be consistent across frontend and backend)
-const CANVAS_WIDTH = 1080; // Updated to 1080
-const CANVAS_HEIGHT = 1920; // Updated to 1920
+// Where rooms, accounts, player histories and images are kept, and how room
+// events travel: { rooms, users, history, db, events }. Set by startServer;
+// db is null when rooms are kept in memory.
+let storage = null;
 
 const app = express();
 app.use(express.json());
@@ -27,42 +55,51 @@ app.get('/', (req, res) => {
 	res.status(200).send('Exquisite Corpse Backend is running!');
 });
 
+app.get('/api/templates', (req, res) => {
+	res.status(200).json({ templates: listTemplates() });
+});
+
+app.use(
+	'/api/gallery',
+	createGalleryRouter(() => storage?.db ?? null)
+);
+app.use(
+	'/api/auth',
+	createAccountRouter(() => storage.users)
+);
+app.use(
+	'/api/me',
+	createPlayerHistoryRouter(
+		() => storage.history,
+		() => storage.users
+	)
+);
+app.use(
+	'/api/images',
+	createImageRouter(() => storage?.db ?? null)
+);
+
 app.post('/api/createGame', async (req, res) => {
+	const { options, error } = resolveRoomOptions(req.body || {});
+	if (error) {
+		return res.status(400).json({ message: error });
+	}
+
 	try {
-		const db = getDb();
-		const COLLECTION_NAME = 'gameRooms';
-
-		const newGameRoom = {
-			gameCode: Math.random().toString(36).substring(2, 8).toUpperCase(),
-			players: [], // Stores WS IDs
-			playerObjects: [], // Stores {id, name}
-			playerCount: 0,
-			currentSegmentIndex: 0,
-			submittedPlayers: [], // Stores playerIds who submitted for the current segment
-			currentSegmentSubmissions: {}, // Stores individual player submissions for the current segment (might be redundant with segmentHistory)
-			status: 'waiting',
-			createdAt: new Date(),
-			// --- NEW FIELDS FOR TWO-CANVAS GAMEPLAY & HISTORY ---
-			activeCanvasStates: [
-				// Initialize with two blank canvases
-				await createBlankCanvas(CANVAS_WIDTH, CANVAS_HEIGHT),
-				await createBlankCanvas(CANVAS_WIDTH, CANVAS_HEIGHT),
-			],
-			canvasAssignments: {}, // Will be populated when the game starts, mapping playerId to canvas index (0 or 1)
-			finalArtworks: [], // To store the two final combined artworks at the end of the game
-			segmentHistory: {}, // NEW: Stores all completed segment data, including redLineY
-		};
-
-		const result = await db
-			.collection(COLLECTION_NAME)
-			.insertOne(newGameRoom);
+		// Nobody is seated yet; players join with the code over WebSocket
+		const { gameRoom, gameRoomId } = await createRoom(
+			storage.rooms,
+			options
+		);
 		console.log(
-			`Successfully created game room with code: ${newGameRoom.gameCode} and ID: ${result.insertedId}`
+			`Successfully created game room with code: ${gameRoom.gameCode} and ID: ${gameRoomId}`
 		);
 		res.status(201).json({
 			message: 'Game room created successfully',
-			gameId: result.insertedId,
-			gameCode: newGameRoom.gameCode,
+			gameId: gameRoomId, // Older clients read gameId
+			...getRoomSummary(gameRoom),
+			// For the invite link; whoever joins first becomes the host
+			...getHostSecrets(gameRoom),
 		});
 	} catch (error) {
 		console.error('Error creating game room:', error);
@@ -70,38 +107,165 @@ app.post('/api/createGame', async (req, res) => {
 	}
 });
 
+// Answers a WebSocket upgrade request with a plain HTTP error instead
+function rejectUpgrade(socket, status) {
+	socket.end(
+		`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`
+	);
+}
+
 // --- Main Server Startup Function ---
-async function startServer() {
-	try {
-		const dbInstance = await connectToMongo();
-		console.log('MongoDB connected, starting server...');
-
-		const server = http.createServer(app);
-		const wss = new WebSocket.Server({ server });
-
-		wss.on('connection', (ws) => {
-			ws.id = Math.random().toString(36).substring(2, 15);
-			ws.gameRoomId = null;
-			ws.playerId = ws.id; // Assign a unique ID to the WebSocket connection
-
-			console.log('Client connected via WebSocket. ID:', ws.id);
-
-			ws.on('message', (message) =>
-				handleWebSocketMessage(ws, wss, dbInstance, message)
-			);
-			ws.on('close', () => handleWebSocketClose(ws, wss, dbInstance));
-			ws.on('error', (error) =>
-				console.error(`[WS] Error for client ${ws.playerId}:`, error)
-			);
-		});
+/**
+ * Connects storage and starts the HTTP and WebSocket server.
+ * @param {object} [options]
+ * @param {number} [options.port] Port to listen on; 0 picks a free one.
+ * @param {boolean} [options.useMemoryStore] Keep rooms in memory instead of MongoDB.
+ * @param {import('./room-repository').RoomRepository} [options.rooms] Rooms to
+ *   use instead of creating a repository, e.g. one shared by several servers.
+ * @param {import('./room-events').RoomEvents} [options.roomEvents] Event
+ *   transport to use instead of the one REDIS_URL selects. Not closed with
+ *   the server.
+ * @param {number} [options.heartbeatIntervalMs] How often sockets are pinged.
+ * @returns {Promise<{server: http.Server, wss: WebSocket.Server, port: number, close: () => Promise<void>}>}
+ */
+async function startServer({
+	port = PORT,
+	useMemoryStore = USE_MEMORY_STORE,
+	rooms = null,
+	roomEvents = null,
+	heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS,
+} = {}) {
+	const dbInstance = useMemoryStore ? null : await connectToMongo();
+	console.log(
+		useMemoryStore
+			? 'Keeping rooms in memory, starting server...'
+			: 'MongoDB connected, starting server...'
+	);
+	if (!process.env.PUBLIC_BASE_URL) {
+		console.warn(
+			'[IMAGES] PUBLIC_BASE_URL is not set; image URLs will be relative, so only a frontend on this origin can load them.'
+		);
+	}
+	// Sockets keep the storage they started with, even if another server
+	// is started later in the same process (as the tests do)
+	const serverStorage = {
+		db: dbInstance,
+		rooms: rooms || createRoomRepository(dbInstance),
+		users: createUserRepository(dbInstance),
+		history: createPlayerHistoryRepository(dbInstance),
+		events: roomEvents || (await createRoomEvents()),
+	};
+	storage = serverStorage;
 
-		server.listen(PORT, () => {
-			console.log(`Server is running on http://localhost:${PORT}`);
+	const server = http.createServer(app);
+	const wss = new WebSocket.Server({ noServer: true });
+	// Which of this server's sockets are in each room, for broadcasts
+	wss.roomClients = createRoomClientRegistry();
+	// Sockets waiting to be paired with strangers by 'findMatch'
+	wss.matchmaking = createMatchmakingQueue();
+
+	// Broadcasts from every server process reach this one's sockets
+	const unsubscribeFromRoomEvents = subscribeToRoomEvents(wss, serverStorage);
+	// Players connected before a restart lost their sockets with it. With
+	// several processes sharing rooms, the sockets may well be elsewhere.
+	if (!serverStorage.events.distributed) {
+		await reconcileOrphanedRooms(wss, serverStorage);
+	}
+	// Pick up turn deadlines for games that were in progress before a restart
+	await restoreTurnTimers(wss, serverStorage);
+	// Expire abandoned rooms now, then every minute or so
+	const stopRoomJanitor = await startRoomJanitor(serverStorage);
+	// Drop half-open connections, so a silent player is treated like one who
+	// left and the rest of the room isn't kept waiting on them
+	const stopHeartbeat = startHeartbeat(wss, {
+		intervalMs: heartbeatIntervalMs,
+		onStatusChange: (ws, status) =>
+			updateConnectionStatus(wss, serverStorage, ws, status).catch(
+				(error) =>
+					console.error(
+						`[HEARTBEAT] Failed to update client ${ws.id}:`,
+						error
+					)
+			),
+	});
+
+	// Check the session token, if any, before accepting the socket. Guests
+	// connect without one; a bad or expired token is turned away.
+	server.on('upgrade', async (request, socket, head) => {
+		let auth;
+		try {
+			auth = await authenticateRequest(serverStorage.users, request);
+		} catch (error) {
+			console.error('[AUTH] Failed to authenticate WebSocket:', error);
+			rejectUpgrade(socket, 500);
+			return;
+		}
+		if (auth.error) {
+			rejectUpgrade(socket, 401);
+			return;
+		}
+		wss.handleUpgrade(request, socket, head, (ws) => {
+			ws.user = auth.user; // { id, username }, or null for guests
+			ws.guestId = auth.guestId; // Set for guests with a guest token
+			wss.emit('connection', ws, request);
 		});
-	} catch (error) {
+	});
+
+	wss.on('connection', (ws) => {
+		ws.id = Math.random().toString(36).substring(2, 15);
+		ws.gameRoomId = null;
+		ws.playerId = ws.id; // Assign a unique ID to the WebSocket connection
+
+		console.log(
+			'Client connected via WebSocket. ID:',
+			ws.id,
+			ws.user ? `(user ${ws.user.username})` : '(guest)'
+		);
+
+		ws.on('message', (message) =>
+			handleWebSocketMessage(ws, wss, serverStorage, message)
+		);
+		ws.on('close', () =>
+			handleWebSocketClose(ws, wss, serverStorage).catch((error) =>
+				console.error(`[WS] Failed to clean up client ${ws.id}:`, error)
+			)
+		);
+		ws.on('error', (error) =>
+			console.error(`[WS] Error for client ${ws.playerId}:`, error)
+		);
+	});
+
+	await new Promise((resolve) => server.listen(port, resolve));
+	const { port: listeningPort } = server.address();
+	console.log(`Server is running on http://localhost:${listeningPort}`);
+
+	return {
+		server: server,
+		wss: wss,
+		port: listeningPort,
+		close: async () => {
+			stopRoomJanitor();
+			stopHeartbeat();
+			clearAllTimers();
+			unsubscribeFromRoomEvents();
+			wss.clients.forEach((client) => client.terminate());
+			await new Promise((resolve) => wss.close(resolve));
+			await new Promise((resolve) => server.close(resolve));
+			if (!roomEvents) {
+				await serverStorage.events.close();
+			}
+		},
+	};
+}
+
+if (require.main === module) {
+	startServer().catch((error) => {
 		console.error('Failed to start server:', error);
 		process.exit(1); // Exit if server fails to start
-	}
+	});
 }
 
-startServer();
+module.exports = {
+	app,
+	startServer,
+};
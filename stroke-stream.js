@@ -0,0 +1,103 @@
+// stroke-stream.js
+
+// Who gets live strokes relayed while a segment is being drawn. Strokes are
+// recorded for replay either way; 'off' keeps the game spoiler-free.
+const LIVE_DRAWING_MODES = ['off', 'spectators', 'everyone'];
+const DEFAULT_LIVE_DRAWING = 'off';
+
+const STROKE_TOOLS = ['pen', 'eraser'];
+const MAX_STROKE_WIDTH = 200;
+const MAX_POINTS_PER_MESSAGE = 500;
+// What one player may record in one segment. Every stroke is kept in the room
+// for replay, and a room of 8 players drawing 8 segments must still fit in one
+// 16 MB document, so drawing past these is refused.
+const MAX_STROKES_PER_SEGMENT = 300;
+const MAX_POINTS_PER_SEGMENT = 3000;
+const MAX_ACTIVE_STROKES = 10; // Per socket; a client draws one or two at a time
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\))$/i;
+
+function normalizeLiveDrawing(value) {
+	if (value === undefined || value === null) {
+		return DEFAULT_LIVE_DRAWING;
+	}
+	return LIVE_DRAWING_MODES.includes(value) ? value : null;
+}
+
+/**
+ * Validates the brush settings sent with 'strokeBegin'.
+ * @returns {{tool: string, color: string, width: number}|null}
+ */
+function normalizeStrokeStyle(data) {
+	const tool = data.tool || 'pen';
+	const width = Number(data.width);
+	if (
+		!STROKE_TOOLS.includes(tool) ||
+		typeof data.color !== 'string' ||
+		!COLOR_PATTERN.test(data.color) ||
+		!Number.isFinite(width) ||
+		width <= 0 ||
+		width > MAX_STROKE_WIDTH
+	) {
+		return null;
+	}
+	return { tool: tool, color: data.color, width: width };
+}
+
+/**
+ * Validates a batch of points, dropping any extra fields clients send along.
+ * @returns {{x: number, y: number}[]|null}
+ */
+function normalizeStrokePoints(points) {
+	if (
+		!Array.isArray(points) ||
+		points.length === 0 ||
+		points.length > MAX_POINTS_PER_MESSAGE
+	) {
+		return null;
+	}
+	const normalized = [];
+	for (const point of points) {
+		if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+			return null;
+		}
+		normalized.push({ x: point.x, y: point.y });
+	}
+	return normalized;
+}
+
+/**
+ * How much more a player may draw in a segment, given the strokes already
+ * recorded for them there.
+ * @param {{points: object[]}[]} [recordedStrokes]
+ * @returns {{strokes: number, points: number}} Strokes and points left.
+ */
+function getStrokeBudget(recordedStrokes = []) {
+	const recordedPoints = recordedStrokes.reduce(
+		(total, stroke) => total + stroke.points.length,
+		0
+	);
+	return {
+		strokes: MAX_STROKES_PER_SEGMENT - recordedStrokes.length,
+		points: MAX_POINTS_PER_SEGMENT - recordedPoints,
+	};
+}
+
+// Whether a socket in the room may watch another player draw live
+function canWatchLiveStrokes(client, liveDrawing) {
+	if (liveDrawing === 'everyone') {
+		return true;
+	}
+	return liveDrawing === 'spectators' && Boolean(client.isSpectator);
+}
+
+module.exports = {
+	LIVE_DRAWING_MODES,
+	MAX_STROKES_PER_SEGMENT,
+	MAX_POINTS_PER_SEGMENT,
+	MAX_ACTIVE_STROKES,
+	normalizeLiveDrawing,
+	normalizeStrokeStyle,
+	normalizeStrokePoints,
+	getStrokeBudget,
+	canWatchLiveStrokes,
+};
@@ -0,0 +1,183 @@
+// test/accounts.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startTestServer, connectClient, TestClient } = require('./helpers');
+const {
+	hashPassword,
+	verifyPassword,
+	createSessionToken,
+	verifySessionToken,
+} = require('../accounts');
+const { createMemoryRoomRepository } = require('../room-repository');
+
+let server;
+let port;
+let rooms;
+
+before(async () => {
+	rooms = createMemoryRoomRepository();
+	server = await startTestServer({ rooms });
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+async function post(path, body) {
+	const response = await fetch(`http://localhost:${port}${path}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+	return { status: response.status, body: await response.json() };
+}
+
+test('passwords are salted and checked', async () => {
+	const [first, second] = await Promise.all([
+		hashPassword('correct horse'),
+		hashPassword('correct horse'),
+	]);
+	assert.notEqual(first, second);
+	assert.equal(await verifyPassword('correct horse', first), true);
+	assert.equal(await verifyPassword('wrong horse', first), false);
+	assert.equal(await verifyPassword('correct horse', 'plaintext'), false);
+});
+
+test('session tokens reject tampering', () => {
+	const token = createSessionToken({
+		_id: '650000000000000000000001',
+		username: 'ada',
+	});
+	assert.deepEqual(verifySessionToken(token), {
+		userId: '650000000000000000000001',
+		username: 'ada',
+	});
+
+	const [payload, signature] = token.split('.');
+	const forged = Buffer.from(
+		JSON.stringify({
+			sub: '650000000000000000000002',
+			username: 'ada',
+			exp: Date.now() + 60000,
+		})
+	).toString('base64url');
+	assert.equal(verifySessionToken(`${forged}.${signature}`), null);
+	assert.equal(verifySessionToken(`${payload}.x${signature}`), null);
+	assert.equal(verifySessionToken('nonsense'), null);
+});
+
+test('players register, log in and read their session', async () => {
+	const registered = await post('/api/auth/register', {
+		username: 'Grace',
+		password: 'hunter22',
+	});
+	assert.equal(registered.status, 201);
+	assert.equal(registered.body.user.username, 'Grace');
+	assert.equal(typeof registered.body.token, 'string');
+
+	// Usernames are unique whatever their case
+	const taken = await post('/api/auth/register', {
+		username: 'grace',
+		password: 'hunter22',
+	});
+	assert.equal(taken.status, 409);
+
+	const wrong = await post('/api/auth/login', {
+		username: 'grace',
+		password: 'hunter23',
+	});
+	assert.equal(wrong.status, 401);
+
+	const loggedIn = await post('/api/auth/login', {
+		username: 'grace',
+		password: 'hunter22',
+	});
+	assert.equal(loggedIn.status, 200);
+	assert.deepEqual(loggedIn.body.user, registered.body.user);
+
+	const me = await fetch(`http://localhost:${port}/api/auth/me`, {
+		headers: { Authorization: `Bearer ${loggedIn.body.token}` },
+	});
+	assert.equal(me.status, 200);
+	assert.deepEqual((await me.json()).user, registered.body.user);
+});
+
+test('bad usernames and passwords are turned away', async () => {
+	for (const credentials of [
+		{ username: 'ab', password: 'hunter22' },
+		{ username: 'has space', password: 'hunter22' },
+		{ username: 'shortpass', password: 'short' },
+		{ username: 'b00bs', password: 'hunter22' },
+	]) {
+		const { status } = await post('/api/auth/register', credentials);
+		assert.equal(status, 400, credentials.username);
+	}
+});
+
+test('names that only contain a blocked word are allowed', async () => {
+	for (const username of [
+		'Cassandra',
+		'knight42',
+		'glassblower',
+		'Titania',
+		'analyst',
+		'Hancock',
+		'scunthorpe',
+		'Essex_fan',
+	]) {
+		const { status } = await post('/api/auth/register', {
+			username: username,
+			password: 'hunter22',
+		});
+		assert.equal(status, 201, username);
+	}
+});
+
+test('signed-in players are seated under their account', async () => {
+	const { body } = await post('/api/auth/register', {
+		username: 'Linus',
+		password: 'hunter22',
+	});
+
+	const creator = await connectClient(port, {
+		headers: { Authorization: `Bearer ${body.token}` },
+	});
+	// Browsers pass the token in the URL instead
+	const joiner = new TestClient(`${port}?token=${body.token}`);
+	await joiner.opened();
+	const guest = await connectClient(port);
+
+	creator.send('createGame', { maxPlayers: 3, playerName: 'ignored' });
+	const { gameCode, gameRoomId } = await creator.next('gameCreated');
+	joiner.send('joinGame', { gameCode });
+	await creator.next('gameJoined');
+	guest.send('joinGame', { gameCode, playerName: 'Visitor' });
+	const joined = await guest.next('gameJoined');
+
+	assert.deepEqual(
+		joined.players.map((player) => [player.name, player.userId]),
+		[
+			['Linus', body.user.id],
+			['Linus', body.user.id],
+			['Visitor', null],
+		]
+	);
+	const gameRoom = await rooms.findOne({ id: gameRoomId });
+	assert.equal(gameRoom.playerObjects[0].userId, body.user.id);
+
+	await Promise.all([creator, joiner, guest].map((c) => c.close()));
+});
+
+test('a bad token is refused at the WebSocket upgrade', async () => {
+	const ws = new WebSocket(`ws://localhost:${port}?token=forged.token`);
+	const status = await new Promise((resolve) => {
+		ws.on('unexpected-response', (request, response) => {
+			resolve(response.statusCode);
+			request.destroy();
+		});
+		ws.on('error', () => {});
+	});
+	assert.equal(status, 401);
+});
@@ -0,0 +1,248 @@
+// test/concurrency.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	makeDrawing,
+	startTestServer,
+	connectClient,
+	startGame,
+} = require('./helpers');
+const { createMemoryRoomRepository } = require('../room-repository');
+const { transitionRoom, DELETE_ROOM } = require('../room-transitions');
+
+let server;
+let port;
+
+before(async () => {
+	server = await startTestServer();
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+// Every player submits at once, which is exactly what the turn timer causes
+async function submitAllAtOnce(clients, segmentIndex) {
+	clients.forEach((client, index) =>
+		client.send('submitSegment', {
+			canvasData: makeDrawing(`segment ${segmentIndex}, player ${index}`),
+			redLineY: 50 + index,
+		})
+	);
+	return Promise.all(clients.map((client) => client.next('gameUpdate')));
+}
+
+for (const maxPlayers of [2, 4]) {
+	test(`simultaneous submissions from ${maxPlayers} players never lose a segment`, async () => {
+		const { clients } = await startGame(port, { maxPlayers });
+
+		for (let segmentIndex = 0; segmentIndex < 3; segmentIndex++) {
+			const updates = await submitAllAtOnce(clients, segmentIndex);
+			for (const update of updates) {
+				assert.equal(update.status, 'playing');
+				assert.equal(update.currentSegmentIndex, segmentIndex + 1);
+			}
+		}
+		const finalUpdates = await submitAllAtOnce(clients, 3);
+		for (const update of finalUpdates) {
+			assert.equal(update.status, 'completed');
+			assert.equal(update.finalArtworks.length, maxPlayers);
+		}
+
+		await Promise.all(clients.map((client) => client.close()));
+	});
+}
+
+test('parallel joins never overfill a room', async () => {
+	const creator = await connectClient(port);
+	creator.send('createGame', { maxPlayers: 2 });
+	const { gameCode } = await creator.next('gameCreated');
+
+	const joiners = await Promise.all(
+		Array.from({ length: 5 }, () => connectClient(port))
+	);
+	joiners.forEach((client, index) =>
+		client.send('joinGame', { gameCode, playerName: `Racer ${index}` })
+	);
+
+	// Each joiner hears back exactly once: seated or turned away
+	const outcomes = await Promise.all(
+		joiners.map((client) =>
+			Promise.race([client.next('gameJoined'), client.next('error')])
+		)
+	);
+	const seated = outcomes.filter((message) => message.type === 'gameJoined');
+	const refused = outcomes.filter((message) => message.type === 'error');
+	assert.equal(seated.length, 1);
+	assert.equal(refused.length, 4);
+	for (const error of refused) {
+		assert.equal(error.code, 'ROOM_FULL');
+	}
+	assert.equal(seated[0].playerCount, 2);
+	assert.equal((await creator.next('gameJoined')).playerCount, 2);
+
+	await Promise.all([creator, ...joiners].map((client) => client.close()));
+});
+
+test('a submission racing a disconnect leaves the room consistent', async () => {
+	const {
+		clients: [stayer, leaver],
+		gameCode,
+	} = await startGame(port);
+
+	stayer.send('submitSegment', {
+		canvasData: makeDrawing('racing the disconnect'),
+		redLineY: 80,
+	});
+	await leaver.close();
+
+	// The room is reset when the grace period ends, whichever write won
+	let released;
+	do {
+		released = await stayer.next('playerDisconnected');
+	} while (released.status !== 'waiting');
+	assert.equal(released.playerCount, 1);
+	assert.equal(released.currentSegmentIndex, 0);
+
+	// And the room is still usable: someone new can join and play
+	const newcomer = await connectClient(port);
+	newcomer.send('joinGame', { gameCode });
+	const [joined] = await Promise.all([
+		newcomer.next('gameJoined'),
+		stayer.next('gameJoined'),
+	]);
+	assert.equal(joined.status, 'playing');
+	assert.equal(joined.playerCount, 2);
+
+	await Promise.all([stayer.close(), newcomer.close()]);
+});
+
+// Lets every transition started in the same tick read the same version
+function yieldToOthers() {
+	return new Promise((resolve) => setImmediate(resolve));
+}
+
+async function insertRoom(rooms, room) {
+	return { id: await rooms.insert(room) };
+}
+
+test('transitionRoom advances the round once for simultaneous submissions', async () => {
+	const rooms = createMemoryRoomRepository();
+	const players = ['p1', 'p2', 'p3', 'p4'];
+	const query = await insertRoom(rooms, {
+		version: 0,
+		players: players,
+		submittedPlayers: [],
+		currentSegmentIndex: 0,
+	});
+
+	const results = await Promise.all(
+		players.map((playerId) =>
+			transitionRoom(rooms, query, async (gameRoom) => {
+				await yieldToOthers();
+				if (gameRoom.submittedPlayers.includes(playerId)) {
+					return 'NOT_YOUR_TURN';
+				}
+				gameRoom.submittedPlayers.push(playerId);
+				// The last one in moves everyone on to the next segment
+				if (gameRoom.submittedPlayers.length === players.length) {
+					gameRoom.currentSegmentIndex++;
+					gameRoom.submittedPlayers = [];
+				}
+			})
+		)
+	);
+
+	results.forEach(({ committed }) => assert.equal(committed, true));
+	const gameRoom = await rooms.findOne(query);
+	assert.equal(gameRoom.currentSegmentIndex, 1);
+	assert.deepEqual(gameRoom.submittedPlayers, []);
+	assert.equal(gameRoom.version, players.length);
+});
+
+test('transitionRoom never overfills a room under parallel joins', async () => {
+	const rooms = createMemoryRoomRepository();
+	const query = await insertRoom(rooms, {
+		version: 0,
+		players: ['creator'],
+		maxPlayers: 2,
+	});
+
+	const results = await Promise.all(
+		Array.from({ length: 5 }, (_, index) =>
+			transitionRoom(rooms, query, async (gameRoom) => {
+				await yieldToOthers();
+				if (gameRoom.players.length >= gameRoom.maxPlayers) {
+					return 'ROOM_FULL';
+				}
+				gameRoom.players.push(`joiner ${index}`);
+			})
+		)
+	);
+
+	assert.equal(results.filter(({ committed }) => committed).length, 1);
+	assert.equal(
+		results.filter(({ result }) => result === 'ROOM_FULL').length,
+		4
+	);
+	assert.equal((await rooms.findOne(query)).players.length, 2);
+});
+
+test('transitionRoom applies concurrent changes one after another', async () => {
+	const rooms = createMemoryRoomRepository();
+	const query = await insertRoom(rooms, { version: 0, entries: [] });
+
+	await Promise.all(
+		Array.from({ length: 8 }, (_, index) =>
+			transitionRoom(rooms, query, async (gameRoom) => {
+				await yieldToOthers();
+				gameRoom.entries.push(index);
+			})
+		)
+	);
+
+	const gameRoom = await rooms.findOne(query);
+	assert.equal(gameRoom.version, 8);
+	assert.deepEqual(
+		[...gameRoom.entries].sort((a, b) => a - b),
+		[0, 1, 2, 3, 4, 5, 6, 7]
+	);
+});
+
+test('transitionRoom abandons, deletes and reports missing rooms', async () => {
+	const rooms = createMemoryRoomRepository();
+	const query = await insertRoom(rooms, { version: 0, status: 'waiting' });
+
+	const abandoned = await transitionRoom(rooms, query, (gameRoom) => {
+		gameRoom.status = 'playing';
+		return 'ROOM_FULL';
+	});
+	assert.equal(abandoned.committed, false);
+	assert.equal(abandoned.result, 'ROOM_FULL');
+	assert.equal((await rooms.findOne(query)).status, 'waiting');
+
+	const deleted = await transitionRoom(rooms, query, () => DELETE_ROOM);
+	assert.equal(deleted.committed, true);
+	assert.equal(await rooms.findOne(query), null);
+
+	const missing = await transitionRoom(rooms, query, () => {
+		assert.fail('mutate should not run without a room');
+	});
+	assert.deepEqual(missing, {
+		gameRoom: null,
+		result: undefined,
+		committed: false,
+	});
+});
+
+test('rooms saved before versioning are versioned on their first write', async () => {
+	const rooms = createMemoryRoomRepository();
+	const query = await insertRoom(rooms, { status: 'waiting' });
+
+	const { committed } = await transitionRoom(rooms, query, (gameRoom) => {
+		gameRoom.status = 'playing';
+	});
+	assert.equal(committed, true);
+	assert.equal((await rooms.findOne(query)).version, 1);
+});
@@ -0,0 +1,481 @@
+// test/game-flow.test.js
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	makeDrawing,
+	startTestServer,
+	connectClient,
+	startGame,
+} = require('./helpers');
+
+let server;
+let port;
+
+before(async () => {
+	server = await startTestServer();
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+// Both players submit, the first one alone, then each gets the next canvas
+async function playRound(clients, segmentIndex) {
+	const drawings = clients.map((client, index) =>
+		makeDrawing(`segment ${segmentIndex}, player ${index}`)
+	);
+	const redLines = clients.map(
+		(client, index) => 100 + segmentIndex * 10 + index
+	);
+
+	clients.forEach((client, index) =>
+		client.send('submitSegment', {
+			canvasData: drawings[index],
+			redLineY: redLines[index],
+		})
+	);
+	const updates = await Promise.all(
+		clients.map((client) => client.next('gameUpdate'))
+	);
+	return { drawings, redLines, updates };
+}
+
+test('a two-player game runs from creation to completion', async () => {
+	const creator = await connectClient(port);
+	creator.send('createGame', {});
+	const created = await creator.next('gameCreated');
+	assert.match(created.gameCode, /^[0-9A-Z]{4}$/);
+	assert.equal(created.maxPlayers, 2);
+	assert.equal(created.playerCount, 1);
+	assert.equal(created.canDraw, false);
+	assert.equal(created.isWaitingForOthers, true);
+	assert.equal(created.currentSegmentIndex, 0);
+	assert.equal(created.segments.length, 4);
+	assert.match(created.canvasData, /^data:image\/png;base64,/);
+	assert.equal(created.previousRedLineY, null);
+	assert.equal(typeof created.playerToken, 'string');
+
+	const joiner = await connectClient(port);
+	joiner.send('joinGame', { gameCode: created.gameCode, playerName: 'Bea' });
+	const [creatorJoined, joinerJoined] = await Promise.all([
+		creator.next('gameJoined'),
+		joiner.next('gameJoined'),
+	]);
+	for (const joined of [creatorJoined, joinerJoined]) {
+		assert.equal(joined.status, 'playing');
+		assert.equal(joined.playerCount, 2);
+		assert.equal(joined.canDraw, true);
+		assert.equal(joined.isWaitingForOthers, false);
+		assert.equal(joined.currentSegment, created.segments[0]);
+		assert.match(joined.canvasData, /^data:image\/png;base64,/);
+		assert.equal(joined.previousRedLineY, null);
+	}
+	assert.equal(creatorJoined.playerId, created.playerId);
+	assert.notEqual(joinerJoined.playerId, created.playerId);
+
+	const clients = [creator, joiner];
+	for (let segmentIndex = 0; segmentIndex < 3; segmentIndex++) {
+		const { drawings, redLines, updates } = await playRound(
+			clients,
+			segmentIndex
+		);
+		updates.forEach((update, index) => {
+			// With two players, each canvas goes to the other player
+			const other = 1 - index;
+			assert.equal(update.status, 'playing');
+			assert.equal(update.currentSegmentIndex, segmentIndex + 1);
+			assert.equal(
+				update.currentSegment,
+				created.segments[segmentIndex + 1]
+			);
+			assert.equal(update.canDraw, true);
+			assert.equal(update.isWaitingForOthers, false);
+			assert.equal(update.canvasData, drawings[other]);
+			assert.equal(update.previousRedLineY, redLines[other]);
+		});
+	}
+
+	const { updates: finalUpdates } = await playRound(clients, 3);
+	for (const update of finalUpdates) {
+		assert.equal(update.status, 'completed');
+		assert.equal(update.canDraw, false);
+		assert.equal(update.isWaitingForOthers, false);
+		assert.equal(update.canvasData, null);
+		assert.equal(update.finalArtworks.length, 2);
+		assert.equal(update.finalArtwork1, update.finalArtworks[0]);
+		assert.equal(update.finalArtwork2, update.finalArtworks[1]);
+	}
+
+	// The artworks are served from the image store
+	const response = await fetch(
+		`http://localhost:${port}${finalUpdates[0].finalArtworks[0]}`
+	);
+	assert.equal(response.status, 200);
+	assert.equal(response.headers.get('content-type'), 'image/png');
+
+	creator.send('playAgain', { gameRoomId: created.gameRoomId });
+	const resets = await Promise.all(
+		clients.map((client) => client.next('gameReset'))
+	);
+	for (const reset of resets) {
+		assert.equal(reset.status, 'playing');
+		assert.equal(reset.currentSegmentIndex, 0);
+		assert.equal(reset.canDraw, true);
+		assert.equal(reset.isWaitingForOthers, false);
+		assert.equal(reset.isGameOver, false);
+		assert.deepEqual(reset.finalArtworks, []);
+		assert.match(reset.canvasData, /^data:image\/png;base64,/);
+		assert.equal(reset.previousRedLineY, null);
+	}
+
+	clients.forEach((client) => client.assertNoUnreadMessages());
+	await Promise.all(clients.map((client) => client.close()));
+});
+
+test('a dropped player is held for a grace period, then released', async () => {
+	const {
+		clients: [stayer, leaver],
+		joined,
+	} = await startGame(port);
+	const leaverId = joined[1].playerId;
+
+	await leaver.close();
+	const held = await stayer.next('playerDisconnected');
+	assert.equal(held.disconnectedPlayerId, leaverId);
+	assert.equal(held.status, 'paused');
+	assert.equal(held.playerCount, 2);
+	assert.equal(held.canDraw, false);
+	assert.ok(new Date(held.reconnectDeadline) > new Date());
+
+	// RECONNECT_GRACE_MS is short in tests, so the slot is freed quickly
+	const released = await stayer.next('playerDisconnected');
+	assert.equal(released.status, 'waiting');
+	assert.equal(released.playerCount, 1);
+	assert.equal(released.currentSegmentIndex, 0);
+	assert.equal(released.canDraw, false);
+
+	stayer.assertNoUnreadMessages();
+	await stayer.close();
+});
+
+test('final artworks link to the public base URL once it is set', async () => {
+	process.env.PUBLIC_BASE_URL = `http://localhost:${port}/`;
+	try {
+		const { clients } = await startGame(port, {
+			segments: ['Top', 'Bottom'],
+		});
+		await playRound(clients, 0);
+		const { updates } = await playRound(clients, 1);
+		const [artworkUrl] = updates[0].finalArtworks;
+		assert.match(artworkUrl, /^http:\/\/localhost:\d+\/api\/images\/\w+$/);
+		assert.equal(updates[0].finalArtwork1, artworkUrl);
+
+		// Loadable as it is, from any origin
+		const response = await fetch(artworkUrl);
+		assert.equal(response.status, 200);
+		assert.equal(response.headers.get('access-control-allow-origin'), '*');
+
+		await Promise.all(clients.map((client) => client.close()));
+	} finally {
+		delete process.env.PUBLIC_BASE_URL;
+	}
+});
+
+test('a room that starts over deletes the canvases it drew', async () => {
+	const {
+		clients: [stayer, leaver],
+	} = await startGame(port);
+	const imageDirectory = process.env.IMAGE_STORE_DIR;
+	const listImages = () => new Set(fs.readdirSync(imageDirectory));
+
+	const existing = listImages();
+	await playRound([stayer, leaver], 0);
+	const drawn = [...listImages()].filter((file) => !existing.has(file));
+	assert.equal(drawn.length, 2);
+
+	// The game can't go on without the leaver, so its canvases go too
+	await leaver.close();
+	let released;
+	do {
+		released = await stayer.next('playerDisconnected');
+	} while (released.status !== 'waiting');
+	for (let attempt = 0; attempt < 50; attempt++) {
+		const remaining = listImages();
+		if (!drawn.some((file) => remaining.has(file))) break;
+		await new Promise((resolve) => setTimeout(resolve, 20));
+	}
+	const remaining = listImages();
+	assert.deepEqual(
+		drawn.filter((file) => remaining.has(file)),
+		[]
+	);
+
+	await stayer.close();
+});
+
+test('a finished room deletes the canvases nobody keeps once everyone leaves', async () => {
+	const {
+		clients: [first, second],
+	} = await startGame(port, { segments: ['Top', 'Bottom'] });
+	const imageDirectory = process.env.IMAGE_STORE_DIR;
+	const listImages = () => new Set(fs.readdirSync(imageDirectory));
+
+	const existing = listImages();
+	await playRound([first, second], 0);
+	const { updates } = await playRound([first, second], 1);
+	assert.equal(updates[0].status, 'completed');
+	const drawn = [...listImages()].filter((file) => !existing.has(file));
+	assert.equal(drawn.length, 6);
+
+	// Guests' games go to no gallery or history without a database, so the
+	// room's images go with it once the last player leaves
+	await first.close();
+	await second.close();
+	for (let attempt = 0; attempt < 50; attempt++) {
+		const remaining = listImages();
+		if (!drawn.some((file) => remaining.has(file))) break;
+		await new Promise((resolve) => setTimeout(resolve, 20));
+	}
+	const remaining = listImages();
+	assert.deepEqual(
+		drawn.filter((file) => remaining.has(file)),
+		[]
+	);
+});
+
+test('playing again waits for a dropped player', async () => {
+	const stayer = await connectClient(port);
+	stayer.send('createGame', {});
+	const { gameCode, gameRoomId } = await stayer.next('gameCreated');
+	const leaver = await connectClient(port);
+	leaver.send('joinGame', { gameCode });
+	await Promise.all([stayer.next('gameJoined'), leaver.next('gameJoined')]);
+
+	await leaver.close();
+	await stayer.next('playerDisconnected');
+	stayer.send('playAgain', { gameRoomId });
+	const reset = await stayer.next('gameReset');
+	assert.equal(reset.status, 'paused');
+	assert.equal(reset.canDraw, false);
+
+	await stayer.close();
+});
+
+test('a dropped player can rejoin with their token', async () => {
+	const {
+		clients: [stayer, leaver],
+		joined,
+	} = await startGame(port);
+	const { playerId, playerToken } = joined[1];
+
+	await leaver.close();
+	await stayer.next('playerDisconnected');
+
+	const returning = await connectClient(port);
+	returning.send('rejoinGame', { playerToken });
+	const [rejoined, reconnected] = await Promise.all([
+		returning.next('gameRejoined'),
+		stayer.next('playerReconnected'),
+	]);
+	assert.equal(rejoined.playerId, playerId);
+	assert.equal(rejoined.status, 'playing');
+	assert.equal(rejoined.canDraw, true);
+	assert.equal(reconnected.reconnectedPlayerId, playerId);
+	assert.equal(reconnected.status, 'playing');
+
+	await Promise.all([stayer.close(), returning.close()]);
+});
+
+test('a room reset while a player is away waits to refill before starting', async () => {
+	const {
+		clients: [stayer, first, second],
+		joined,
+		gameCode,
+	} = await startGame(port, { maxPlayers: 3 });
+	const { playerToken } = joined[2];
+
+	// The second player drops a little later, so is still held once the
+	// first one's slot has been given up
+	await first.close();
+	await new Promise((resolve) => setTimeout(resolve, 150));
+	await second.close();
+	let released;
+	do {
+		released = await stayer.next('playerDisconnected');
+	} while (released.status !== 'waiting');
+	assert.equal(released.playerCount, 2);
+
+	const returning = await connectClient(port);
+	returning.send('rejoinGame', { playerToken });
+	const [rejoined] = await Promise.all([
+		returning.next('gameRejoined'),
+		stayer.next('playerReconnected'),
+	]);
+	assert.equal(rejoined.status, 'waiting');
+	assert.equal(rejoined.canDraw, false);
+
+	const newcomer = await connectClient(port);
+	newcomer.send('joinGame', { gameCode });
+	const started = await Promise.all(
+		[stayer, returning, newcomer].map((client) => client.next('gameJoined'))
+	);
+	assert.equal(started[0].status, 'playing');
+
+	const { updates } = await playRound([stayer, returning, newcomer], 0);
+	updates.forEach((update) => assert.equal(update.currentSegmentIndex, 1));
+
+	await Promise.all(
+		[stayer, returning, newcomer].map((client) => client.close())
+	);
+});
+
+test('a spectator who rejoins takes their seat and stops watching', async () => {
+	const {
+		clients: [stayer, leaver],
+		joined,
+		gameCode,
+	} = await startGame(port);
+	const { playerToken } = joined[1];
+
+	await leaver.close();
+	await stayer.next('playerDisconnected');
+
+	const returning = await connectClient(port);
+	returning.send('spectateGame', { gameCode });
+	await returning.next('spectating');
+	returning.send('rejoinGame', { playerToken });
+	await Promise.all([
+		returning.next('gameRejoined'),
+		stayer.next('playerReconnected'),
+	]);
+
+	// Seated again, so the submission counts and nobody is left watching
+	const { updates } = await playRound([stayer, returning], 0);
+	updates.forEach((update) => {
+		assert.equal(update.currentSegmentIndex, 1);
+		assert.equal(update.spectatorCount, 0);
+	});
+
+	await Promise.all([stayer.close(), returning.close()]);
+});
+
+test('a seated player cannot take another seat or start watching', async () => {
+	const {
+		clients: [creator, joiner],
+		gameCode,
+	} = await startGame(port);
+	const other = await connectClient(port);
+	other.send('createGame', {});
+	const otherRoom = await other.next('gameCreated');
+
+	for (const [type, payload] of [
+		['spectateGame', { gameCode }],
+		['joinGame', { gameCode: otherRoom.gameCode }],
+		['createGame', {}],
+	]) {
+		joiner.send(type, payload);
+		const error = await joiner.next('error');
+		assert.equal(error.code, 'ALREADY_IN_ROOM');
+		assert.equal(error.requestType, type);
+	}
+
+	// Still seated, so the game goes on
+	const { updates } = await playRound([creator, joiner], 0);
+	assert.equal(updates[1].currentSegmentIndex, 1);
+
+	await Promise.all([creator, joiner, other].map((client) => client.close()));
+});
+
+test('invalid messages get typed errors', async () => {
+	const client = await connectClient(port);
+
+	client.ws.send('not json');
+	assert.equal((await client.next('error')).code, 'INVALID_JSON');
+
+	client.send('teleport');
+	assert.equal((await client.next('error')).code, 'UNKNOWN_MESSAGE_TYPE');
+
+	client.send('joinGame', {});
+	const invalid = await client.next('error');
+	assert.equal(invalid.code, 'INVALID_PAYLOAD');
+	assert.equal(invalid.requestType, 'joinGame');
+	assert.deepEqual(
+		invalid.details.map((detail) => detail.field),
+		['gameCode']
+	);
+
+	client.send('joinGame', { gameCode: 'NOPE' });
+	assert.equal((await client.next('error')).code, 'ROOM_NOT_FOUND');
+
+	client.send('submitSegment', { canvasData: makeDrawing('stray') });
+	assert.equal((await client.next('error')).code, 'NOT_IN_ROOM');
+
+	await client.close();
+});
+
+test('a room created over REST can be joined and played', async () => {
+	const response = await fetch(`http://localhost:${port}/api/createGame`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ template: 'landscape', isPrivate: true }),
+	});
+	assert.equal(response.status, 201);
+	const room = await response.json();
+	assert.match(room.gameCode, /^[0-9A-Z]{4}$/);
+	assert.equal(room.gameId, room.gameRoomId);
+	assert.equal(room.status, 'waiting');
+	assert.equal(room.playerCount, 0);
+	assert.equal(room.maxPlayers, 2);
+	assert.equal(room.isPrivate, true);
+	assert.equal(room.templateId, 'landscape');
+	assert.deepEqual(room.segments, ['Sky', 'Horizon', 'Ground']);
+
+	const clients = [];
+	for (const playerName of ['Ada', 'Bo']) {
+		const client = await connectClient(port);
+		client.send('joinGame', { gameCode: room.gameCode, playerName });
+		clients.push(client);
+		await Promise.all(clients.map((c) => c.next('gameJoined')));
+	}
+
+	const { drawings, updates } = await playRound(clients, 0);
+	updates.forEach((update, index) => {
+		assert.equal(update.currentSegment, 'Horizon');
+		assert.equal(update.canvasData, drawings[1 - index]);
+	});
+
+	await Promise.all(clients.map((client) => client.close()));
+});
+
+test('the gallery is empty without a database, not broken', async () => {
+	const listing = await fetch(`http://localhost:${port}/api/gallery`);
+	assert.equal(listing.status, 200);
+	const body = await listing.json();
+	assert.deepEqual(body.artworks, []);
+	assert.equal(body.total, 0);
+
+	const artwork = await fetch(
+		`http://localhost:${port}/api/gallery/${'a'.repeat(24)}/strokes`
+	);
+	assert.equal(artwork.status, 404);
+});
+
+test('both creation paths reject the same bad options', async () => {
+	const response = await fetch(`http://localhost:${port}/api/createGame`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ maxPlayers: 9 }),
+	});
+	assert.equal(response.status, 400);
+	const { message } = await response.json();
+
+	const client = await connectClient(port);
+	client.send('createGame', { maxPlayers: 9 });
+	const error = await client.next('error');
+	assert.equal(error.code, 'INVALID_PAYLOAD');
+	assert.equal(error.message, message);
+
+	await client.close();
+});
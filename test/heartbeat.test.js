@@ -0,0 +1,78 @@
+// test/heartbeat.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, connectClient } = require('./helpers');
+
+const HEARTBEAT_INTERVAL_MS = 150;
+
+let server;
+let port;
+
+before(async () => {
+	server = await startTestServer({
+		heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+	});
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+// A room whose joiner never answers pings unless the test does it by hand
+async function startGameWithSilentJoiner() {
+	const creator = await connectClient(port);
+	creator.send('createGame', {});
+	const { gameCode } = await creator.next('gameCreated');
+
+	const joiner = await connectClient(port, { autoPong: false });
+	joiner.send('joinGame', { gameCode, playerName: 'Quiet' });
+	const [, joined] = await Promise.all([
+		creator.next('gameJoined'),
+		joiner.next('gameJoined'),
+	]);
+	joined.players.forEach((player) =>
+		assert.equal(player.connectionStatus, 'connected')
+	);
+	return { creator, joiner, joinerId: joined.playerId };
+}
+
+function findPlayer(message, playerId) {
+	return message.players.find((player) => player.id === playerId);
+}
+
+test('a silent player is flagged, then dropped like any other', async () => {
+	const { creator, joiner, joinerId } = await startGameWithSilentJoiner();
+
+	const flagged = await creator.next('connectionStatus');
+	assert.equal(flagged.playerId, joinerId);
+	assert.equal(flagged.connectionStatus, 'unresponsive');
+	assert.equal(
+		findPlayer(flagged, joinerId).connectionStatus,
+		'unresponsive'
+	);
+
+	// The server gives up on the socket and holds the slot for a rejoin
+	const dropped = await creator.next('playerDisconnected');
+	assert.equal(dropped.disconnectedPlayerId, joinerId);
+	assert.equal(dropped.status, 'paused');
+	assert.equal(
+		findPlayer(dropped, joinerId).connectionStatus,
+		'disconnected'
+	);
+
+	await Promise.all([creator.close(), joiner.close()]);
+});
+
+test('a player who answers again is flagged as connected', async () => {
+	const { creator, joiner, joinerId } = await startGameWithSilentJoiner();
+
+	await creator.next('connectionStatus');
+	joiner.ws.pong();
+
+	const recovered = await creator.next('connectionStatus');
+	assert.equal(recovered.playerId, joinerId);
+	assert.equal(recovered.connectionStatus, 'connected');
+
+	await Promise.all([creator.close(), joiner.close()]);
+});
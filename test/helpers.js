@@ -0,0 +1,171 @@
+// test/helpers.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// Must be set before the server modules are loaded
+process.env.ROOM_STORE = 'memory';
+process.env.RECONNECT_GRACE_MS = process.env.RECONNECT_GRACE_MS || '300';
+process.env.IMAGE_STORE = 'filesystem';
+process.env.IMAGE_STORE_DIR = fs.mkdtempSync(
+	path.join(os.tmpdir(), 'corpse-images-')
+);
+
+const { startServer } = require('../server');
+
+const MESSAGE_TIMEOUT_MS = 3000;
+
+// A valid 1x1 PNG. Decoders stop at the IEND chunk, so bytes appended after
+// it give every test drawing distinct contents without a canvas library.
+const BASE_PNG = Buffer.from(
+	'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+	'base64'
+);
+
+/**
+ * Builds a PNG data URL that is unique to the given label.
+ * @param {string} label
+ * @returns {string}
+ */
+function makeDrawing(label) {
+	return `data:image/png;base64,${Buffer.concat([
+		BASE_PNG,
+		Buffer.from(label),
+	]).toString('base64')}`;
+}
+
+/**
+ * Starts the server on a free port with rooms kept in memory.
+ * @param {object} [options] More startServer options, e.g. shared rooms.
+ * @returns {Promise<{port: number, close: () => Promise<void>}>}
+ */
+async function startTestServer(options = {}) {
+	return startServer({ port: 0, useMemoryStore: true, ...options });
+}
+
+/**
+ * A WebSocket client that queues everything the server sends, so tests can
+ * wait for specific message types in order.
+ */
+class TestClient {
+	/**
+	 * @param {number} port
+	 * @param {object} [options] WebSocket client options, e.g. autoPong.
+	 */
+	constructor(port, options = {}) {
+		this.ws = new WebSocket(`ws://localhost:${port}`, options);
+		this.inbox = [];
+		this.waiters = [];
+		this.ws.on('message', (raw) => {
+			this.inbox.push(JSON.parse(raw));
+			this.flush();
+		});
+	}
+
+	opened() {
+		if (this.ws.readyState === WebSocket.OPEN) return Promise.resolve();
+		return new Promise((resolve, reject) => {
+			this.ws.once('open', resolve);
+			this.ws.once('error', reject);
+		});
+	}
+
+	send(type, payload = {}) {
+		this.ws.send(JSON.stringify({ type: type, ...payload }));
+	}
+
+	/**
+	 * Resolves with the oldest unread message of the given type.
+	 * @param {string} type
+	 * @returns {Promise<object>}
+	 */
+	next(type) {
+		return new Promise((resolve, reject) => {
+			const waiter = { type, resolve };
+			waiter.timer = setTimeout(() => {
+				this.waiters = this.waiters.filter((w) => w !== waiter);
+				reject(
+					new Error(
+						`Timed out waiting for '${type}'. Unread: ${
+							this.inbox
+								.map((message) => message.type)
+								.join(', ') || 'none'
+						}`
+					)
+				);
+			}, MESSAGE_TIMEOUT_MS);
+			this.waiters.push(waiter);
+			this.flush();
+		});
+	}
+
+	// Hands queued messages to whoever is waiting for their type
+	flush() {
+		this.waiters = this.waiters.filter((waiter) => {
+			const index = this.inbox.findIndex(
+				(message) => message.type === waiter.type
+			);
+			if (index === -1) return true;
+			const [message] = this.inbox.splice(index, 1);
+			clearTimeout(waiter.timer);
+			waiter.resolve(message);
+			return false;
+		});
+	}
+
+	// Fails if anything arrived that no test step looked at
+	assertNoUnreadMessages() {
+		const unread = this.inbox.map((message) => message.type);
+		if (unread.length > 0) {
+			throw new Error(`Unexpected messages: ${unread.join(', ')}`);
+		}
+	}
+
+	close() {
+		return new Promise((resolve) => {
+			if (this.ws.readyState === WebSocket.CLOSED) return resolve();
+			this.ws.once('close', resolve);
+			this.ws.close();
+		});
+	}
+}
+
+async function connectClient(port, options) {
+	const client = new TestClient(port, options);
+	await client.opened();
+	return client;
+}
+
+/**
+ * Creates a room and fills it, returning the creator first.
+ * @param {number} port
+ * @param {object} [options] Extra 'createGame' fields, e.g. maxPlayers.
+ * @returns {Promise<{clients: TestClient[], gameCode: string, joined: object[]}>}
+ *   `joined` holds each client's 'gameJoined' message from when the room filled.
+ */
+async function startGame(port, options = {}) {
+	const maxPlayers = options.maxPlayers || 2;
+	const creator = await connectClient(port);
+	creator.send('createGame', options);
+	const { gameCode } = await creator.next('gameCreated');
+
+	const clients = [creator];
+	let joined = [];
+	for (let i = 1; i < maxPlayers; i++) {
+		const client = await connectClient(port);
+		client.send('joinGame', { gameCode, playerName: `Player ${i + 1}` });
+		clients.push(client);
+		// Everyone already seated hears about each join
+		joined = await Promise.all(clients.map((c) => c.next('gameJoined')));
+	}
+	return { clients, gameCode, joined };
+}
+
+module.exports = {
+	makeDrawing,
+	startTestServer,
+	connectClient,
+	startGame,
+	TestClient,
+};
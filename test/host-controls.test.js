@@ -0,0 +1,257 @@
+// test/host-controls.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeDrawing, startTestServer, connectClient } = require('./helpers');
+
+let server;
+let port;
+
+before(async () => {
+	server = await startTestServer();
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+// Creates a room and seats one more player per name, each let in by the
+// invite token
+async function createRoomWith(options, names = []) {
+	const host = await connectClient(port);
+	host.send('createGame', { playerName: 'Host', ...options });
+	const created = await host.next('gameCreated');
+
+	const clients = [host];
+	const playerIds = [created.playerId];
+	for (const name of names) {
+		const client = await connectClient(port);
+		client.send('joinGame', {
+			gameCode: created.gameCode,
+			playerName: name,
+			inviteToken: created.inviteToken,
+		});
+		clients.push(client);
+		const joined = await Promise.all(
+			clients.map((c) => c.next('gameJoined'))
+		);
+		playerIds.push(joined[joined.length - 1].playerId);
+	}
+	return { created, clients, playerIds };
+}
+
+test('a passcode keeps out joiners without it or the invite link', async () => {
+	const { created, clients } = await createRoomWith({
+		maxPlayers: 3,
+		passcode: 'secret',
+	});
+	assert.equal(created.hasPasscode, true);
+	assert.equal(created.passcode, 'secret');
+	assert.match(created.inviteToken, /^[0-9a-f]{32}$/);
+
+	const stranger = await connectClient(port);
+	stranger.send('joinGame', { gameCode: created.gameCode });
+	assert.equal((await stranger.next('error')).code, 'PASSCODE_REQUIRED');
+	stranger.send('joinGame', { gameCode: created.gameCode, passcode: 'nope' });
+	assert.equal((await stranger.next('error')).code, 'PASSCODE_REQUIRED');
+	stranger.send('spectateGame', { gameCode: created.gameCode });
+	assert.equal((await stranger.next('error')).code, 'PASSCODE_REQUIRED');
+
+	stranger.send('joinGame', {
+		gameCode: created.gameCode,
+		passcode: 'secret',
+	});
+	const [, joined] = await Promise.all([
+		clients[0].next('gameJoined'),
+		stranger.next('gameJoined'),
+	]);
+	// Only the host is told the room's secrets
+	assert.equal(joined.inviteToken, undefined);
+	assert.equal(joined.passcode, undefined);
+	assert.equal(joined.hostId, created.playerId);
+
+	const invited = await connectClient(port);
+	invited.send('joinGame', {
+		gameCode: created.gameCode,
+		inviteToken: created.inviteToken,
+	});
+	await invited.next('gameJoined');
+
+	await Promise.all(
+		[...clients, stranger, invited].map((client) => client.close())
+	);
+});
+
+test('the host starts a manual room with whoever is seated', async () => {
+	const { created, clients } = await createRoomWith(
+		{ maxPlayers: 4, manualStart: true },
+		['Guest']
+	);
+	const [host, guest] = clients;
+
+	guest.send('startGame');
+	assert.equal((await guest.next('error')).code, 'NOT_HOST');
+
+	host.send('startGame');
+	const started = await Promise.all(
+		clients.map((c) => c.next('gameStarted'))
+	);
+	started.forEach((message) => {
+		assert.equal(message.status, 'playing');
+		assert.equal(message.maxPlayers, 2);
+		assert.equal(message.canDraw, true);
+	});
+	assert.deepEqual(
+		started[0].players.map((player) => player.isHost),
+		[true, false]
+	);
+	assert.equal(started[0].hostId, created.playerId);
+
+	host.send('startGame');
+	assert.equal((await host.next('error')).code, 'GAME_ALREADY_STARTED');
+
+	await Promise.all(clients.map((client) => client.close()));
+});
+
+test('a manual room waits for the host even when full', async () => {
+	const { clients } = await createRoomWith(
+		{ maxPlayers: 2, manualStart: true },
+		['Guest']
+	);
+	const [host] = clients;
+	const lone = await createRoomWith({ manualStart: true });
+	lone.clients[0].send('startGame');
+	assert.equal(
+		(await lone.clients[0].next('error')).code,
+		'NOT_ENOUGH_PLAYERS'
+	);
+
+	host.send('startGame');
+	const started = await host.next('gameStarted');
+	assert.equal(started.status, 'playing');
+
+	await Promise.all(
+		[...clients, ...lone.clients].map((client) => client.close())
+	);
+});
+
+test('a manual room is only played again once finished, and waits for the host', async () => {
+	const { created, clients } = await createRoomWith(
+		{ maxPlayers: 2, manualStart: true, segments: ['Top', 'Bottom'] },
+		['Guest']
+	);
+	const [host, guest] = clients;
+	host.send('startGame');
+	await Promise.all(clients.map((c) => c.next('gameStarted')));
+
+	guest.send('playAgain', { gameRoomId: created.gameRoomId });
+	assert.equal((await guest.next('error')).code, 'GAME_ALREADY_STARTED');
+
+	for (let segmentIndex = 0; segmentIndex < 2; segmentIndex++) {
+		clients.forEach((client, index) =>
+			client.send('submitSegment', {
+				canvasData: makeDrawing(`${segmentIndex}-${index}`),
+			})
+		);
+		await Promise.all(clients.map((c) => c.next('gameUpdate')));
+	}
+
+	guest.send('playAgain', { gameRoomId: created.gameRoomId });
+	const resets = await Promise.all(clients.map((c) => c.next('gameReset')));
+	resets.forEach((reset) => {
+		assert.equal(reset.status, 'waiting');
+		assert.equal(reset.canDraw, false);
+	});
+
+	host.send('startGame');
+	const started = await Promise.all(
+		clients.map((c) => c.next('gameStarted'))
+	);
+	assert.equal(started[0].status, 'playing');
+
+	await Promise.all(clients.map((client) => client.close()));
+});
+
+test('a locked room turns away new players', async () => {
+	const { created, clients } = await createRoomWith({ maxPlayers: 3 });
+	const [host] = clients;
+
+	host.send('setRoomLock', { locked: true });
+	assert.equal((await host.next('roomLockChanged')).isLocked, true);
+
+	const latecomer = await connectClient(port);
+	latecomer.send('joinGame', { gameCode: created.gameCode });
+	assert.equal((await latecomer.next('error')).code, 'ROOM_LOCKED');
+
+	host.send('setRoomLock', { locked: false });
+	assert.equal((await host.next('roomLockChanged')).isLocked, false);
+	latecomer.send('joinGame', { gameCode: created.gameCode });
+	await latecomer.next('gameJoined');
+
+	await Promise.all([...clients, latecomer].map((client) => client.close()));
+});
+
+test('the host can remove a player, who is told so', async () => {
+	const { created, clients, playerIds } = await createRoomWith(
+		{ maxPlayers: 3 },
+		['Stays', 'Goes']
+	);
+	const [host, stays, goes] = clients;
+
+	stays.send('kickPlayer', { playerId: playerIds[2] });
+	assert.equal((await stays.next('error')).code, 'NOT_HOST');
+	host.send('kickPlayer', { playerId: 'nobody' });
+	assert.equal((await host.next('error')).code, 'PLAYER_NOT_FOUND');
+
+	host.send('kickPlayer', { playerId: playerIds[2] });
+	const kicked = await goes.next('kicked');
+	assert.equal(kicked.gameCode, created.gameCode);
+	const [left] = await Promise.all([
+		host.next('playerKicked'),
+		stays.next('playerKicked'),
+	]);
+	assert.equal(left.kickedPlayerId, playerIds[2]);
+	assert.equal(left.playerCount, 2);
+	assert.equal(left.status, 'waiting');
+
+	// The kicked socket is out of the room
+	goes.send('saveDraft', { canvasData: 'data:image/png;base64,AA==' });
+	assert.equal((await goes.next('error')).code, 'NOT_IN_ROOM');
+
+	await Promise.all(clients.map((client) => client.close()));
+});
+
+test('hosting passes on when handed over or when the host leaves', async () => {
+	const { created, clients, playerIds } = await createRoomWith(
+		{ maxPlayers: 3, passcode: 'secret' },
+		['Second', 'Third']
+	);
+	const [host, second, third] = clients;
+
+	host.send('transferHost', { playerId: playerIds[1] });
+	const handedOver = await Promise.all(
+		clients.map((c) => c.next('hostChanged'))
+	);
+	assert.equal(handedOver[0].hostId, playerIds[1]);
+	assert.equal(handedOver[0].inviteToken, undefined);
+	assert.equal(handedOver[1].inviteToken, created.inviteToken);
+	assert.equal(handedOver[1].passcode, 'secret');
+
+	host.send('setRoomLock', { locked: true });
+	assert.equal((await host.next('error')).code, 'NOT_HOST');
+
+	// The new host drops; the first player still connected takes over
+	await second.close();
+	const promoted = await Promise.all([
+		host.next('hostChanged'),
+		third.next('hostChanged'),
+	]);
+	assert.equal(promoted[0].hostId, playerIds[0]);
+	assert.equal(promoted[0].inviteToken, created.inviteToken);
+	assert.equal(
+		promoted[1].players.find((player) => player.isHost).id,
+		playerIds[0]
+	);
+
+	await Promise.all([host.close(), third.close()]);
+});
@@ -0,0 +1,195 @@
+// test/matchmaking.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	resolveMatchCriteria,
+	createMatchmakingQueue,
+} = require('../matchmaking');
+const { createMemoryRoomRepository } = require('../room-repository');
+const { startTestServer, connectClient } = require('./helpers');
+
+let server;
+let port;
+
+before(async () => {
+	server = await startTestServer();
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+function criteria(input) {
+	return resolveMatchCriteria(input).criteria;
+}
+
+test('match criteria are validated, and may be left open', () => {
+	assert.deepEqual(criteria({}), { templateId: null, maxPlayers: null });
+	assert.deepEqual(criteria({ template: 'classic', maxPlayers: 3 }), {
+		templateId: 'classic',
+		maxPlayers: 3,
+	});
+	assert.ok(resolveMatchCriteria({ template: 'nonsense' }).error);
+	assert.ok(resolveMatchCriteria({ maxPlayers: 12 }).error);
+});
+
+test('the queue pairs compatible players, oldest first', () => {
+	const queue = createMatchmakingQueue();
+	const [anyone, wantsThree, wantsTwo, alsoThree, third] = [
+		'anyone',
+		'wantsThree',
+		'wantsTwo',
+		'alsoThree',
+		'third',
+	].map((id) => ({ id }));
+
+	queue.join(anyone, criteria({}));
+	assert.equal(queue.takeMatch(), null);
+	assert.equal(queue.getStatus(anyone).position, 1);
+	assert.equal(queue.getStatus(anyone).playersNeeded, 1);
+	assert.equal(queue.getStatus(anyone).estimatedWaitMs, null);
+
+	// The open player takes on the first specific room size they meet
+	queue.join(wantsThree, criteria({ maxPlayers: 3 }));
+	queue.join(wantsTwo, criteria({ maxPlayers: 2 }));
+	assert.equal(queue.getStatus(wantsTwo).position, 2);
+	assert.equal(queue.takeMatch(), null);
+
+	queue.join(alsoThree, criteria({ maxPlayers: 3 }));
+	const match = queue.takeMatch();
+	assert.deepEqual(
+		match.entries.map((entry) => entry.ws),
+		[anyone, wantsThree, alsoThree]
+	);
+	assert.deepEqual(match.criteria, { templateId: null, maxPlayers: 3 });
+	assert.deepEqual(queue.getSockets(), [wantsTwo]);
+	assert.equal(typeof queue.getStatus(wantsTwo).estimatedWaitMs, 'number');
+
+	queue.join(third, criteria({ template: 'classic' }));
+	assert.ok(queue.leave(wantsTwo));
+	assert.equal(queue.leave(wantsTwo), false);
+	assert.equal(queue.takeMatch(), null);
+	assert.equal(queue.size, 1);
+});
+
+test('matched strangers are put in a game together', async () => {
+	const [first, second] = await Promise.all([
+		connectClient(port),
+		connectClient(port),
+	]);
+
+	first.send('findMatch', { playerName: 'First', template: 'classic' });
+	const waiting = await first.next('matchmakingStatus');
+	assert.equal(waiting.position, 1);
+	assert.equal(waiting.playersNeeded, 1);
+
+	second.send('findMatch', { playerName: 'Second' });
+	const [joinedFirst, joinedSecond] = await Promise.all([
+		first.next('gameJoined'),
+		second.next('gameJoined'),
+	]);
+	assert.equal(joinedFirst.status, 'playing');
+	assert.equal(joinedFirst.canDraw, true);
+	assert.deepEqual(
+		joinedSecond.players.map((player) => player.name),
+		['First', 'Second']
+	);
+	assert.notEqual(joinedFirst.playerId, joinedSecond.playerId);
+	assert.equal(joinedFirst.playerCount, 2);
+
+	// Already matched, so there's nothing to cancel
+	second.send('cancelMatch');
+	assert.equal((await second.next('error')).code, 'NOT_IN_QUEUE');
+
+	await Promise.all([first.close(), second.close()]);
+});
+
+test('players can cancel, and others move up the queue', async () => {
+	const [first, second] = await Promise.all([
+		connectClient(port),
+		connectClient(port),
+	]);
+
+	first.send('findMatch', { maxPlayers: 3 });
+	await first.next('matchmakingStatus');
+	second.send('findMatch', { maxPlayers: 3 });
+	const [, secondStatus] = await Promise.all([
+		first.next('matchmakingStatus'),
+		second.next('matchmakingStatus'),
+	]);
+	assert.equal(secondStatus.position, 2);
+	assert.equal(secondStatus.playersWaiting, 2);
+
+	first.send('cancelMatch');
+	await first.next('matchCancelled');
+	const moved = await second.next('matchmakingStatus');
+	assert.equal(moved.position, 1);
+	assert.equal(moved.playersNeeded, 2);
+
+	// Creating a room leaves the queue too
+	second.send('createGame', {});
+	await second.next('gameCreated');
+	first.send('findMatch', { maxPlayers: 3 });
+	const alone = await first.next('matchmakingStatus');
+	assert.equal(alone.playersWaiting, 1);
+
+	first.send('findMatch', { template: 'nonsense' });
+	assert.equal((await first.next('error')).code, 'INVALID_PAYLOAD');
+
+	// A socket with a seat can't queue for another
+	second.send('findMatch', {});
+	assert.equal((await second.next('error')).code, 'ALREADY_IN_ROOM');
+	first.send('cancelMatch');
+	await first.next('matchCancelled');
+
+	await Promise.all([first.close(), second.close()]);
+});
+
+test('a player who leaves while their room is made is held as dropped', async () => {
+	// Rooms are saved only once the test lets them
+	const rooms = createMemoryRoomRepository();
+	const insert = rooms.insert;
+	let insertStarted;
+	const inserting = new Promise((resolve) => (insertStarted = resolve));
+	let allowInsert;
+	const insertAllowed = new Promise((resolve) => (allowInsert = resolve));
+	rooms.insert = async (gameRoom) => {
+		insertStarted();
+		await insertAllowed;
+		return insert(gameRoom);
+	};
+	const slowServer = await startTestServer({ rooms });
+
+	const [stays, leaves] = await Promise.all([
+		connectClient(slowServer.port),
+		connectClient(slowServer.port),
+	]);
+	stays.send('findMatch', { playerName: 'Stays' });
+	await stays.next('matchmakingStatus');
+	leaves.send('findMatch', { playerName: 'Leaves' });
+	await inserting;
+	await leaves.close();
+	allowInsert();
+
+	const joined = await stays.next('gameJoined');
+	assert.equal(joined.status, 'paused');
+	assert.deepEqual(
+		joined.players.map((player) => [player.name, player.connected]),
+		[
+			['Stays', true],
+			['Leaves', false],
+		]
+	);
+	const held = await stays.next('playerDisconnected');
+	assert.equal(held.disconnectedPlayerId, joined.players[1].id);
+	assert.ok(new Date(held.reconnectDeadline) > new Date());
+
+	// Their slot is given up like any other dropped player's
+	const released = await stays.next('playerDisconnected');
+	assert.equal(released.status, 'waiting');
+	assert.equal(released.playerCount, 1);
+
+	await stays.close();
+	await slowServer.close();
+});
@@ -0,0 +1,171 @@
+// test/player-history.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeDrawing, startTestServer, connectClient } = require('./helpers');
+const { getGameCredits, getPlayerStats } = require('../player-history');
+
+let server;
+let port;
+
+before(async () => {
+	server = await startTestServer();
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+async function request(path, { token, method = 'GET', body } = {}) {
+	const response = await fetch(`http://localhost:${port}${path}`, {
+		method: method,
+		headers: {
+			'Content-Type': 'application/json',
+			...(token ? { Authorization: `Bearer ${token}` } : {}),
+		},
+		body: body && JSON.stringify(body),
+	});
+	return { status: response.status, body: await response.json() };
+}
+
+// Everyone submits every segment until the game is over
+async function playToCompletion(clients, segmentCount) {
+	for (let segmentIndex = 0; segmentIndex < segmentCount; segmentIndex++) {
+		clients.forEach((client, index) =>
+			client.send('submitSegment', {
+				canvasData: makeDrawing(`segment ${segmentIndex}, ${index}`),
+				redLineY: 100,
+			})
+		);
+		await Promise.all(clients.map((client) => client.next('gameUpdate')));
+	}
+}
+
+test('credits come from who submitted on which canvas', () => {
+	const credits = getGameCredits({
+		segments: ['Head', 'Legs'],
+		segmentHistory: {
+			0: {
+				ann: { playerId: 'ann', canvasIndex: 0, imageId: 'a0' },
+				bob: { playerId: 'bob', canvasIndex: 1, imageId: 'b0' },
+			},
+			1: {
+				ann: { playerId: 'ann', canvasIndex: 1, imageId: 'a1' },
+				bob: {
+					playerId: 'bob',
+					canvasIndex: 0,
+					imageId: 'b1',
+					autoSubmitted: true,
+				},
+			},
+		},
+	});
+	assert.deepEqual(
+		credits.map((credit) => [
+			credit.playerId,
+			credit.segment,
+			credit.artworkIndex,
+			credit.autoSubmitted,
+		]),
+		[
+			['ann', 'Head', 0, false],
+			['bob', 'Head', 1, false],
+			['ann', 'Legs', 1, false],
+			['bob', 'Legs', 0, true],
+		]
+	);
+});
+
+test('the favourite segment is the one drawn most', () => {
+	const stats = getPlayerStats([
+		{
+			completedAt: new Date('2024-01-01'),
+			contributions: [{ segment: 'Head' }, { segment: 'Legs' }],
+		},
+		{
+			completedAt: new Date('2024-02-01'),
+			contributions: [{ segment: 'Legs', autoSubmitted: true }],
+		},
+	]);
+	assert.equal(stats.gamesPlayed, 2);
+	assert.equal(stats.segmentsDrawn, 3);
+	assert.equal(stats.autoSubmittedSegments, 1);
+	assert.equal(stats.favouriteSegment, 'Legs');
+	assert.deepEqual(stats.segmentCounts, { Head: 1, Legs: 2 });
+	assert.deepEqual(stats.firstPlayedAt, new Date('2024-01-01'));
+	assert.deepEqual(stats.lastPlayedAt, new Date('2024-02-01'));
+});
+
+test('users and guests find their finished games again', async () => {
+	const { body: account } = await request('/api/auth/register', {
+		method: 'POST',
+		body: { username: 'Frida', password: 'hunter22' },
+	});
+	const { status, body: guest } = await request('/api/auth/guest', {
+		method: 'POST',
+	});
+	assert.equal(status, 201);
+
+	const user = await connectClient(port, {
+		headers: { Authorization: `Bearer ${account.token}` },
+	});
+	user.send('createGame', {});
+	const created = await user.next('gameCreated');
+	const guestClient = await connectClient(`${port}?token=${guest.token}`);
+	guestClient.send('joinGame', {
+		gameCode: created.gameCode,
+		playerName: 'Wanderer',
+	});
+	await Promise.all([user, guestClient].map((c) => c.next('gameJoined')));
+	await playToCompletion([user, guestClient], created.segments.length);
+
+	for (const [token, name, firstCanvas] of [
+		[account.token, 'Frida', 0],
+		[guest.token, 'Wanderer', 1],
+	]) {
+		const { body } = await request('/api/me/games', { token });
+		assert.equal(body.total, 1);
+		const [game] = body.games;
+		assert.equal(game.gameCode, created.gameCode);
+		assert.equal(game.name, name);
+		assert.equal(game.artworks.length, 2);
+		assert.match(game.artworks[0].imageUrl, /^\/api\/images\//);
+		// Two players swap canvases every segment
+		assert.deepEqual(
+			game.contributions.map((c) => [c.segment, c.artworkIndex]),
+			created.segments.map((segment, index) => [
+				segment,
+				(firstCanvas + index) % 2,
+			])
+		);
+
+		const { body: segments } = await request('/api/me/segments?limit=2', {
+			token,
+		});
+		assert.equal(segments.total, created.segments.length);
+		assert.equal(segments.segments.length, 2);
+		assert.match(segments.segments[0].imageUrl, /^\/api\/images\//);
+
+		const { body: profile } = await request('/api/me', { token });
+		assert.equal(profile.stats.gamesPlayed, 1);
+		assert.equal(profile.stats.segmentsDrawn, created.segments.length);
+	}
+
+	// The drawings outlive the room, so the links keep working
+	const { body } = await request('/api/me/games', { token: guest.token });
+	const image = await fetch(
+		`http://localhost:${port}${body.games[0].contributions[0].imageUrl}`
+	);
+	assert.equal(image.status, 200);
+
+	await Promise.all([user.close(), guestClient.close()]);
+});
+
+test('history needs an account or a guest token', async () => {
+	const { status } = await request('/api/me/games');
+	assert.equal(status, 401);
+	const { status: forged } = await request('/api/me/games', {
+		token: 'forged.token',
+	});
+	assert.equal(forged, 401);
+});
@@ -0,0 +1,193 @@
+// test/room-chat.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { maskProfanity } = require('../profanity');
+const { createLocalRoomEvents } = require('../room-events');
+const {
+	CHAT_SCROLLBACK_SIZE,
+	normalizeChatText,
+	appendChatMessage,
+	createRateLimit,
+} = require('../room-chat');
+const {
+	makeDrawing,
+	startTestServer,
+	connectClient,
+	startGame,
+} = require('./helpers');
+
+let server;
+let port;
+
+before(async () => {
+	server = await startTestServer();
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+test('blocked words are starred out, innocent ones left alone', () => {
+	assert.equal(maskProfanity('what the SH1T'), 'what the ****');
+	assert.equal(maskProfanity('sh!t, fucking hell'), '****, ******* hell');
+	assert.equal(
+		maskProfanity('asshole, bullshit, motherfucker'),
+		'*******, ********, ************'
+	);
+	assert.equal(
+		maskProfanity('fucker, dickhead, sh1tty'),
+		'******, ********, ******'
+	);
+	assert.equal(
+		maskProfanity('a classic title, assess it'),
+		'a classic title, assess it'
+	);
+	assert.equal(
+		maskProfanity('a cocky titter, spicy butter'),
+		'a cocky titter, spicy butter'
+	);
+	assert.equal(normalizeChatText('  nice \n\n legs  '), 'nice legs');
+	assert.equal(normalizeChatText(' \t '), null);
+});
+
+test('scrollback keeps only the latest messages', () => {
+	const gameRoom = {};
+	for (let i = 0; i < CHAT_SCROLLBACK_SIZE + 5; i++) {
+		appendChatMessage(gameRoom, { text: `message ${i}` });
+	}
+	assert.equal(gameRoom.chat.length, CHAT_SCROLLBACK_SIZE);
+	assert.equal(gameRoom.chat[0].text, 'message 5');
+});
+
+test('rate limits count each socket on its own', () => {
+	const limit = createRateLimit({ limit: 2, windowMs: 60000 });
+	const [alice, bob] = [{}, {}];
+	assert.equal(limit(alice), 0);
+	assert.equal(limit(alice), 0);
+	const retryAfterMs = limit(alice);
+	assert.ok(retryAfterMs > 0 && retryAfterMs <= 60000);
+	assert.equal(limit(bob), 0);
+});
+
+test('chat and reactions reach everyone during the reveal', async () => {
+	const {
+		clients: [creator, joiner],
+		gameCode,
+	} = await startGame(port, { segments: ['Top', 'Bottom'] });
+	for (let segmentIndex = 0; segmentIndex < 2; segmentIndex++) {
+		[creator, joiner].forEach((client, index) =>
+			client.send('submitSegment', {
+				canvasData: makeDrawing(`${segmentIndex}-${index}`),
+			})
+		);
+		await Promise.all(
+			[creator, joiner].map((client) => client.next('gameUpdate'))
+		);
+	}
+
+	joiner.send('chatMessage', { text: '  love the   legs, shit! ' });
+	const [seen] = await Promise.all([
+		creator.next('chatMessage'),
+		joiner.next('chatMessage'),
+	]);
+	assert.equal(seen.text, 'love the legs, ****!');
+	assert.equal(seen.senderName, 'Player 2');
+	assert.equal(seen.isSpectator, false);
+	assert.equal(typeof seen.id, 'string');
+
+	// Latecomers get the scrollback, and can chat too
+	const spectator = await connectClient(port);
+	spectator.send('spectateGame', { gameCode });
+	const watching = await spectator.next('spectating');
+	assert.equal(watching.status, 'completed');
+	assert.deepEqual(
+		watching.chat.map((message) => message.text),
+		['love the legs, ****!']
+	);
+	spectator.send('chatMessage', { text: 'Beautiful' });
+	const fromSpectator = await creator.next('chatMessage');
+	assert.equal(fromSpectator.senderId, null);
+	assert.equal(fromSpectator.isSpectator, true);
+
+	creator.send('reaction', { emoji: '🔥', artworkIndex: 1 });
+	const reactions = await Promise.all(
+		[creator, joiner, spectator].map((client) => client.next('reaction'))
+	);
+	reactions.forEach((reaction) => {
+		assert.equal(reaction.emoji, '🔥');
+		assert.equal(reaction.artworkIndex, 1);
+	});
+	creator.send('reaction', { emoji: 'banana' });
+	assert.equal((await creator.next('error')).code, 'INVALID_PAYLOAD');
+
+	await Promise.all(
+		[creator, joiner, spectator].map((client) => client.close())
+	);
+});
+
+test('chat is rate limited and length limited per socket', async () => {
+	const {
+		clients: [creator, joiner],
+	} = await startGame(port);
+
+	creator.send('chatMessage', { text: 'x'.repeat(301) });
+	assert.equal((await creator.next('error')).code, 'INVALID_PAYLOAD');
+	creator.send('chatMessage', { text: '   ' });
+	assert.equal((await creator.next('error')).code, 'INVALID_PAYLOAD');
+
+	// The blank one counts towards the limit of five; the long one was
+	// turned away before it got that far
+	for (let i = 0; i < 4; i++) {
+		creator.send('chatMessage', { text: `hello ${i}` });
+		await Promise.all([
+			creator.next('chatMessage'),
+			joiner.next('chatMessage'),
+		]);
+	}
+	creator.send('chatMessage', { text: 'one too many' });
+	const limited = await creator.next('error');
+	assert.equal(limited.code, 'RATE_LIMITED');
+	assert.ok(limited.retryAfterMs > 0);
+
+	// Other sockets have their own allowance
+	joiner.send('chatMessage', { text: 'my turn' });
+	assert.equal((await creator.next('chatMessage')).text, 'my turn');
+
+	await Promise.all([creator.close(), joiner.close()]);
+});
+
+test('chat events carry only the message, not the room', async () => {
+	const roomEvents = createLocalRoomEvents();
+	const published = [];
+	roomEvents.subscribe((event) => published.push(event));
+	const eventServer = await startTestServer({ roomEvents });
+	try {
+		const {
+			clients: [creator, joiner],
+		} = await startGame(eventServer.port);
+		creator.send('chatMessage', { text: 'hello' });
+		await Promise.all([
+			creator.next('chatMessage'),
+			joiner.next('chatMessage'),
+		]);
+
+		const chatEvent = published.find(
+			(event) => event.name === 'chatMessage'
+		);
+		assert.equal(chatEvent.gameRoom, undefined);
+		assert.equal(chatEvent.data.text, 'hello');
+
+		await Promise.all([creator.close(), joiner.close()]);
+	} finally {
+		await eventServer.close();
+		await roomEvents.close();
+	}
+});
+
+test('chat needs a room', async () => {
+	const loner = await connectClient(port);
+	loner.send('chatMessage', { text: 'anyone?' });
+	assert.equal((await loner.next('error')).code, 'NOT_IN_ROOM');
+	await loner.close();
+});
@@ -0,0 +1,76 @@
+// test/room-clients.test.js
+const { EventEmitter } = require('events');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const {
+	createRoomClientRegistry,
+	broadcastToRoom,
+} = require('../room-clients');
+
+// Just enough of a socket to join rooms, receive messages and close
+function fakeClient(id) {
+	const client = new EventEmitter();
+	client.id = id;
+	client.gameRoomId = null;
+	client.readyState = WebSocket.OPEN;
+	client.sent = [];
+	client.send = (message) => client.sent.push(JSON.parse(message));
+	client.close = () => {
+		client.readyState = WebSocket.CLOSED;
+		client.emit('close');
+	};
+	return client;
+}
+
+test('sockets are found by room and move between rooms', () => {
+	const roomClients = createRoomClientRegistry();
+	const [alice, bob, carol] = ['alice', 'bob', 'carol'].map(fakeClient);
+	roomClients.add(alice, 'room-1');
+	roomClients.add(bob, 'room-1');
+	roomClients.add(carol, 'room-2');
+
+	assert.deepEqual(roomClients.getClients('room-1'), [alice, bob]);
+	assert.deepEqual(roomClients.getClients('room-2'), [carol]);
+	assert.deepEqual(roomClients.getClients('room-3'), []);
+
+	roomClients.add(bob, 'room-2');
+	assert.equal(bob.gameRoomId, 'room-2');
+	assert.deepEqual(roomClients.getClients('room-1'), [alice]);
+	assert.deepEqual(roomClients.getClients('room-2'), [carol, bob]);
+
+	roomClients.remove(alice);
+	assert.equal(alice.gameRoomId, null);
+	assert.deepEqual(roomClients.getClients('room-1'), []);
+	assert.equal(roomClients.roomCount, 1);
+});
+
+test('closed sockets leave their room but keep their room ID', () => {
+	const roomClients = createRoomClientRegistry();
+	const client = fakeClient('alice');
+	roomClients.add(client, 'room-1');
+	// Moving rooms must not stack up close listeners
+	roomClients.add(client, 'room-2');
+	assert.equal(client.listenerCount('close'), 1);
+
+	client.close();
+
+	assert.deepEqual(roomClients.getClients('room-2'), []);
+	assert.equal(roomClients.roomCount, 0);
+	// The disconnect handler still needs to know which room it was in
+	assert.equal(client.gameRoomId, 'room-2');
+});
+
+test('each client gets its own message, or none', async () => {
+	const [player, spectator, closing] = ['p', 's', 'c'].map(fakeClient);
+	spectator.isSpectator = true;
+	closing.readyState = WebSocket.CLOSING;
+
+	await broadcastToRoom([player, spectator, closing], async (client) =>
+		client.isSpectator ? null : { type: 'hello', to: client.id }
+	);
+
+	assert.deepEqual(player.sent, [{ type: 'hello', to: 'p' }]);
+	assert.deepEqual(spectator.sent, []);
+	assert.deepEqual(closing.sent, []);
+});
@@ -0,0 +1,73 @@
+// test/room-codes.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	ROOM_CODE_ALPHABET,
+	generateRoomCode,
+	normalizeRoomCode,
+	reserveRoomCode,
+} = require('../room-codes');
+const { containsProfanity } = require('../profanity');
+const { createMemoryRoomRepository } = require('../room-repository');
+const { transitionRoom, DELETE_ROOM } = require('../room-transitions');
+
+afterEach(() => {
+	delete process.env.ROOM_CODE_LENGTH;
+});
+
+test('codes use only unambiguous characters and spell nothing rude', () => {
+	for (const ambiguous of ['0', 'O', '1', 'I', 'L']) {
+		assert.ok(!ROOM_CODE_ALPHABET.includes(ambiguous));
+	}
+	for (let i = 0; i < 2000; i++) {
+		const code = generateRoomCode();
+		assert.equal(code.length, 4);
+		assert.ok(
+			[...code].every((char) => ROOM_CODE_ALPHABET.includes(char)),
+			code
+		);
+		assert.ok(!containsProfanity(code), code);
+	}
+});
+
+test('the blocklist sees through digit swaps', () => {
+	assert.ok(containsProfanity('X5EX'));
+	assert.ok(containsProfanity('b00b'));
+	assert.ok(!containsProfanity('HJKM'));
+});
+
+test('ROOM_CODE_LENGTH sets the length, within limits', () => {
+	process.env.ROOM_CODE_LENGTH = '6';
+	assert.equal(generateRoomCode().length, 6);
+	process.env.ROOM_CODE_LENGTH = '2';
+	assert.equal(generateRoomCode().length, 4);
+});
+
+test('typed codes are trimmed and upper-cased', () => {
+	assert.equal(normalizeRoomCode(' ab7k '), 'AB7K');
+});
+
+test('a code stays reserved until its room is removed', async () => {
+	const rooms = createMemoryRoomRepository();
+	const gameCode = await reserveRoomCode(rooms);
+	assert.equal(await rooms.reserveCode(gameCode), false);
+
+	const id = await rooms.insert({ gameCode, version: 0 });
+	await transitionRoom(rooms, { id }, () => DELETE_ROOM);
+	assert.equal(await rooms.reserveCode(gameCode), true);
+});
+
+test('codes held by rooms without a reservation are skipped', async () => {
+	const rooms = createMemoryRoomRepository();
+	// A 4-character code space is large, so force every draw to collide
+	const legacyCodes = new Set();
+	rooms.findOne = async ({ gameCode }) =>
+		legacyCodes.has(gameCode) ? { gameCode } : null;
+	const reserveCode = rooms.reserveCode;
+	rooms.reserveCode = async (gameCode) => {
+		legacyCodes.add(gameCode);
+		return reserveCode(gameCode);
+	};
+
+	await assert.rejects(reserveRoomCode(rooms), /free 4-character room code/);
+});
@@ -0,0 +1,185 @@
+// test/room-events.test.js
+const { EventEmitter } = require('events');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { makeDrawing, startTestServer, connectClient } = require('./helpers');
+const {
+	createLocalRoomEvents,
+	createRedisRoomEvents,
+} = require('../room-events');
+const { createMemoryRoomRepository } = require('../room-repository');
+
+// Stands in for a Redis server: every client subscribed to a channel hears
+// what any client publishes on it, asynchronously, as strings
+class FakeRedisBroker {
+	constructor() {
+		this.clients = new Set();
+	}
+
+	createClient() {
+		const broker = this;
+		const client = new EventEmitter();
+		client.channels = new Set();
+		client.publish = async (channel, message) => {
+			assert.equal(typeof message, 'string');
+			broker.clients.forEach((other) => {
+				if (other.channels.has(channel)) {
+					setImmediate(() => other.emit('message', channel, message));
+				}
+			});
+		};
+		client.subscribe = async (channel) => {
+			client.channels.add(channel);
+		};
+		client.unsubscribe = async (channel) => {
+			client.channels.delete(channel);
+		};
+		this.clients.add(client);
+		return client;
+	}
+
+	async createRoomEvents(channel) {
+		return createRedisRoomEvents({
+			publisher: this.createClient(),
+			subscriber: this.createClient(),
+			channel: channel,
+		});
+	}
+}
+
+function nextEvent(roomEvents) {
+	return new Promise((resolve) => {
+		const unsubscribe = roomEvents.subscribe((event) => {
+			unsubscribe();
+			resolve(event);
+		});
+	});
+}
+
+test('events keep their ObjectIds, Dates and numbers in either transport', async () => {
+	const broker = new FakeRedisBroker();
+	const transports = [
+		createLocalRoomEvents(),
+		await broker.createRoomEvents(),
+	];
+	const _id = new ObjectId();
+	const updatedAt = new Date();
+
+	for (const roomEvents of transports) {
+		const received = nextEvent(roomEvents);
+		await roomEvents.publish({
+			gameRoomId: _id.toString(),
+			name: 'gameUpdate',
+			gameRoom: { _id, updatedAt, currentSegmentIndex: 2 },
+			data: {},
+		});
+		const { gameRoom } = await received;
+		assert.ok(gameRoom._id instanceof ObjectId);
+		assert.ok(gameRoom._id.equals(_id));
+		assert.ok(gameRoom.updatedAt instanceof Date);
+		assert.equal(gameRoom.updatedAt.getTime(), updatedAt.getTime());
+		assert.equal(gameRoom.currentSegmentIndex, 2);
+		await roomEvents.close();
+	}
+});
+
+test('Redis transports only hear their own channel', async () => {
+	const broker = new FakeRedisBroker();
+	const [first, second, elsewhere] = await Promise.all([
+		broker.createRoomEvents('corpse-a'),
+		broker.createRoomEvents('corpse-a'),
+		broker.createRoomEvents('corpse-b'),
+	]);
+	const heardElsewhere = [];
+	elsewhere.subscribe((event) => heardElsewhere.push(event));
+
+	const received = nextEvent(second);
+	await first.publish({ gameRoomId: 'room', name: 'gameReset', data: {} });
+	assert.equal((await received).name, 'gameReset');
+	assert.deepEqual(heardElsewhere, []);
+
+	// Closed transports stop listening
+	await second.close();
+	assert.equal(broker.clients.size, 6);
+	assert.ok(
+		[...broker.clients].every(
+			(client) => client.listenerCount('message') <= 1
+		)
+	);
+
+	await Promise.all([first.close(), elsewhere.close()]);
+});
+
+test('players on different servers play a game together', async () => {
+	// Two server processes, as far as the game can tell: they share rooms and
+	// a Redis channel but nothing else
+	const broker = new FakeRedisBroker();
+	const rooms = createMemoryRoomRepository();
+	const [eventsA, eventsB] = await Promise.all([
+		broker.createRoomEvents(),
+		broker.createRoomEvents(),
+	]);
+	const serverA = await startTestServer({ rooms, roomEvents: eventsA });
+	const serverB = await startTestServer({ rooms, roomEvents: eventsB });
+
+	try {
+		const creator = await connectClient(serverA.port);
+		creator.send('createGame', { liveDrawing: 'everyone' });
+		const created = await creator.next('gameCreated');
+
+		const joiner = await connectClient(serverB.port);
+		joiner.send('joinGame', {
+			gameCode: created.gameCode,
+			playerName: 'Bea',
+		});
+		const joined = await Promise.all([
+			creator.next('gameJoined'),
+			joiner.next('gameJoined'),
+		]);
+		joined.forEach((message) => {
+			assert.equal(message.playerCount, 2);
+			assert.equal(message.canDraw, true);
+		});
+
+		// Live strokes reach the other server's sockets
+		creator.send('strokeBegin', {
+			strokeId: 'stroke-1',
+			color: '#000000',
+			width: 4,
+			points: [{ x: 1, y: 2 }],
+		});
+		const stroke = await joiner.next('strokeBegin');
+		assert.equal(stroke.strokeId, 'stroke-1');
+		assert.equal(stroke.playerId, created.playerId);
+
+		// Each player gets the other's canvas, whichever server took it
+		const drawings = [makeDrawing('server A'), makeDrawing('server B')];
+		[creator, joiner].forEach((client, index) =>
+			client.send('submitSegment', {
+				canvasData: drawings[index],
+				redLineY: 100 + index,
+			})
+		);
+		const [creatorUpdate, joinerUpdate] = await Promise.all([
+			creator.next('gameUpdate'),
+			joiner.next('gameUpdate'),
+		]);
+		assert.equal(creatorUpdate.currentSegmentIndex, 1);
+		assert.equal(creatorUpdate.canvasData, drawings[1]);
+		assert.equal(creatorUpdate.previousRedLineY, 101);
+		assert.equal(joinerUpdate.canvasData, drawings[0]);
+		assert.equal(joinerUpdate.previousRedLineY, 100);
+
+		// Leaving is noticed on the other server too
+		await joiner.close();
+		const disconnected = await creator.next('playerDisconnected');
+		assert.ok(new Date(disconnected.reconnectDeadline) > new Date());
+
+		await creator.close();
+	} finally {
+		await serverA.close();
+		await serverB.close();
+		await Promise.all([eventsA.close(), eventsB.close()]);
+	}
+});
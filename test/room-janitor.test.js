@@ -0,0 +1,127 @@
+// test/room-janitor.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Must be set before the janitor and image store are loaded
+process.env.WAITING_ROOM_TTL_MS = '60000';
+process.env.IDLE_ROOM_TIMEOUT_MS = '120000';
+process.env.COMPLETED_ROOM_TTL_MS = '60000';
+process.env.IMAGE_STORE = 'filesystem';
+process.env.IMAGE_STORE_DIR = fs.mkdtempSync(
+	path.join(os.tmpdir(), 'corpse-janitor-')
+);
+
+const { sweepExpiredRooms } = require('../room-janitor');
+const { createMemoryRoomRepository } = require('../room-repository');
+const { getImageStore } = require('../image-store');
+const { transitionRoom } = require('../room-transitions');
+const { createLocalRoomEvents } = require('../room-events');
+
+const MINUTE_MS = 60 * 1000;
+
+function minutesAgo(minutes) {
+	return new Date(Date.now() - minutes * MINUTE_MS);
+}
+
+async function setUp(roomsToInsert) {
+	const rooms = createMemoryRoomRepository();
+	const ids = [];
+	for (const gameRoom of roomsToInsert) {
+		await rooms.reserveCode(gameRoom.gameCode);
+		ids.push(await rooms.insert({ version: 0, ...gameRoom }));
+	}
+	const events = createLocalRoomEvents();
+	return { storage: { rooms, db: null, events }, ids };
+}
+
+test('rooms idle longer than their status allows are removed', async () => {
+	const {
+		storage,
+		ids: [staleWaiting, freshWaiting, stalePlaying, freshPlaying],
+	} = await setUp([
+		{ gameCode: 'AAAA', status: 'waiting', updatedAt: minutesAgo(2) },
+		{ gameCode: 'BBBB', status: 'waiting', updatedAt: minutesAgo(0) },
+		{ gameCode: 'CCCC', status: 'paused', updatedAt: minutesAgo(3) },
+		{ gameCode: 'DDDD', status: 'playing', updatedAt: minutesAgo(1) },
+	]);
+
+	assert.equal(await sweepExpiredRooms(storage), 2);
+	assert.equal(await storage.rooms.findOne({ id: staleWaiting }), null);
+	assert.equal(await storage.rooms.findOne({ id: stalePlaying }), null);
+	assert.ok(await storage.rooms.findOne({ id: freshWaiting }));
+	assert.ok(await storage.rooms.findOne({ id: freshPlaying }));
+
+	// The expired rooms' codes can be handed out again
+	assert.equal(await storage.rooms.reserveCode('AAAA'), true);
+	assert.equal(await storage.rooms.reserveCode('BBBB'), false);
+});
+
+test('rooms from before updatedAt expire by their creation time', async () => {
+	const {
+		storage,
+		ids: [legacyRoom],
+	} = await setUp([
+		{ gameCode: 'EEEE', status: 'completed', createdAt: minutesAgo(5) },
+	]);
+
+	assert.equal(await sweepExpiredRooms(storage), 1);
+	assert.equal(await storage.rooms.findOne({ id: legacyRoom }), null);
+});
+
+test('any change to a room restarts its clock', async () => {
+	const {
+		storage,
+		ids: [gameRoomId],
+	} = await setUp([
+		{ gameCode: 'FFFF', status: 'waiting', updatedAt: minutesAgo(2) },
+	]);
+	await transitionRoom(storage.rooms, { id: gameRoomId }, (gameRoom) => {
+		gameRoom.spectators = ['someone'];
+	});
+
+	assert.equal(await sweepExpiredRooms(storage), 0);
+});
+
+test('every server process is told when a room expires', async () => {
+	const {
+		storage,
+		ids: [gameRoomId],
+	} = await setUp([
+		{ gameCode: 'GGGG', status: 'playing', updatedAt: minutesAgo(3) },
+	]);
+	const published = new Promise((resolve) =>
+		storage.events.subscribe(resolve)
+	);
+
+	await sweepExpiredRooms(storage);
+
+	const event = await published;
+	assert.equal(event.gameRoomId, gameRoomId);
+	assert.equal(event.name, 'roomExpired');
+	assert.equal(event.data.gameCode, 'GGGG');
+});
+
+test("an expired room's images are deleted", async () => {
+	const imageStore = getImageStore(null);
+	const [canvasId, draftId] = await Promise.all([
+		imageStore.save(Buffer.from('canvas'), 'image/png'),
+		imageStore.save(Buffer.from('draft'), 'image/png'),
+	]);
+	const { storage } = await setUp([
+		{
+			gameCode: 'HHHH',
+			status: 'paused',
+			updatedAt: minutesAgo(3),
+			activeCanvasStates: [canvasId, null],
+			drafts: { someone: { imageId: draftId } },
+		},
+	]);
+
+	await sweepExpiredRooms(storage);
+
+	assert.equal(await imageStore.open(canvasId), null);
+	assert.equal(await imageStore.open(draftId), null);
+});
@@ -0,0 +1,89 @@
+// test/stroke-stream.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	MAX_STROKES_PER_SEGMENT,
+	MAX_POINTS_PER_SEGMENT,
+	getStrokeBudget,
+} = require('../stroke-stream');
+const { startTestServer, startGame } = require('./helpers');
+
+let server;
+let port;
+
+before(async () => {
+	server = await startTestServer();
+	port = server.port;
+});
+
+after(async () => {
+	await server.close();
+});
+
+function makePoints(count) {
+	return Array.from({ length: count }, (_, index) => ({
+		x: index,
+		y: index,
+	}));
+}
+
+test('the budget counts strokes and points already recorded', () => {
+	assert.deepEqual(getStrokeBudget(), {
+		strokes: MAX_STROKES_PER_SEGMENT,
+		points: MAX_POINTS_PER_SEGMENT,
+	});
+	assert.deepEqual(
+		getStrokeBudget([{ points: makePoints(3) }, { points: makePoints(7) }]),
+		{
+			strokes: MAX_STROKES_PER_SEGMENT - 2,
+			points: MAX_POINTS_PER_SEGMENT - 10,
+		}
+	);
+});
+
+test('drawing past the segment budget is refused', async () => {
+	// Strokes are relayed live, so each step can be awaited on the other side
+	const {
+		clients: [drawer, watcher],
+	} = await startGame(port, { liveDrawing: 'everyone' });
+	const brush = { color: '#000000', width: 4 };
+
+	// Fill the whole budget with one long stroke, 500 points at a time
+	drawer.send('strokeBegin', {
+		strokeId: 'long',
+		...brush,
+		points: makePoints(500),
+	});
+	await watcher.next('strokeBegin');
+	for (let sent = 500; sent < MAX_POINTS_PER_SEGMENT; sent += 500) {
+		drawer.send('strokePoints', {
+			strokeId: 'long',
+			points: makePoints(500),
+		});
+		await watcher.next('strokePoints');
+	}
+	drawer.send('strokePoints', { strokeId: 'long', points: makePoints(1) });
+	assert.equal((await drawer.next('error')).code, 'STROKE_LIMIT_REACHED');
+	drawer.send('strokeEnd', { strokeId: 'long' });
+	await watcher.next('strokeEnd');
+
+	// The full stroke was recorded, so there is nothing left for another
+	drawer.send('strokeBegin', {
+		strokeId: 'more',
+		...brush,
+		points: makePoints(1),
+	});
+	const refused = await drawer.next('error');
+	assert.equal(refused.code, 'STROKE_LIMIT_REACHED');
+	assert.equal(refused.requestType, 'strokeBegin');
+
+	// Other players have budgets of their own
+	watcher.send('strokeBegin', {
+		strokeId: 'mine',
+		...brush,
+		points: makePoints(1),
+	});
+	await drawer.next('strokeBegin');
+
+	await Promise.all([drawer.close(), watcher.close()]);
+});
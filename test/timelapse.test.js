@@ -0,0 +1,90 @@
+// test/timelapse.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTimelapseFrames } = require('../canvas-utils');
+const {
+	parseTimelapseOptions,
+	getCachedTimelapse,
+	createTimelapse,
+} = require('../timelapse');
+const { makeDrawing } = require('./helpers');
+
+const CANVAS_SIZE = { width: 1080, height: 1920 };
+
+function makeSegments(count, strokeCount) {
+	return Array.from({ length: count }, (_, index) => ({
+		dataURL: makeDrawing(`segment ${index}`),
+		strokes: Array.from({ length: strokeCount }, (_, strokeIndex) => ({
+			tool: 'pen',
+			color: '#000000',
+			width: 4,
+			points: [
+				{ x: strokeIndex, y: strokeIndex },
+				{ x: strokeIndex + 10, y: strokeIndex + 10 },
+			],
+		})),
+	}));
+}
+
+test('options are rounded to what a GIF can show', () => {
+	assert.deepEqual(parseTimelapseOptions({ delay: '123', scale: '0.333' }), {
+		format: 'gif',
+		delay: 120,
+		scale: 0.33,
+	});
+	assert.equal(parseTimelapseOptions({ scale: '2' }), null);
+	assert.equal(parseTimelapseOptions({ format: 'mp4' }), null);
+});
+
+test('frames stream out one at a time within the pixel budget', async () => {
+	const maxPixels = 20 * 1000 * 1000;
+	const sizes = [];
+	const frameCount = await renderTimelapseFrames(
+		makeSegments(4, 300),
+		CANVAS_SIZE,
+		{ scale: 1, maxFrames: 60, maxPixels: maxPixels },
+		(frame, index, total) => {
+			assert.equal(index, sizes.length);
+			sizes.push({ pixels: frame.width * frame.height, total });
+		}
+	);
+
+	assert.equal(sizes.length, frameCount);
+	assert.ok(frameCount <= 60);
+	sizes.forEach(({ total }) => assert.equal(total, frameCount));
+	const pixels = sizes.reduce((sum, { pixels }) => sum + pixels, 0);
+	assert.ok(pixels <= maxPixels, `${pixels} pixels rendered`);
+});
+
+test('timelapses render in a child process and are cached per artwork and options', async () => {
+	const options = parseTimelapseOptions({ delay: '100', scale: '0.1' });
+	assert.equal(getCachedTimelapse('artwork-1', options), null);
+
+	// Asking twice at once shares the one render
+	const [gif, again] = await Promise.all(
+		[1, 2].map(() =>
+			createTimelapse(
+				'artwork-1',
+				makeSegments(2, 5),
+				CANVAS_SIZE,
+				options
+			)
+		)
+	);
+	assert.equal(gif.contentType, 'image/gif');
+	assert.equal(gif.buffer.subarray(0, 6).toString(), 'GIF89a');
+	assert.equal(again, gif);
+	assert.equal(getCachedTimelapse('artwork-1', options), gif);
+
+	const zipOptions = { ...options, format: 'zip' };
+	assert.equal(getCachedTimelapse('artwork-1', zipOptions), null);
+	const zip = await createTimelapse(
+		'artwork-1',
+		makeSegments(2, 5),
+		CANVAS_SIZE,
+		zipOptions
+	);
+	assert.equal(zip.extension, 'zip');
+	assert.equal(zip.buffer.subarray(0, 2).toString(), 'PK');
+	assert.equal(getCachedTimelapse('artwork-1', zipOptions), zip);
+});
@@ -0,0 +1,21 @@
+// timelapse-worker.js
+// Renders one timelapse in a child process; see createTimelapse.
+const { renderTimelapse } = require('./timelapse');
+
+process.once('message', async ({ segments, canvasSize, options }) => {
+	try {
+		const timelapse = await renderTimelapse(segments, canvasSize, options);
+		const bytes = new Uint8Array(
+			timelapse.buffer.buffer,
+			timelapse.buffer.byteOffset,
+			timelapse.buffer.byteLength
+		);
+		// Exits once the timelapse is on its way
+		process.send({ ...timelapse, buffer: bytes }, () =>
+			process.disconnect()
+		);
+	} catch (error) {
+		console.error('[TIMELAPSE] Failed to render a timelapse:', error);
+		process.exit(1);
+	}
+});
@@ -0,0 +1,285 @@
+// timelapse.js
+const path = require('path');
+const { fork } = require('child_process');
+const { GIFEncoder, quantize, applyPalette } = require('gifenc');
+const JSZip = require('jszip');
+const { renderTimelapseFrames } = require('./canvas-utils');
+
+const TIMELAPSE_WORKER_PATH = path.join(__dirname, 'timelapse-worker.js');
+
+const TIMELAPSE_FORMATS = ['gif', 'zip'];
+const DEFAULT_FRAME_DELAY_MS = 400;
+const MIN_FRAME_DELAY_MS = 20;
+const MAX_FRAME_DELAY_MS = 5000;
+const DEFAULT_SCALE = 0.5;
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 1;
+const FINAL_FRAME_HOLD = 5; // The finished corpse stays up this many frames' worth
+
+// Bounds on the work behind one timelapse. Frames are shrunk, and strokes
+// batched into fewer frames, to stay within the pixel budget.
+const MAX_TIMELAPSE_FRAMES = 60;
+const MAX_TIMELAPSE_PIXELS = 40 * 1000 * 1000; // All frames together
+const MAX_QUEUED_RENDERS = 4;
+const MAX_CACHED_TIMELAPSE_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Validates timelapse query options.
+ * @param {object} query The request query string.
+ * @returns {{format: string, delay: number, scale: number}|null} The options,
+ *   or null if any of them is out of range.
+ */
+function parseTimelapseOptions(query = {}) {
+	const format = query.format || 'gif';
+	const delay =
+		query.delay === undefined
+			? DEFAULT_FRAME_DELAY_MS
+			: Number(query.delay);
+	const scale =
+		query.scale === undefined ? DEFAULT_SCALE : Number(query.scale);
+
+	if (
+		!TIMELAPSE_FORMATS.includes(format) ||
+		!Number.isFinite(delay) ||
+		delay < MIN_FRAME_DELAY_MS ||
+		delay > MAX_FRAME_DELAY_MS ||
+		!Number.isFinite(scale) ||
+		scale < MIN_SCALE ||
+		scale > MAX_SCALE
+	) {
+		return null;
+	}
+	// GIFs keep delays in hundredths of a second; rounding both also keeps the
+	// number of distinct timelapses, and so cache entries, small
+	return {
+		format,
+		delay: Math.round(delay / 10) * 10,
+		scale: Math.round(scale * 100) / 100,
+	};
+}
+
+/**
+ * Encodes frames as a looping animated GIF, one frame at a time as they
+ * are rendered.
+ * @param {number} delay Milliseconds between frames.
+ * @returns {{writeFrame: (frame: import('canvas').Canvas, index: number, frameCount: number) => void, finish: () => Buffer}}
+ */
+function createGifWriter(delay) {
+	const gif = GIFEncoder();
+	return {
+		writeFrame(frame, index, frameCount) {
+			const { width, height } = frame;
+			const { data } = frame
+				.getContext('2d')
+				.getImageData(0, 0, width, height);
+			const palette = quantize(data, 256);
+			const indexed = applyPalette(data, palette);
+			gif.writeFrame(indexed, width, height, {
+				palette: palette,
+				delay:
+					index === frameCount - 1 ? delay * FINAL_FRAME_HOLD : delay,
+				repeat: 0, // Loop forever
+			});
+		},
+		finish() {
+			gif.finish();
+			return Buffer.from(gif.bytes());
+		},
+	};
+}
+
+/**
+ * Packs frames into a zip of numbered PNGs, with a manifest describing timing.
+ * Each frame is compressed to PNG as soon as it is rendered.
+ * @param {number} delay Milliseconds between frames.
+ * @returns {{writeFrame: (frame: import('canvas').Canvas, index: number, frameCount: number) => void, finish: () => Promise<Buffer>}}
+ */
+function createFrameZipWriter(delay) {
+	const zip = new JSZip();
+	const files = [];
+	let size = {};
+	return {
+		writeFrame(frame, index, frameCount) {
+			const digits = String(frameCount).length;
+			const name = `frame-${String(index + 1).padStart(digits, '0')}.png`;
+			zip.file(name, frame.toBuffer('image/png'));
+			files.push(name);
+			size = { width: frame.width, height: frame.height };
+		},
+		finish() {
+			zip.file(
+				'manifest.json',
+				JSON.stringify(
+					{
+						width: size.width,
+						height: size.height,
+						delay: delay,
+						finalFrameDelay: delay * FINAL_FRAME_HOLD,
+						frames: files,
+					},
+					null,
+					2
+				)
+			);
+			return zip.generateAsync({ type: 'nodebuffer' });
+		},
+	};
+}
+
+/**
+ * Renders and encodes the timelapse of one artwork on the calling thread.
+ * The gallery goes through createTimelapse instead, which runs this in a
+ * child process.
+ * @param {{dataURL: string, redLineY?: number, strokes?: object[]}[]} segments
+ *   The artwork's segments from top to bottom.
+ * @param {{width: number, height: number}} canvasSize
+ * @param {{format: string, delay: number, scale: number}} options From parseTimelapseOptions.
+ * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+ */
+async function renderTimelapse(segments, canvasSize, options) {
+	const writer =
+		options.format === 'zip'
+			? createFrameZipWriter(options.delay)
+			: createGifWriter(options.delay);
+	await renderTimelapseFrames(
+		segments,
+		canvasSize,
+		{
+			scale: options.scale,
+			maxFrames: MAX_TIMELAPSE_FRAMES,
+			maxPixels: MAX_TIMELAPSE_PIXELS,
+		},
+		writer.writeFrame
+	);
+	const buffer = await writer.finish();
+
+	if (options.format === 'zip') {
+		return { buffer, contentType: 'application/zip', extension: 'zip' };
+	}
+	return { buffer, contentType: 'image/gif', extension: 'gif' };
+}
+
+// Renders one timelapse in a child process of its own, so quantizing and
+// compressing frames never holds up the sockets on the main thread. Not a
+// worker thread: canvas 2.x is not context-aware, and the main thread has
+// loaded it already, so a worker can't load it again.
+function renderInChildProcess(job) {
+	return new Promise((resolve, reject) => {
+		const child = fork(TIMELAPSE_WORKER_PATH, {
+			serialization: 'advanced', // Sends the timelapse bytes as they are
+		});
+		let settled = false;
+		child.once('message', (timelapse) => {
+			settled = true;
+			resolve({
+				...timelapse,
+				// Sent across as a plain Uint8Array
+				buffer: Buffer.from(
+					timelapse.buffer.buffer,
+					timelapse.buffer.byteOffset,
+					timelapse.buffer.byteLength
+				),
+			});
+		});
+		child.once('error', (error) => {
+			settled = true;
+			reject(error);
+		});
+		child.once('exit', (code) => {
+			if (!settled) {
+				reject(
+					new Error(`Timelapse renderer exited with code ${code}.`)
+				);
+			}
+		});
+		child.send(job);
+	});
+}
+
+// Renders run one after another, so a burst of requests can't take every core
+let renderQueue = Promise.resolve();
+let queuedRenders = 0;
+
+function queueRender(job) {
+	queuedRenders++;
+	const render = renderQueue
+		.then(() => renderInChildProcess(job))
+		.finally(() => queuedRenders--);
+	renderQueue = render.catch(() => {});
+	return render;
+}
+
+// Finished timelapses by artwork and options, least recently used first.
+// Artworks never change once archived, so entries never go stale.
+const timelapseCache = new Map();
+const pendingTimelapses = new Map();
+let cachedBytes = 0;
+
+function getCacheKey(artworkId, options) {
+	return `${artworkId}:${options.format}:${options.delay}:${options.scale}`;
+}
+
+function cacheTimelapse(key, timelapse) {
+	if (timelapse.buffer.length > MAX_CACHED_TIMELAPSE_BYTES) return;
+	timelapseCache.set(key, timelapse);
+	cachedBytes += timelapse.buffer.length;
+	for (const [oldestKey, oldest] of timelapseCache) {
+		if (cachedBytes <= MAX_CACHED_TIMELAPSE_BYTES) break;
+		timelapseCache.delete(oldestKey);
+		cachedBytes -= oldest.buffer.length;
+	}
+}
+
+/**
+ * Looks up a timelapse rendered earlier in this process.
+ * @param {string} artworkId
+ * @param {{format: string, delay: number, scale: number}} options From parseTimelapseOptions.
+ * @returns {{buffer: Buffer, contentType: string, extension: string}|null}
+ */
+function getCachedTimelapse(artworkId, options) {
+	const key = getCacheKey(artworkId, options);
+	const timelapse = timelapseCache.get(key);
+	if (!timelapse) return null;
+	// Move it to the back, as the most recently used
+	timelapseCache.delete(key);
+	timelapseCache.set(key, timelapse);
+	return timelapse;
+}
+
+/**
+ * Renders the timelapse of one artwork in a child process and caches it.
+ * Requests for a timelapse that is already being rendered share that render.
+ * @param {string} artworkId The gallery entry, used as the cache key.
+ * @param {{dataURL: string, redLineY?: number, strokes?: object[]}[]} segments
+ *   The artwork's segments from top to bottom.
+ * @param {{width: number, height: number}} canvasSize
+ * @param {{format: string, delay: number, scale: number}} options From parseTimelapseOptions.
+ * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}|null>}
+ *   The timelapse, or null if too many are waiting to be rendered already.
+ */
+async function createTimelapse(artworkId, segments, canvasSize, options) {
+	const key = getCacheKey(artworkId, options);
+	if (pendingTimelapses.has(key)) {
+		return pendingTimelapses.get(key);
+	}
+	if (queuedRenders >= MAX_QUEUED_RENDERS) {
+		return null;
+	}
+
+	const pending = queueRender({ segments, canvasSize, options });
+	pendingTimelapses.set(key, pending);
+	try {
+		const timelapse = await pending;
+		cacheTimelapse(key, timelapse);
+		return timelapse;
+	} finally {
+		pendingTimelapses.delete(key);
+	}
+}
+
+module.exports = {
+	parseTimelapseOptions,
+	renderTimelapse,
+	getCachedTimelapse,
+	createTimelapse,
+};
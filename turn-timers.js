@@ -0,0 +1,71 @@
+// turn-timers.js
+
+// The deadline itself lives on the room document; this module only keeps the
+// in-process setTimeout handles so they can be replaced or cancelled.
+const turnTimers = new Map(); // gameRoomId -> timeout handle
+
+const MIN_TURN_TIME_LIMIT_SECONDS = 10;
+const MAX_TURN_TIME_LIMIT_SECONDS = 30 * 60;
+
+/**
+ * Validates a requested drawing time limit given in seconds.
+ * @param {number|string|null|undefined} value The requested limit; empty or 0 means untimed.
+ * @returns {number|null|undefined} The limit in milliseconds, null for untimed
+ *   rooms, or undefined if the value is out of range.
+ */
+function normalizeTurnTimeLimit(value) {
+	if (value === undefined || value === null || value === 0 || value === '') {
+		return null;
+	}
+	const seconds = Number(value);
+	if (
+		!Number.isFinite(seconds) ||
+		seconds < MIN_TURN_TIME_LIMIT_SECONDS ||
+		seconds > MAX_TURN_TIME_LIMIT_SECONDS
+	) {
+		return undefined;
+	}
+	return Math.round(seconds * 1000);
+}
+
+/**
+ * Schedules onExpire to run at the given deadline, replacing any timer
+ * already pending for the room. Deadlines in the past fire immediately.
+ * @param {string} gameRoomId
+ * @param {Date} deadline
+ * @param {() => Promise<void>} onExpire
+ */
+function scheduleTurnTimer(gameRoomId, deadline, onExpire) {
+	clearTurnTimer(gameRoomId);
+	const delay = Math.max(new Date(deadline).getTime() - Date.now(), 0);
+	const timer = setTimeout(() => {
+		turnTimers.delete(gameRoomId);
+		onExpire().catch((error) =>
+			console.error(
+				`[TIMER] Turn expiry failed for room ${gameRoomId}:`,
+				error
+			)
+		);
+	}, delay);
+	turnTimers.set(gameRoomId, timer);
+}
+
+function clearTurnTimer(gameRoomId) {
+	clearTimeout(turnTimers.get(gameRoomId));
+	turnTimers.delete(gameRoomId);
+}
+
+// Used when the server shuts down; deadlines stay on the rooms for a restart
+function clearAllTurnTimers() {
+	turnTimers.forEach((timer) => clearTimeout(timer));
+	turnTimers.clear();
+}
+
+module.exports = {
+	MIN_TURN_TIME_LIMIT_SECONDS,
+	MAX_TURN_TIME_LIMIT_SECONDS,
+	normalizeTurnTimeLimit,
+	scheduleTurnTimer,
+	clearTurnTimer,
+	clearAllTurnTimers,
+};
@@ -0,0 +1,119 @@
+// user-repository.js
+const { BSON, ObjectId } = require('mongodb');
+
+const COLLECTION_NAME = 'users';
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Where player accounts are kept. Usernames are unique regardless of case:
+ * each user is stored with a lower-cased `usernameKey` alongside the username
+ * as typed.
+ *
+ * @typedef {object} UserRepository
+ * @property {(id: string) => Promise<object|null>} findById
+ * @property {(username: string) => Promise<object|null>} findByUsername
+ * @property {(user: object) => Promise<string|null>} insert Returns the new
+ *   user's ID, or null if the username is already taken.
+ */
+
+function toUsernameKey(username) {
+	return username.toLowerCase();
+}
+
+/**
+ * Keeps users in the `users` collection, with a unique index on usernameKey.
+ * @param {import('mongodb').Db} db The connected database.
+ * @returns {UserRepository}
+ */
+function createMongoUserRepository(db) {
+	const collection = db.collection(COLLECTION_NAME);
+	const indexed = collection.createIndex(
+		{ usernameKey: 1 },
+		{ unique: true }
+	);
+	// Registration waits for the index and fails without it, since usernames
+	// could be taken twice; log the failure even if nobody registers
+	indexed.catch((error) =>
+		console.error('[AUTH] Failed to create the username index:', error)
+	);
+
+	return {
+		async findById(id) {
+			return ObjectId.isValid(id)
+				? collection.findOne({ _id: new ObjectId(id) })
+				: null;
+		},
+
+		async findByUsername(username) {
+			return collection.findOne({ usernameKey: toUsernameKey(username) });
+		},
+
+		async insert(user) {
+			await indexed;
+			try {
+				const result = await collection.insertOne({
+					...user,
+					usernameKey: toUsernameKey(user.username),
+				});
+				return result.insertedId.toString();
+			} catch (error) {
+				if (error.code === DUPLICATE_KEY_ERROR) return null;
+				throw error;
+			}
+		},
+	};
+}
+
+/**
+ * Keeps users in a Map for local development and tests, copied in and out
+ * through BSON like the in-memory rooms.
+ * @returns {UserRepository}
+ */
+function createMemoryUserRepository() {
+	const users = new Map();
+	const copy = (user) => BSON.deserialize(BSON.serialize(user));
+	const lookup = (usernameKey) =>
+		[...users.values()].find((user) => user.usernameKey === usernameKey);
+
+	return {
+		async findById(id) {
+			const user = users.get(id);
+			return user ? copy(user) : null;
+		},
+
+		async findByUsername(username) {
+			const user = lookup(toUsernameKey(username));
+			return user ? copy(user) : null;
+		},
+
+		async insert(user) {
+			// Checked and claimed in one go, like Mongo's unique index
+			if (lookup(toUsernameKey(user.username))) return null;
+			const _id = new ObjectId();
+			users.set(
+				_id.toString(),
+				copy({
+					...user,
+					_id: _id,
+					usernameKey: toUsernameKey(user.username),
+				})
+			);
+			return _id.toString();
+		},
+	};
+}
+
+/**
+ * Picks the repository for this process, like createRoomRepository.
+ * @param {import('mongodb').Db|null} db
+ * @returns {UserRepository}
+ */
+function createUserRepository(db) {
+	return db ? createMongoUserRepository(db) : createMemoryUserRepository();
+}
+
+module.exports = {
+	createMongoUserRepository,
+	createMemoryUserRepository,
+	createUserRepository,
+};